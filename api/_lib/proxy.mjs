@@ -0,0 +1,239 @@
+// Shared plumbing for the API proxy functions: server-side keys, upstream URLs,
+// origin checks, a small in-memory response cache, per-client rate limiting and a daily upstream cap.
+//
+// Vercel keeps a warm function instance around between requests, so the cache, the rate limiter
+// and the daily cap are per instance – good enough to absorb refresh bursts from one client and
+// to stop a runaway bill, not an exact count.
+
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 120;
+const DEFAULT_DAILY_UPSTREAM_LIMIT = 5000;
+const MAX_CACHE_ENTRIES = 500;
+const UPSTREAM_TIMEOUT_MS = 10000;
+
+// Read lazily so the local server can point the proxy at mock upstreams before the first request
+export const getUpstreams = () => ({
+  hereRouter: process.env.HERE_ROUTER_URL || 'https://router.hereapi.com/v8/routes',
+  hereMatrix: process.env.HERE_MATRIX_URL || 'https://matrix.router.hereapi.com/v8/matrix',
+  hereRevgeocode: process.env.HERE_REVGEOCODE_URL || 'https://revgeocode.search.hereapi.com/v1/revgeocode',
+  hereRouteMatch: process.env.HERE_ROUTEMATCH_URL || 'https://routematching.hereapi.com/v8/match/routelinks',
+  googleRoutes: process.env.GOOGLE_ROUTES_URL || 'https://routes.googleapis.com/directions/v2:computeRoutes',
+  googleGeocode: process.env.GOOGLE_GEOCODE_URL || 'https://maps.googleapis.com/maps/api/geocode/json'
+});
+
+// Keys live only on the server – never VITE_ prefixed, so they cannot end up in the bundle
+export const getKeys = () => ({
+  here: process.env.HERE_API_KEY || '',
+  google: process.env.GOOGLE_MAPS_API_KEY || ''
+});
+
+export class ProxyError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'ProxyError';
+    this.status = status;
+  }
+}
+
+// ─── CORS ─────────────────────────────────────────────────────────────────────
+
+// PROXY_ALLOWED_ORIGINS=https://fergetid.no,capacitor://localhost – unset allows any origin
+const getAllowedOrigins = () =>
+  (process.env.PROXY_ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Browsers leave Origin out of same-origin GETs, but still send the page as Referer
+const getRequestOrigin = (request) => {
+  const origin = request.headers.get('origin');
+  if (origin) return origin;
+  try {
+    return new URL(request.headers.get('referer') || '').origin;
+  } catch {
+    return null;
+  }
+};
+
+// With an allow list, requests from anywhere else are refused before they reach an upstream
+const isOriginAllowed = (request) => {
+  const allowed = getAllowedOrigins();
+  return allowed.length === 0 || allowed.includes(getRequestOrigin(request));
+};
+
+const corsHeaders = (request) => {
+  const allowed = getAllowedOrigins();
+  const origin = getRequestOrigin(request);
+  const allowOrigin = allowed.length === 0 ? '*' : (allowed.includes(origin) ? origin : allowed[0]);
+  return {
+    'Access-Control-Allow-Origin': allowOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Goog-FieldMask',
+    Vary: 'Origin'
+  };
+};
+
+export const preflight = (request) => new Response(null, {
+  status: isOriginAllowed(request) ? 204 : 403,
+  headers: corsHeaders(request)
+});
+
+// ─── Rate limiting ────────────────────────────────────────────────────────────
+
+// Fixed one-minute window per client address
+const rateWindows = new Map();
+
+const getClientId = (request) =>
+  (request.headers.get('x-forwarded-for') || '').split(',')[0].trim() ||
+  request.headers.get('x-real-ip') ||
+  'local';
+
+const checkRateLimit = (clientId) => {
+  const limit = Number(process.env.PROXY_RATE_LIMIT_PER_MINUTE) || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const now = Date.now();
+  const window = rateWindows.get(clientId);
+  if (!window || now - window.start >= 60000) {
+    rateWindows.set(clientId, { start: now, count: 1 });
+    if (rateWindows.size > 10000) {
+      for (const [id, w] of rateWindows) {
+        if (now - w.start >= 60000) rateWindows.delete(id);
+      }
+    }
+    return { allowed: true };
+  }
+  window.count++;
+  return { allowed: window.count <= limit, retryAfter: Math.ceil((window.start + 60000 - now) / 1000) };
+};
+
+// ─── Daily upstream cap ───────────────────────────────────────────────────────
+
+// Upstream calls today across all clients; cache hits are free. Resets at UTC midnight.
+let upstreamDay = { date: '', count: 0 };
+
+const takeUpstreamCall = () => {
+  const limit = Number(process.env.PROXY_DAILY_UPSTREAM_LIMIT) || DEFAULT_DAILY_UPSTREAM_LIMIT;
+  const date = new Date().toISOString().slice(0, 10);
+  if (upstreamDay.date !== date) upstreamDay = { date, count: 0 };
+  if (upstreamDay.count >= limit) return false;
+  upstreamDay.count++;
+  return true;
+};
+
+// ─── Response cache ───────────────────────────────────────────────────────────
+
+// Insertion-ordered Map used as an LRU: a hit is moved to the end, the oldest is evicted
+const responseCache = new Map();
+
+const cacheGet = (key) => {
+  const entry = responseCache.get(key);
+  if (!entry) return null;
+  responseCache.delete(key);
+  if (Date.now() > entry.expires) return null;
+  responseCache.set(key, entry);
+  return entry;
+};
+
+const cacheSet = (key, entry) => {
+  responseCache.set(key, entry);
+  if (responseCache.size > MAX_CACHE_ENTRIES) {
+    responseCache.delete(responseCache.keys().next().value);
+  }
+};
+
+// ─── Handler factory ──────────────────────────────────────────────────────────
+
+/**
+ * Build a Web-standard handler (Vercel Node.js runtime) that forwards to an upstream API
+ * @param {string} name - Endpoint name, used in cache keys and logs
+ * @param {Object} options
+ * @param {number} [options.cacheTtlSeconds] - Cache successful responses this long (0 = never)
+ * @param {(request: Request, url: URL, body: string) => { url: string, init?: RequestInit, cacheKey?: string }} options.build
+ *   Map the client request to the upstream request, adding the key; throw ProxyError on bad input
+ * @returns {(request: Request) => Promise<Response>}
+ */
+export const createProxyHandler = (name, { cacheTtlSeconds = 0, build }) => async (request) => {
+  const cors = corsHeaders(request);
+  const json = (status, payload, extra = {}) => new Response(JSON.stringify(payload), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...cors, ...extra }
+  });
+
+  if (!isOriginAllowed(request)) {
+    return json(403, { error: 'Origin not allowed' });
+  }
+
+  const rate = checkRateLimit(getClientId(request));
+  if (!rate.allowed) {
+    return json(429, { error: 'Too many requests' }, { 'Retry-After': String(rate.retryAfter) });
+  }
+
+  try {
+    const url = new URL(request.url);
+    const body = request.method === 'POST' ? await request.text() : '';
+    const upstream = build(request, url, body);
+    const cacheKey = cacheTtlSeconds > 0 && upstream.cacheKey ? `${name}|${upstream.cacheKey}` : null;
+
+    if (cacheKey) {
+      const hit = cacheGet(cacheKey);
+      if (hit) {
+        return new Response(hit.body, {
+          status: 200,
+          headers: { 'Content-Type': hit.contentType, ...cors, 'X-Proxy-Cache': 'HIT' }
+        });
+      }
+    }
+
+    if (!takeUpstreamCall()) {
+      return json(503, { error: 'Daily upstream limit reached' });
+    }
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), UPSTREAM_TIMEOUT_MS);
+    let response;
+    try {
+      response = await fetch(upstream.url, { ...upstream.init, signal: controller.signal });
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    const responseBody = await response.text();
+    const contentType = response.headers.get('content-type') || 'application/json';
+    if (cacheKey && response.ok) {
+      cacheSet(cacheKey, { body: responseBody, contentType, expires: Date.now() + cacheTtlSeconds * 1000 });
+    }
+    return new Response(responseBody, {
+      status: response.status,
+      headers: {
+        'Content-Type': contentType,
+        ...cors,
+        ...(cacheKey ? { 'X-Proxy-Cache': 'MISS' } : {})
+      }
+    });
+  } catch (error) {
+    if (error instanceof ProxyError) {
+      return json(error.status, { error: error.message });
+    }
+    console.error(`Proxy ${name} failed:`, error);
+    return json(502, { error: error.name === 'AbortError' ? 'Upstream timeout' : 'Upstream request failed' });
+  }
+};
+
+/**
+ * @param {'here'|'google'} provider
+ * @returns {string} The server-side key
+ */
+export const requireKey = (provider) => {
+  const key = getKeys()[provider];
+  if (!key) throw new ProxyError(503, `${provider} is not configured on the proxy`);
+  return key;
+};
+
+/**
+ * Parse "lat,lng" and round it, so nearby requests share cache entries
+ * @param {string|null} value
+ * @param {number} decimals
+ * @returns {string} Normalised "lat,lng"
+ */
+export const normaliseLatLng = (value, decimals) => {
+  const [lat, lng] = (value || '').split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    throw new ProxyError(400, `Invalid coordinate: ${value}`);
+  }
+  return `${lat.toFixed(decimals)},${lng.toFixed(decimals)}`;
+};
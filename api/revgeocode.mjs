@@ -0,0 +1,25 @@
+// /api/revgeocode - Location name for a position: HERE reverse geocoding, Google Geocoding as fallback
+import { createProxyHandler, preflight, getKeys, getUpstreams, normaliseLatLng, ProxyError } from './_lib/proxy.mjs';
+
+const REVGEOCODE_CACHE_SECONDS = 24 * 60 * 60; // street names do not move
+const COORDINATE_DECIMALS = 4;
+
+export const GET = createProxyHandler('revgeocode', {
+  cacheTtlSeconds: REVGEOCODE_CACHE_SECONDS,
+  build: (request, url) => {
+    const at = normaliseLatLng(url.searchParams.get('at'), COORDINATE_DECIMALS);
+    const { here, google } = getKeys();
+    const upstreams = getUpstreams();
+
+    // Same response formats the client already parses in extractLocationName
+    if (here) {
+      return { url: `${upstreams.hereRevgeocode}?at=${at}&lang=no&apikey=${here}`, cacheKey: at };
+    }
+    if (google) {
+      return { url: `${upstreams.googleGeocode}?latlng=${at}&language=no&key=${google}`, cacheKey: at };
+    }
+    throw new ProxyError(503, 'No geocoding provider is configured on the proxy');
+  }
+});
+
+export const OPTIONS = preflight;
@@ -0,0 +1,80 @@
+// /api/route - HERE Routing v8 (GET), HERE Matrix v8 and Google Routes v2 (POST) with the keys added here
+import { createProxyHandler, preflight, requireKey, getUpstreams, normaliseLatLng, ProxyError } from './_lib/proxy.mjs';
+
+const ROUTE_CACHE_SECONDS = 300;
+const COORDINATE_DECIMALS = 4; // ~10 m – nearby refreshes share one upstream call
+const MATRIX_MAX_DESTINATIONS = 100; // as MATRIX_MAX_DESTINATIONS in GeoServices
+
+// Only the parameters GeoServices sends are forwarded
+const FORWARDED_ROUTE_PARAMS = ['transportMode', 'routingMode', 'return', 'avoid[features]', 'departureTime'];
+const GOOGLE_FIELD_MASK = /^routes\.[a-zA-Z.]+(,routes\.[a-zA-Z.]+)*$/;
+
+const parseJson = (body) => {
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new ProxyError(400, 'Body must be JSON');
+  }
+};
+
+export const GET = createProxyHandler('route', {
+  cacheTtlSeconds: ROUTE_CACHE_SECONDS,
+  build: (request, url) => {
+    const params = new URLSearchParams();
+    params.set('origin', normaliseLatLng(url.searchParams.get('origin'), COORDINATE_DECIMALS));
+    params.set('destination', normaliseLatLng(url.searchParams.get('destination'), COORDINATE_DECIMALS));
+    for (const name of FORWARDED_ROUTE_PARAMS) {
+      const value = url.searchParams.get(name);
+      if (value) params.set(name, value);
+    }
+    const cacheKey = params.toString();
+    params.set('apiKey', requireKey('here'));
+    return { url: `${getUpstreams().hereRouter}?${params}`, cacheKey };
+  }
+});
+
+export const POST = createProxyHandler('route', {
+  cacheTtlSeconds: ROUTE_CACHE_SECONDS,
+  build: (request, url, body) => {
+    const provider = url.searchParams.get('provider');
+    const payload = parseJson(body); // reject garbage before it costs an upstream call
+
+    if (provider === 'matrix') {
+      // Elements are billed one by one, so an oversized matrix would cost as much as hundreds of calls
+      const { origins, destinations } = payload || {};
+      if (!Array.isArray(origins) || origins.length !== 1) {
+        throw new ProxyError(400, 'origins must hold exactly one point');
+      }
+      if (!Array.isArray(destinations) || destinations.length === 0 || destinations.length > MATRIX_MAX_DESTINATIONS) {
+        throw new ProxyError(400, `destinations must hold 1 to ${MATRIX_MAX_DESTINATIONS} points`);
+      }
+      return {
+        url: `${getUpstreams().hereMatrix}?async=false&apiKey=${requireKey('here')}`,
+        init: { method: 'POST', headers: { 'Content-Type': 'application/json' }, body },
+        cacheKey: `matrix|${body}`
+      };
+    }
+
+    if (provider === 'google') {
+      const fieldMask = request.headers.get('x-goog-fieldmask') || 'routes.duration,routes.distanceMeters';
+      if (!GOOGLE_FIELD_MASK.test(fieldMask)) throw new ProxyError(400, 'Invalid field mask');
+      return {
+        url: getUpstreams().googleRoutes,
+        init: {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Goog-Api-Key': requireKey('google'),
+            'X-Goog-FieldMask': fieldMask
+          },
+          body
+        },
+        cacheKey: `google|${fieldMask}|${body}`
+      };
+    }
+
+    throw new ProxyError(400, 'provider must be matrix or google');
+  }
+});
+
+export const OPTIONS = preflight;
@@ -0,0 +1,20 @@
+// /api/routematch - HERE Route Matching v8 for car mode direction; GPS traces are unique, so never cached
+import { createProxyHandler, preflight, requireKey, getUpstreams, ProxyError } from './_lib/proxy.mjs';
+
+const MAX_TRACE_POINTS = 50; // car mode sends its last 10 positions
+
+export const POST = createProxyHandler('routematch', {
+  build: (request, url, body) => {
+    const lines = body.trim().split('\n').filter(Boolean);
+    if (lines.length < 2 || lines.length > MAX_TRACE_POINTS) {
+      throw new ProxyError(400, `Trace must have 2–${MAX_TRACE_POINTS} points`);
+    }
+    const params = 'routeMatch=1&mode=fastest;car;traffic:disabled&alignToGpsTime=0';
+    return {
+      url: `${getUpstreams().hereRouteMatch}?${params}&apikey=${requireKey('here')}`,
+      init: { method: 'POST', headers: { 'Content-Type': 'text/csv' }, body }
+    };
+  }
+});
+
+export const OPTIONS = preflight;
@@ -1,8 +1,24 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { VitePWA } from 'vite-plugin-pwa'
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    react(),
+    // Service worker for the web build (src/sw.js). public/manifest.json is kept as is,
+    // and registration happens in UpdatePrompt so the native iOS app never registers it.
+    VitePWA({
+      strategies: 'injectManifest',
+      srcDir: 'src',
+      filename: 'sw.js',
+      registerType: 'prompt',
+      injectRegister: false,
+      manifest: false,
+      injectManifest: {
+        globPatterns: ['**/*.{js,css,html,svg,png,json}']
+      }
+    })
+  ],
   server: {
     // Let Vite choose an available port automatically
     strictPort: false,
@@ -12,5 +28,9 @@ export default defineConfig({
       'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     },
+    // VITE_API_PROXY_URL=/api in dev: forward to the local proxy (npm run proxy:dev)
+    proxy: {
+      '/api': process.env.API_PROXY_TARGET || 'http://localhost:5056',
+    },
   },
 })
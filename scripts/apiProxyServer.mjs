@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+// Kjører API-proxyen (api/*.mjs) lokalt, som Vercel gjør i produksjon.
+//
+//   npm run proxy:dev              ekte HERE/Google – krever HERE_API_KEY og/eller GOOGLE_MAPS_API_KEY
+//   npm run proxy:dev -- --mock    falske upstreams i samme prosess, ingen nøkler eller nettverk
+//
+// Appen bruker proxyen med VITE_API_PROXY_URL=/api (Vite videresender /api hit).
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT || 5056);
+const USE_MOCK = process.argv.includes('--mock') || process.env.MOCK_UPSTREAMS === '1';
+const ENDPOINTS = ['route', 'revgeocode', 'routematch'];
+const MOCK_KEY = 'mock-key';
+
+// ─── Falske upstreams ─────────────────────────────────────────────────────────
+
+const haversineMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Luftlinje × 1.3 ved 60 km/t
+const mockLeg = (from, to) => {
+  const length = Math.round(haversineMeters(from.lat, from.lng, to.lat, to.lng) * 1.3);
+  return { length, duration: Math.round(length / (60 / 3.6)) };
+};
+
+const readBody = (req) => new Promise((resolve) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => resolve(raw));
+});
+
+const startMockUpstreams = () => new Promise((resolve) => {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://mock');
+    const body = await readBody(req);
+    const send = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    // Proxyen skal alltid legge på nøkkelen
+    const key = url.searchParams.get('apiKey') || url.searchParams.get('apikey') ||
+      url.searchParams.get('key') || req.headers['x-goog-api-key'];
+    if (key !== MOCK_KEY) return send(401, { error: 'Missing or wrong API key' });
+
+    console.log(`  ↳ mock ${req.method} ${url.pathname}`);
+    const toPoint = (value) => {
+      const [lat, lng] = value.split(',').map(Number);
+      return { lat, lng };
+    };
+
+    if (url.pathname === '/here/routes') {
+      const from = toPoint(url.searchParams.get('origin'));
+      const to = toPoint(url.searchParams.get('destination'));
+      return send(200, { routes: [{ sections: [{ transport: { mode: 'car' }, summary: mockLeg(from, to) }] }] });
+    }
+    if (url.pathname === '/here/matrix') {
+      const { origins, destinations } = JSON.parse(body);
+      const legs = destinations.map(destination => mockLeg(origins[0], destination));
+      return send(200, {
+        matrix: {
+          numOrigins: 1,
+          numDestinations: destinations.length,
+          travelTimes: legs.map(leg => leg.duration),
+          distances: legs.map(leg => leg.length),
+          errorCodes: legs.map(() => 0)
+        }
+      });
+    }
+    if (url.pathname === '/here/revgeocode') {
+      return send(200, { items: [{ title: 'Mockveien 1, Testby', address: { street: 'Mockveien', city: 'Testby' } }] });
+    }
+    if (url.pathname === '/here/routematch') {
+      const points = body.trim().split('\n').map(line => {
+        const [lat, lng] = line.split(',').map(Number);
+        return { lat, lng };
+      });
+      return send(200, { matchedLinks: [{ geometry: points.slice(-2), directionOfTravel: 'forward' }] });
+    }
+    if (url.pathname === '/google/routes') {
+      const { origin, destination } = JSON.parse(body);
+      const leg = mockLeg(
+        { lat: origin.location.latLng.latitude, lng: origin.location.latLng.longitude },
+        { lat: destination.location.latLng.latitude, lng: destination.location.latLng.longitude }
+      );
+      return send(200, { routes: [{ duration: `${leg.duration}s`, distanceMeters: leg.length }] });
+    }
+    send(404, { error: 'Not found' });
+  });
+
+  server.listen(0, '127.0.0.1', () => {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    Object.assign(process.env, {
+      HERE_API_KEY: MOCK_KEY,
+      GOOGLE_MAPS_API_KEY: MOCK_KEY,
+      HERE_ROUTER_URL: `${base}/here/routes`,
+      HERE_MATRIX_URL: `${base}/here/matrix`,
+      HERE_REVGEOCODE_URL: `${base}/here/revgeocode`,
+      HERE_ROUTEMATCH_URL: `${base}/here/routematch`,
+      GOOGLE_ROUTES_URL: `${base}/google/routes`
+    });
+    resolve(base);
+  });
+});
+
+// ─── Proxy-server ─────────────────────────────────────────────────────────────
+
+if (USE_MOCK) {
+  const base = await startMockUpstreams();
+  console.log(`🧪 Falske upstreams på ${base}`);
+} else if (!process.env.HERE_API_KEY && !process.env.GOOGLE_MAPS_API_KEY) {
+  console.warn('⚠️  Verken HERE_API_KEY eller GOOGLE_MAPS_API_KEY er satt – bruk --mock for å teste uten nøkler');
+}
+
+const handlers = {};
+for (const name of ENDPOINTS) {
+  handlers[name] = await import(pathToFileURL(path.join(ROOT, 'api', `${name}.mjs`)).href);
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const name = url.pathname.replace(/^\/api\//, '').replace(/\/$/, '');
+  const handler = handlers[name]?.[req.method];
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (!handler) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'Not found' }));
+    return;
+  }
+
+  const body = req.method === 'POST' ? await readBody(req) : undefined;
+  const request = new Request(url, { method: req.method, headers: req.headers, body });
+  const response = await handler(request);
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+});
+
+server.listen(PORT, () => {
+  console.log(`🔐 API-proxy på http://localhost:${PORT}/api/{${ENDPOINTS.join(',')}}`);
+});
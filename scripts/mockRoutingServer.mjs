@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+// Lokal stand-in for en selvhostet OSRM- eller Valhalla-server, for å teste
+// VITE_SELF_HOSTED_ROUTING_URL uten å laste ned og bygge kartdata.
+//
+// Kjøretid beregnes fra luftlinje × 1.3 ved 60 km/t. Ferje simuleres med MOCK_FERRY:
+//   (ikke satt)  ren veirute
+//   on           ruten går med ferje midtveis; med ferje ekskludert blir den 60 % lengre på vei
+//   only         målet kan bare nås med ferje (OSRM svarer NoRoute med exclude=ferry)
+
+import http from 'node:http';
+
+const PORT = Number(process.env.PORT || process.argv[2] || 5055);
+const MOCK_FERRY = (process.env.MOCK_FERRY || '').toLowerCase();
+const ROAD_FACTOR = 1.3;
+const SPEED_MPS = 60 / 3.6;
+const DETOUR_FACTOR = 1.6;
+
+const haversineMeters = ([lat1, lng1], [lat2, lng2]) => {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const lerp = (a, b, t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+// Rett linje delt i tre: vei – (ferje) – vei. Punkter er [lat, lng]
+const buildLegs = (from, to, excludeFerry) => {
+  const distance = haversineMeters(from, to) * ROAD_FACTOR;
+  const a = lerp(from, to, 1 / 3);
+  const b = lerp(from, to, 2 / 3);
+
+  if (MOCK_FERRY === 'only' && excludeFerry) return null;
+  const ferry = (MOCK_FERRY === 'on' && !excludeFerry) || MOCK_FERRY === 'only';
+  const total = ferry || MOCK_FERRY !== 'on' ? distance : distance * DETOUR_FACTOR;
+
+  return [
+    { mode: 'driving', points: [from, a], distance: total / 3 },
+    { mode: ferry ? 'ferry' : 'driving', points: [a, b], distance: total / 3 },
+    { mode: 'driving', points: [b, to], distance: total / 3 }
+  ];
+};
+
+// ─── OSRM: GET /route/v1/driving/{lng},{lat};{lng},{lat} ─────────────────────
+
+const handleOsrm = (url, send) => {
+  const match = url.pathname.match(/^\/route\/v1\/[^/]+\/([-\d.]+),([-\d.]+);([-\d.]+),([-\d.]+)/);
+  if (!match) return send(400, { code: 'InvalidUrl', message: 'Expected two coordinates' });
+  const [fromLng, fromLat, toLng, toLat] = match.slice(1).map(Number);
+  const excludeFerry = (url.searchParams.get('exclude') || '').split(',').includes('ferry');
+
+  const legs = buildLegs([fromLat, fromLng], [toLat, toLng], excludeFerry);
+  if (!legs) return send(400, { code: 'NoRoute', message: 'Impossible route between points' });
+
+  const steps = legs.map(step => ({
+    mode: step.mode,
+    distance: step.distance,
+    duration: step.distance / SPEED_MPS,
+    geometry: { type: 'LineString', coordinates: step.points.map(([lat, lng]) => [lng, lat]) }
+  }));
+  const distance = steps.reduce((sum, step) => sum + step.distance, 0);
+  const duration = steps.reduce((sum, step) => sum + step.duration, 0);
+
+  send(200, {
+    code: 'Ok',
+    routes: [{
+      distance,
+      duration,
+      geometry: { type: 'LineString', coordinates: steps.flatMap(step => step.geometry.coordinates) },
+      legs: [{ distance, duration, steps }]
+    }],
+    waypoints: []
+  });
+};
+
+// ─── Valhalla: POST /route ────────────────────────────────────────────────────
+
+const encodePolyline = (points, precision) => {
+  const factor = 10 ** precision;
+  let output = '';
+  let prevLat = 0;
+  let prevLng = 0;
+  const encodeValue = (value) => {
+    let v = value < 0 ? ~(value << 1) : value << 1;
+    while (v >= 0x20) {
+      output += String.fromCharCode((0x20 | (v & 0x1f)) + 63);
+      v >>= 5;
+    }
+    output += String.fromCharCode(v + 63);
+  };
+  for (const [lat, lng] of points) {
+    const iLat = Math.round(lat * factor);
+    const iLng = Math.round(lng * factor);
+    encodeValue(iLat - prevLat);
+    encodeValue(iLng - prevLng);
+    prevLat = iLat;
+    prevLng = iLng;
+  }
+  return output;
+};
+
+const handleValhalla = (body, send) => {
+  const [from, to] = body?.locations || [];
+  if (!from || !to) return send(400, { error_code: 154, error: 'Insufficient number of locations provided' });
+  // Valhalla unngår ferje med use_ferry 0, men tar den likevel når det ikke finnes vei
+  const avoidFerry = body.costing_options?.auto?.use_ferry === 0 && MOCK_FERRY !== 'only';
+  const legs = buildLegs([from.lat, from.lon], [to.lat, to.lon], avoidFerry);
+
+  const shape = [legs[0].points[0]];
+  const maneuvers = legs.map((step) => {
+    const begin = shape.length - 1;
+    shape.push(step.points[1]);
+    return {
+      type: step.mode === 'ferry' ? 28 : 8,
+      travel_type: step.mode === 'ferry' ? 'ferry' : 'car',
+      length: step.distance / 1000,
+      time: step.distance / SPEED_MPS,
+      begin_shape_index: begin,
+      end_shape_index: shape.length - 1
+    };
+  });
+  const length = maneuvers.reduce((sum, m) => sum + m.length, 0);
+  const time = maneuvers.reduce((sum, m) => sum + m.time, 0);
+  const hasFerry = maneuvers.some(m => m.travel_type === 'ferry');
+
+  send(200, {
+    trip: {
+      summary: { length, time, has_ferry: hasFerry },
+      legs: [{ summary: { length, time, has_ferry: hasFerry }, maneuvers, shape: encodePolyline(shape, 6) }],
+      status: 0,
+      units: 'kilometers'
+    }
+  });
+};
+
+// ─── Server ───────────────────────────────────────────────────────────────────
+
+const server = http.createServer((req, res) => {
+  const send = (status, payload) => {
+    res.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(payload === undefined ? '' : JSON.stringify(payload));
+  };
+
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  console.log(`${req.method} ${url.pathname}${url.search}`);
+
+  if (req.method === 'OPTIONS') return send(204);
+  if (req.method === 'GET' && url.pathname.startsWith('/route/v1/')) return handleOsrm(url, send);
+  if (req.method === 'POST' && url.pathname === '/route') {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try {
+        handleValhalla(JSON.parse(raw || '{}'), send);
+      } catch {
+        send(400, { error_code: 100, error: 'Failed to parse json request' });
+      }
+    });
+    return;
+  }
+  send(404, { error: 'Not found' });
+});
+
+server.listen(PORT, () => {
+  console.log(`🗺️  Mock-rutingserver på http://localhost:${PORT} (ferje: ${MOCK_FERRY || 'av'})`);
+  console.log(`   OSRM:     VITE_SELF_HOSTED_ROUTING_URL=http://localhost:${PORT}`);
+  console.log(`   Valhalla: i tillegg VITE_SELF_HOSTED_ROUTING_ENGINE=valhalla`);
+});
@@ -1,24 +1,40 @@
 import { useEffect, useState, useRef } from 'react';
-import { GraphQLClient, gql } from 'graphql-request';
 import { Capacitor } from '@capacitor/core';
 import { SplashScreen } from '@capacitor/splash-screen';
 import { Geolocation } from '@capacitor/geolocation';
+import { App as CapacitorApp } from '@capacitor/app';
 
 import LoadingSpinner from './components/LoadingSpinner';
 import LegalModal from './components/LegalModal';
-
-
-import { calculateDrivingTime } from './services/GeoServices';
+import DepartureStatus from './components/DepartureStatus';
+import SituationsPanel from './components/SituationsPanel';
+import TripPlanner from './components/TripPlanner';
+import CommuteProfiles from './components/CommuteProfiles';
+import UpdatePrompt from './components/UpdatePrompt';
+import FerryMap from './components/FerryMap';
+import RoutePreview from './components/RoutePreview';
+import Diagnostics from './components/Diagnostics';
+import JourneySheet from './components/JourneySheet';
+import QueueCard from './components/QueueCard';
+import LeaveTimeCheck from './components/LeaveTimeCheck';
+import CrossingCard from './components/CrossingCard';
+
+
+import { calculateDrivingTime, calculateDrivingTimesBatch } from './services/GeoServices';
+import { enturService, isFerrySubmode } from './services/EnturService';
 import { liveModeService } from './services/LiveModeService';
 import { carModeService } from './services/CarModeService';
+import { locationTracker } from './services/LocationTracker';
+import { geofenceService } from './services/GeofenceService';
+import { crossingService } from './services/CrossingService';
+import { commuteService } from './services/CommuteService';
+import { requestBudget } from './services/RequestBudget';
 import { SIM_ROUTE, isSimulationMode } from './services/SimulationService';
 import { hasLiveModeAccess } from './services/PurchasesService';
 import { 
-  ENTUR_ENDPOINT, 
   TRANSPORT_MODES, 
   APP_NAME,
   GEOLOCATION_OPTIONS,
-  EXCLUDED_SUBMODES,
   PASSENGER_FERRY_SUBMODES
 } from './config/constants';
 import { config } from './config/config';
@@ -30,9 +46,17 @@ import {
   extractLocationName,
   normalizeText
 } from './utils/helpers';
+import {
+  loadFavoriteStops,
+  saveFavoriteStops,
+  toggleFavoriteStop,
+  moveFavoriteStop
+} from './utils/favoriteStops';
 import {
   getDepartureTimeColor,
   isDepartureMissed,
+  isDepartureCancelled,
+  getEffectiveDepartureTime,
   getOptimalFontSize,
   formatDepartureTime,
   sortDeparturesByTime,
@@ -48,160 +72,24 @@ import {
   getConnectedFerryQuays,
   getSpecialFerryConnections 
 } from './utils/ferryConnections';
+import { getOtherQuayOnLine, selectReturnDepartures } from './utils/returnDepartures';
+import {
+  parseDeepLink,
+  hasDeepLinkTarget,
+  replaceDeepLinkInUrl,
+  buildShareUrl,
+  shareLink
+} from './utils/deepLinks';
 // Removed legacy routeMap import; using only Entur hierarchy-based matching
 
 import { THEMES, getTheme, saveTheme, loadTheme } from './config/themes';
+import { version as appVersion } from '../package.json';
 
-// Hjelpefunksjon for å bestemme hvor mange avganger som skal hentes basert på kjøretid
-const getDepartureQueryParams = (drivingTimeMinutes = 0) => {
-  // Hvis kjøretid > 2 timer, hent flere avganger over lengre tidsramme
-  if (drivingTimeMinutes > 120) {
-    return {
-      timeRange: 86400, // 24 timer
-      numberOfDepartures: 50
-    };
-  }
-  // Standard: hent færre avganger over kortere tidsramme
-  return {
-    timeRange: 43200, // 12 timer
-    numberOfDepartures: 20
-  };
-};
-
-const client = new GraphQLClient(ENTUR_ENDPOINT, {
-  headers: { 'ET-Client-Name': config.ENTUR_CLIENT_NAME }
-});
-
-
-
-const DEPARTURES_QUERY = gql`
-  query StopPlaceDepartures($id: String!, $timeRange: Int!, $numberOfDepartures: Int!) {
-    stopPlace(id: $id) {
-      name
-      estimatedCalls(timeRange: $timeRange, numberOfDepartures: $numberOfDepartures) {
-        aimedDepartureTime
-        destinationDisplay { frontText }
-        serviceJourney {
-          journeyPattern { line { transportSubmode } }
-        }
-      }
-    }
-  }
-`;
-
-
-
-// Enhanced departures query with journeyPattern data for better matching
-const ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY = gql`
-  query EnhancedDeparturesWithPatterns($id: String!, $timeRange: Int!, $numberOfDepartures: Int!) {
-    stopPlace(id: $id) {
-      name
-      estimatedCalls(timeRange: $timeRange, numberOfDepartures: $numberOfDepartures) {
-        aimedDepartureTime
-        expectedDepartureTime
-        destinationDisplay {
-          frontText
-          via
-        }
-        serviceJourney {
-          id
-          journeyPattern {
-            id
-            directionType
-            line {
-              id
-              name
-              publicCode
-              transportMode
-              transportSubmode
-              operator {
-                id
-                name
-              }
-              quays {
-                id
-                name
-                publicCode
-                latitude
-                longitude
-                stopPlace {
-                  id
-                  name
-                }
-              }
-            }
-          }
-          wheelchairAccessible
-          notices {
-            id
-            text
-          }
-        }
-        cancellation
-        predictionInaccurate
-        situations {
-          id
-          reportType
-        }
-      }
-    }
-  }
-`;
-
-// Enhanced query to get line details with quays
-const LINE_WITH_QUAYS_QUERY = gql`
-  query LineWithQuays($id: ID!) {
-    line(id: $id) {
-      id
-      name
-      publicCode
-      transportMode
-      transportSubmode
-      quays {
-        id
-        name
-        publicCode
-        latitude
-        longitude
-        stopPlace {
-          id
-          name
-        }
-      }
-      journeyPatterns {
-        id
-        directionType
-        stopPoints {
-          id
-          name
-          latitude
-          longitude
-          quays {
-            id
-            name
-            publicCode
-            latitude
-            longitude
-          }
-        }
-      }
-    }
-  }
-`;
-
-// Query for loading all ferry stops (we'll use quay info from Line.quays for matching)
-const ALL_FERRY_STOPS_QUERY = gql`
-  query AllFerryStops {
-    stopPlaces {
-      id
-      name
-      latitude
-      longitude
-      transportMode
-      transportSubmode
-    }
-  }
-`;
+// Car mode: how often the nearby list is refreshed from the tracked position
+const CAR_MODE_REFRESH_INTERVAL = 15000;
+// Car mode: metres from the last searched position before the list is searched again;
+// like the driving-time cache, so a closer fix would only get the same cached routes back
+const CAR_MODE_MIN_MOVE = 350;
 
 // Manual coordinate overrides for specific StopPlaces
 const STOP_COORDINATE_OVERRIDES = {
@@ -281,6 +169,8 @@ function App() {
   // Shared state
   const [ferryStops, setFerryStops] = useState([]);
   const [departuresMap, setDeparturesMap] = useState({});
+  const [situationsMap, setSituationsMap] = useState({}); // { [stopId]: Situation[] }
+  const [offlineSnapshots, setOfflineSnapshots] = useState({}); // { [stopId]: Date } – kort vist fra lagret rutetid
   const [selectedStop, setSelectedStop] = useState(null);
   const [loading, setLoading] = useState(false);
   const [cardLoading, setCardLoading] = useState({});
@@ -290,6 +180,12 @@ function App() {
 
   // Mode state
   const [mode, setMode] = useState('search'); // 'search' or 'gps'
+
+  // Deep link (?stop=, ?dep=, ?q=, ?mode=gps) – lest én gang ved oppstart, null når den er tatt i bruk
+  const initialDeepLinkRef = useRef(parseDeepLink(window.location.search));
+  const [linkedStop, setLinkedStop] = useState(null); // { stopId, dep, query } fra lenken
+  const scrolledToLinkedStopRef = useRef(null);
+  const [shareFeedback, setShareFeedback] = useState(null); // stopId som nettopp fikk lenken kopiert
   const [ferryStopsLoaded, setFerryStopsLoaded] = useState(false);
 
   // Live mode state - track which ferry terminals have live mode enabled
@@ -299,6 +195,13 @@ function App() {
   const [carModeActive, setCarModeActive] = useState(false);
   const carModeActiveRef = useRef(false);
   const [carDirection, setCarDirection] = useState(null);
+  // Nærmeste kai fremover på veien vi kjører: { stopId, name, minutes }
+  const [roadAhead, setRoadAhead] = useState(null);
+  // Geofence: kaia vi står i kø på ({ id, name }) og overfarten når vi har kjørt om bord ({ from, to })
+  const [queueStop, setQueueStop] = useState(null);
+  const [crossing, setCrossing] = useState(null);
+  const queueOrCrossingRef = useRef(false);
+  queueOrCrossingRef.current = !!(queueStop || crossing);
   // Last GPS fix used for movement detection (auto car mode)
   const lastAutoLocationRef = useRef(null);
 
@@ -361,6 +264,13 @@ function App() {
   const [legalModalOpen, setLegalModalOpen] = useState(false);
   const [legalModalUrl, setLegalModalUrl] = useState('');
   const [legalModalTitle, setLegalModalTitle] = useState('');
+  const [tripPlannerOpen, setTripPlannerOpen] = useState(false);
+  const [showMap, setShowMap] = useState(false);
+  const [commuteProfilesOpen, setCommuteProfilesOpen] = useState(false);
+  const [diagnosticsOpen, setDiagnosticsOpen] = useState(false);
+  const [openJourney, setOpenJourney] = useState(null); // { departure, stopId } for turen som vises i arket
+  const versionTapsRef = useRef({ count: 0, last: 0 }); // fem raske trykk på versjonen åpner diagnostikk
+  const [commutePlans, setCommutePlans] = useState({}); // { [profileId]: CommutePlan | null }
   // Filter state for ferry categories
   const [filters, setFilters] = useState({
     carFerry: true, // localCarFerry (Bilferge)
@@ -396,6 +306,12 @@ function App() {
   // Inline destinations state - now supports multiple destinations per stop
   const [inlineDestinations, setInlineDestinations] = useState({}); // { [parentStopId]: [{ stopId, name, departures: array }] }
   const liveSearchRequestIdRef = useRef(0);
+
+  // Favourite stops ("Mine ferjekaier") – pinned above the results
+  const [favoriteStops, setFavoriteStops] = useState(() => loadFavoriteStops());
+  const [favoriteCards, setFavoriteCards] = useState({}); // { [stopId]: stop with departures }
+  const [favoriteReturnCards, setFavoriteReturnCards] = useState({}); // { [stopId]: return cards }
+  const [draggedFavoriteId, setDraggedFavoriteId] = useState(null);
   
     // Check GPS permission function
   const checkGPSPermission = async () => {
@@ -423,8 +339,9 @@ function App() {
     });
   };
 
-  // GPS search function - moved outside useEffect for direct calling
-  const executeGpsSearch = async () => {
+  // GPS search function - moved outside useEffect for direct calling.
+  // background: automatisk oppdatering i bilmodus, som ikke får bruke av rutebudsjettet over myk grense
+  const executeGpsSearch = async ({ background = false } = {}) => {
     // Prevent multiple simultaneous GPS searches. Checked and set synchronously
     // (before any await) so manual and automatic refresh triggers can't both slip
     // through and race each other to setFerryStops with a different sort order.
@@ -510,7 +427,16 @@ function App() {
       (async () => {
         try {
           const geocodingUrl = config.GOOGLE_MAPS_CONFIG.getGeocodingUrl(latitude, longitude);
+          // Stedsnavnet er pynt – over dagsbudsjettet beholder vi navnet vi allerede har
+          const geocodingProvider = config.HERE_CONFIG.isConfigured() ? 'here' : 'google';
+          if (geocodingUrl && !requestBudget.allows(geocodingProvider)) {
+            requestBudget.recordBlocked(geocodingProvider);
+            const coordinateName = `${Math.abs(latitude).toFixed(2)}°${latitude >= 0 ? 'N' : 'S'}, ${Math.abs(longitude).toFixed(2)}°${longitude >= 0 ? 'E' : 'W'}`;
+            setLocationName(prev => prev || coordinateName);
+            return;
+          }
           if (geocodingUrl) {
+            requestBudget.record(geocodingProvider);
             const response = await fetch(geocodingUrl);
             const data = await response.json();
             if (data?.items?.length > 0 || data?.results?.length > 0) {
@@ -586,22 +512,8 @@ function App() {
       const fetchDepartures = async (place) => {
         const attempt = async () => {
           // For GPS search, use default parameters since we don't have driving time yet
-          const queryParams = getDepartureQueryParams();
-          const depData = await client.request(DEPARTURES_QUERY, { 
-            id: place.id,
-            ...queryParams
-          });
-          const calls = depData.stopPlace?.estimatedCalls || [];
-          
-          const departures = calls
-            .filter(call => {
-              const sub = call.serviceJourney?.journeyPattern?.line?.transportSubmode;
-              const allowCar = filters.carFerry && sub === TRANSPORT_MODES.LOCAL_CAR_FERRY;
-              const allowPassenger = filters.passengerFerry && PASSENGER_FERRY_SUBMODES.includes(sub);
-              return sub && !EXCLUDED_SUBMODES.includes(sub) && (allowCar || allowPassenger);
-            })
-            .sort((a, b) => new Date(a.aimedDepartureTime) - new Date(b.aimedDepartureTime));
-          const sub = departures[0]?.serviceJourney?.journeyPattern?.line?.transportSubmode;
+          const departures = await enturService.getDepartures(place.id, { filters });
+          const sub = departures[0]?.submode;
           
           // Hvis passasjerbåt og for langt unna (>10km), hopp over
           if (sub && PASSENGER_FERRY_SUBMODES.includes(sub) && place.distance > 10000) {
@@ -653,32 +565,41 @@ function App() {
       const origin = { lat: latitude, lng: longitude };
       const localDrivingDistances = {}; // Local storage for distances (meters, for display)
       const localDrivingTimes = {}; // Local storage for driving times (minutes, for sorting)
+      const localRoadRoutes = {}; // Car routes actually computed on the road network, for the road corridor
 
       // Process stops in parallel for better performance
       const stopsToProcess = collectedWithDepartures.slice(0, 20); // Take the 20 closest after sorting
 
-      const drivingTimePromises = stopsToProcess.map(async (stop) => {
-        try {
-          const sub = stop?.nextDeparture?.serviceJourney?.journeyPattern?.line?.transportSubmode || stop?.submode;
-          const isPassengerCard = sub && PASSENGER_FERRY_SUBMODES.includes(sub);
-          if (isPassengerCard) {
-            const distanceMeters = typeof stop.distance === 'number' ? stop.distance : (() => {
-              const dLat = (stop.latitude - origin.lat) * 111000;
-              const dLng = (stop.longitude - origin.lng) * 111000 * Math.cos(origin.lat * Math.PI / 180);
-              return Math.sqrt(dLat * dLat + dLng * dLng);
-            })();
-            const walkingMinutes = Math.max(1, Math.round((distanceMeters / 1.4) / 60)); // 1.4 m/s ≈ 5 km/t
-            return { stop, result: { time: walkingMinutes, distance: distanceMeters, source: 'walking_estimate', hasFerry: false } };
-          }
-          const result = await calculateDrivingTime(origin, { lat: stop.latitude, lng: stop.longitude }, { roadOnly: true });
-          return { stop, result };
-        } catch (error) {
-          console.error(`📍 GPS Search: Error calculating travel time to ${stop.name}:`, error);
-          return { stop, result: null };
+      const isPassengerStop = (stop) => {
+        const sub = stop?.nextDeparture?.serviceJourney?.journeyPattern?.line?.transportSubmode || stop?.submode;
+        return sub && PASSENGER_FERRY_SUBMODES.includes(sub);
+      };
+
+      // Alle bilferjekaier i én matrise-forespørsel i stedet for ett rutekall per kai
+      const carStops = stopsToProcess.filter(stop => !isPassengerStop(stop));
+      let carResults = [];
+      try {
+        carResults = await calculateDrivingTimesBatch(
+          origin,
+          carStops.map(stop => ({ lat: stop.latitude, lng: stop.longitude })),
+          { roadOnly: true, essential: !background }
+        );
+      } catch (error) {
+        console.error('📍 GPS Search: Error calculating driving times:', error);
+      }
+
+      const drivingTimeResults = stopsToProcess.map((stop) => {
+        if (isPassengerStop(stop)) {
+          const distanceMeters = typeof stop.distance === 'number' ? stop.distance : (() => {
+            const dLat = (stop.latitude - origin.lat) * 111000;
+            const dLng = (stop.longitude - origin.lng) * 111000 * Math.cos(origin.lat * Math.PI / 180);
+            return Math.sqrt(dLat * dLat + dLng * dLng);
+          })();
+          const walkingMinutes = Math.max(1, Math.round((distanceMeters / 1.4) / 60)); // 1.4 m/s ≈ 5 km/t
+          return { stop, result: { time: walkingMinutes, distance: distanceMeters, source: 'walking_estimate', hasFerry: false } };
         }
+        return { stop, result: carResults[carStops.indexOf(stop)] || null };
       });
-
-      const drivingTimeResults = await Promise.all(drivingTimePromises);
       const drivableStops = [];
 
       for (const { stop, result } of drivingTimeResults) {
@@ -728,6 +649,9 @@ function App() {
         setDrivingTimeSources(prev => ({ ...prev, [stop.id]: result.source }));
         localDrivingDistances[stop.id] = result.distance;
         localDrivingTimes[stop.id] = result.time;
+        if (result.source !== 'haversine') {
+          localRoadRoutes[stop.id] = { lat: stop.latitude, lng: stop.longitude, distance: result.distance, time: result.time };
+        }
         drivableStops.push(stop);
       }
 
@@ -735,41 +659,18 @@ function App() {
       // Priority: 0 = ahead (in direction, not passed), 1 = unknown direction, 2 = passed/behind.
       // All stops are kept visible so the user can still see passed ferries, but they sort to the bottom.
       const stopDirectionPriority = {}; // stop.id -> 0 | 1 | 2
+      let roadCorridor = {};
 
       if (carModeActiveRef.current && latitude && longitude) {
-        const directionChecks = drivableStops.map(async (stop) => {
-          const ferryLat = stop.latitude;
-          const ferryLng = stop.longitude;
-
-          if (!ferryLat || !ferryLng) return { stop, priority: 1 };
-
-          try {
-            const [inDirection, passedByAPI] = await Promise.all([
-              carModeService.isInSameDirection(
-                latitude,
-                longitude,
-                ferryLat,
-                ferryLng
-              ),
-              carModeService.hasPassedFerry(
-                latitude,
-                longitude,
-                ferryLat,
-                ferryLng
-              )
-            ]);
-
-            const priority = passedByAPI ? 2 : inDirection ? 0 : 1;
-            return { stop, priority };
-          } catch (error) {
-            console.error('Error checking direction/passed for stop:', stop.id, error);
-            return { stop, priority: 1 };
-          }
-        });
-
-        const directionResults = await Promise.all(directionChecks);
-        for (const { stop, priority } of directionResults) {
-          stopDirectionPriority[stop.id] = priority;
+        // The matched road link, projected onward, tells which stops the road we drive on leads to.
+        // That beats the compass bearing on winding roads and fjords, so it wins where it is known.
+        roadCorridor = carModeService.getRoadCorridor(origin, localRoadRoutes);
+
+        // Outside the corridor (too far, or no recent road match): the filtered heading, without routing calls
+        for (const stop of drivableStops) {
+          const priority = roadCorridor[stop.id]?.priority
+            ?? carModeService.getBearingPriority(latitude, longitude, stop.latitude, stop.longitude);
+          if (priority !== null) stopDirectionPriority[stop.id] = priority;
         }
       }
 
@@ -785,6 +686,12 @@ function App() {
         return timeA - timeB;
       });
       
+      // Nærmeste kai fremover på veien, for banneret over resultatene
+      const aheadStop = finalPlaces.find(stop => roadCorridor[stop.id]?.priority === 0);
+      setRoadAhead(aheadStop
+        ? { stopId: aheadStop.id, name: aheadStop.name, minutes: roadCorridor[aheadStop.id].time }
+        : null);
+
       if (finalPlaces.length === 0) {
         setError('Ingen fergekaier tilgjengelige med bil fra din posisjon. Prøv å søke manuelt i stedet.');
         setLoading(false);
@@ -858,6 +765,15 @@ function App() {
       return;
     }
 
+    // Car mode already has a fresh position from the shared watch
+    const trackedFix = locationTracker.getRecentFix(CAR_MODE_REFRESH_INTERVAL);
+    if (trackedFix) {
+      setLocation({ latitude: trackedFix.latitude, longitude: trackedFix.longitude });
+      await computeNearbyAndUpdate(trackedFix.latitude, trackedFix.longitude);
+      setLoading(false);
+      return;
+    }
+
     try {
       // Try a quick, low-accuracy fix first (uses cached location if available)
       let pos;
@@ -1111,7 +1027,7 @@ function App() {
     // Enable car mode so direction detection kicks in
     carModeActiveRef.current = true;
     setCarModeActive(true);
-    carModeService.startTracking((direction) => setCarDirection(direction));
+    carModeService.startTracking((direction) => setCarDirection(direction), { followLocation: false });
 
     let stepIndex = 0;
     simPositionRef.current = { lat: SIM_ROUTE[0].lat, lng: SIM_ROUTE[0].lng };
@@ -1176,24 +1092,8 @@ function App() {
       }
 
       // Fetch fresh data if cache miss or expired
-      const data = await client.request(ALL_FERRY_STOPS_QUERY);
-      const allStops = data.stopPlaces || [];
-      
-      const stops = allStops.filter(
-        (stop) => {
-          if (!Array.isArray(stop.transportMode) || !stop.transportMode.includes('water')) return false;
-          if (EXCLUDED_SUBMODES.includes(stop.transportSubmode)) {
-            return false;
-          }
-          
-          // Prioriter localCarFerry, men inkluder også andre water transport stops som kan være relevante
-          if (stop.transportSubmode === TRANSPORT_MODES.LOCAL_CAR_FERRY) return true;
-          
-          // Inkluder også andre water transport stops som ikke er ekskludert
-          return true;
-        }
-      );
-      
+      const stops = await enturService.getFerryStops();
+
       // Apply manual coordinate overrides
       const stopsWithOverrides = stops.map((stop) => {
         const idOverride = STOP_COORDINATE_OVERRIDES[stop.id];
@@ -1316,7 +1216,7 @@ function App() {
           const result = await calculateDrivingTime(
             { lat: location.latitude, lng: location.longitude },
             { lat: stop.latitude, lng: stop.longitude },
-            { roadOnly: false }
+            { roadOnly: false, essential: true }
           );
           drivingTime = result.time;
         } catch (error) {
@@ -1329,22 +1229,8 @@ function App() {
       }
       
       // Bestem hvor mange avganger som skal hentes basert på kjøretid
-      const queryParams = getDepartureQueryParams(drivingTime);
-      
       try {
-        const data = await client.request(DEPARTURES_QUERY, { 
-          id: stop.id,
-          ...queryParams
-        });
-        const calls = data.stopPlace?.estimatedCalls || [];
-        departures = calls
-          .filter((call) => {
-            const sub = call.serviceJourney?.journeyPattern?.line?.transportSubmode;
-            const allowCar = filters.carFerry && sub === TRANSPORT_MODES.LOCAL_CAR_FERRY;
-            const allowPassenger = filters.passengerFerry && PASSENGER_FERRY_SUBMODES.includes(sub);
-            return sub && !EXCLUDED_SUBMODES.includes(sub) && (allowCar || allowPassenger);
-          })
-          .sort((a, b) => new Date(a.aimedDepartureTime) - new Date(b.aimedDepartureTime));
+        departures = await enturService.getDepartures(stop.id, { filters, drivingTimeMinutes: drivingTime });
       } catch {
         // Ignorer feil for individuelle fergekaier
       }
@@ -1360,7 +1246,7 @@ function App() {
           const result = await calculateDrivingTime(
             { lat: location.latitude, lng: location.longitude },
             { lat: stop.latitude, lng: stop.longitude },
-            { roadOnly: false } // Allow ferries in search mode - show all ferry stops
+            { roadOnly: false, essential: true } // Allow ferries in search mode - show all ferry stops
           );
           
           // I søkefunksjonen skal vi vise alle fergekaier, også de som krever ferge for å komme til
@@ -1511,157 +1397,117 @@ function App() {
     };
   }, [showDrivingTimes, location, ferryStops]);
 
-  // Fast GPS updates for direction detection in car mode (every 3 seconds)
-  const carModeFastDirectionRef = useRef(null);
+  // Bilmodus uten ny posisjon (parkert, stillestående kø): hent avgangene og sanntiden på nytt,
+  // men behold rekkefølgen – kjøretidene endrer seg ikke når bilen står stille
+  const refreshShownDepartures = async () => {
+    const stops = ferryStops.slice(0, 20);
+    if (stops.length === 0 || gpsSearchInFlightRef.current) return;
+    const results = await Promise.all(stops.map(async (stop) => {
+      try {
+        return [stop.id, await enturService.getDepartures(stop.id, { filters })];
+      } catch (error) {
+        console.warn(`Kunne ikke oppdatere avgangene for ${stop.name}:`, error);
+        return null;
+      }
+    }));
+    const fresh = Object.fromEntries(results.filter(Boolean));
+    setDeparturesMap(prev => ({ ...prev, ...fresh }));
+    setFerryStops(prev => prev.map(stop => (fresh[stop.id]
+      ? { ...stop, departures: fresh[stop.id], nextDeparture: fresh[stop.id][0] || null }
+      : stop)));
+  };
+
+  // Car mode: follow the shared position watch (CarModeService reads the same fixes for direction)
+  // and refresh every 15 seconds – the whole nearby list when the car has moved away from where
+  // the list was searched, otherwise only the departures. watchPosition keeps sending jittery fixes
+  // while the car is parked, so a new fix alone is no movement
+  const executeGpsSearchRef = useRef(executeGpsSearch);
+  executeGpsSearchRef.current = executeGpsSearch;
+  const refreshShownDeparturesRef = useRef(refreshShownDepartures);
+  refreshShownDeparturesRef.current = refreshShownDepartures;
   useEffect(() => {
-    if (carModeActive && mode === 'gps') {
-      // Fast GPS updates every 3 seconds for quick direction detection
-      carModeFastDirectionRef.current = setInterval(async () => {
-        try {
-          // Get fresh GPS position for direction detection only
-          if (isIOS) {
-            try {
-              const permissionState = await Geolocation.checkPermissions();
-              if (permissionState.location === 'granted') {
-                const position = await Geolocation.getCurrentPosition({
-                  enableHighAccuracy: true,
-                  timeout: 3000,
-                  maximumAge: 2000 // Very fresh position for direction detection
-                });
-                const { latitude, longitude } = position.coords;
-                // Add position to car mode service for direction calculation
-                carModeService.addPosition(latitude, longitude);
-                // Update direction state if available
-                const currentDir = carModeService.getCurrentDirection();
-                if (currentDir !== null) {
-                  setCarDirection(currentDir);
-                }
-              }
-            } catch (error) {
-              // Silently fail - direction detection is non-critical
-            }
-          } else {
-            // Browser geolocation
-            navigator.geolocation.getCurrentPosition(
-              (position) => {
-                const { latitude, longitude } = position.coords;
-                // Add position to car mode service for direction calculation
-                carModeService.addPosition(latitude, longitude);
-                // Update direction state if available
-                const currentDir = carModeService.getCurrentDirection();
-                if (currentDir !== null) {
-                  setCarDirection(currentDir);
-                }
-              },
-              (error) => {
-                // Silently fail - direction detection is non-critical
-              },
-              { enableHighAccuracy: true, timeout: 3000, maximumAge: 2000 }
-            );
-          }
-        } catch (error) {
-          // Silently fail - direction detection is non-critical
-        }
-      }, 3000); // 3 seconds for fast direction detection
-      
-      return () => {
-        if (carModeFastDirectionRef.current) {
-          clearInterval(carModeFastDirectionRef.current);
-          carModeFastDirectionRef.current = null;
-        }
-      };
-    } else {
-      // Clear interval when car mode is disabled
-      if (carModeFastDirectionRef.current) {
-        clearInterval(carModeFastDirectionRef.current);
-        carModeFastDirectionRef.current = null;
+    if (!carModeActive || mode !== 'gps' || isSimulationMode()) return;
+
+    let latestFix = null;
+    const unsubscribe = locationTracker.subscribe(
+      (fix) => { latestFix = fix; },
+      (error) => console.error('Error updating GPS in car mode:', error)
+    );
+    const interval = setInterval(() => {
+      const searched = lastAutoLocationRef.current;
+      const moved = !!latestFix && (!searched || carModeService.calculateDistance(
+        searched.lat, searched.lng, latestFix.latitude, latestFix.longitude
+      ) >= CAR_MODE_MIN_MOVE);
+      if (moved) {
+        setLocation({ latitude: latestFix.latitude, longitude: latestFix.longitude });
       }
-    }
-  }, [carModeActive, mode, isIOS]);
+      latestFix = null;
+      // I køen eller på ferja er kjøretidene uinteressante, og kortet der oppdaterer seg selv
+      if (queueOrCrossingRef.current) return;
+      if (moved) {
+        executeGpsSearchRef.current({ background: true });
+      } else {
+        refreshShownDeparturesRef.current();
+      }
+    }, CAR_MODE_REFRESH_INTERVAL);
+
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, [carModeActive, mode]);
 
-  // Car mode auto-update every 15 seconds when active (for full search refresh)
-  const carModeIntervalRef = useRef(null);
+  // Geofence: "i kø" når vi står på en kai, "ombord" når vi forlater den mot andre siden
+  // eller sporet viser at vi er ute på et samband (CrossingService).
+  // Posisjonen følges bare i bilmodus eller når en kai er like i nærheten.
+  const nearQuay = ferryStops.some(stop => typeof stop.distance === 'number' && stop.distance <= config.GEOFENCE_CONFIG.WATCH_DISTANCE);
+  const watchGeofences = mode === 'gps' && !isSimulationMode() && (carModeActive || nearQuay || queueOrCrossingRef.current);
   useEffect(() => {
-    if (carModeActive && mode === 'gps' && location) {
-      // Start interval to update GPS and re-run search every 15 seconds
-      carModeIntervalRef.current = setInterval(async () => {
-        try {
-          // Get fresh GPS position
-          if (isIOS) {
-            try {
-              const permissionState = await Geolocation.checkPermissions();
-              if (permissionState.location === 'granted') {
-                const position = await Geolocation.getCurrentPosition({
-                  enableHighAccuracy: true,
-                  timeout: 5000,
-                  maximumAge: 15000
-                });
-                const { latitude, longitude } = position.coords;
-                setLocation({ latitude, longitude });
-                carModeService.addPosition(latitude, longitude);
-                // Update direction state if available
-                const currentDir = carModeService.getCurrentDirection();
-                if (currentDir !== null) {
-                  setCarDirection(currentDir);
-                }
-                // Re-run GPS search with new position
-                await executeGpsSearch();
-              }
-            } catch (error) {
-              console.error('Error updating GPS in car mode:', error);
-            }
-          } else {
-            // Browser geolocation
-            navigator.geolocation.getCurrentPosition(
-              (position) => {
-                const { latitude, longitude } = position.coords;
-                setLocation({ latitude, longitude });
-                carModeService.addPosition(latitude, longitude);
-                // Update direction state if available
-                const currentDir = carModeService.getCurrentDirection();
-                if (currentDir !== null) {
-                  setCarDirection(currentDir);
-                }
-                // Re-run GPS search with new position
-                executeGpsSearch();
-              },
-              (error) => {
-                console.error('Error updating GPS in car mode:', error);
-              },
-              { enableHighAccuracy: true, timeout: 5000, maximumAge: 15000 }
-            );
+    if (mode !== 'gps') return;
+    geofenceService.setFences(ferryStops
+      .filter(stop => stop.latitude && stop.longitude)
+      .map(stop => ({ id: stop.id, name: stop.name, latitude: stop.latitude, longitude: stop.longitude })));
+  }, [ferryStops, mode]);
+
+  // Linjene (med kaienes koordinater) ved de nærmeste kaiene, så overfarten kan kjennes igjen
+  useEffect(() => {
+    if (!watchGeofences) return;
+    crossingService.loadLines(ferryStops.slice(0, 4).map(stop => stop.id));
+  }, [ferryStops, watchGeofences]);
+
+  useEffect(() => {
+    if (!watchGeofences) return;
+    const unsubscribeCrossing = crossingService.subscribe(setCrossing);
+    const unsubscribeGeofence = geofenceService.subscribe((event) => {
+      if (event.type === 'arrived' && crossingService.hasJustLanded(event.fence.id)) {
+        // Vi kjører av ferja her, vi står ikke i kø
+        executeGpsSearchRef.current({ background: true });
+      } else if (event.type === 'arrived') {
+        crossingService.end();
+        setQueueStop({ id: event.fence.id, name: event.fence.name });
+        // Kaia på andre siden, så en overfart kan skilles fra at vi kjører fra kaia
+        findDestinationByLineOtherQuay(event.fence.id).then(other => {
+          if (other) {
+            geofenceService.setDestinations(event.fence.id, [
+              { id: other.id, name: other.name, latitude: other.latitude, longitude: other.longitude }
+            ]);
           }
-        } catch (error) {
-          console.error('Error in car mode auto-update:', error);
-        }
-      }, 15000); // 15 seconds
-      
-      return () => {
-        if (carModeIntervalRef.current) {
-          clearInterval(carModeIntervalRef.current);
-          carModeIntervalRef.current = null;
+        });
+      } else if (event.type === 'departed') {
+        setQueueStop(null);
+        if (event.crossingTo) {
+          crossingService.begin(event.fence, event.crossingTo);
         }
-      };
-    } else {
-      // Clear interval when car mode is disabled
-      if (carModeIntervalRef.current) {
-        clearInterval(carModeIntervalRef.current);
-        carModeIntervalRef.current = null;
+      } else if (event.type === 'landed') {
+        crossingService.end();
+        executeGpsSearchRef.current({ background: true });
       }
-    }
-  }, [carModeActive, mode, location]);
-
-  // Cleanup all intervals on unmount
-  useEffect(() => {
+    });
     return () => {
-      if (carModeFastDirectionRef.current) {
-        clearInterval(carModeFastDirectionRef.current);
-      }
-      if (carModeIntervalRef.current) {
-        clearInterval(carModeIntervalRef.current);
-      }
+      unsubscribeCrossing();
+      unsubscribeGeofence();
     };
-  }, []);
+  }, [watchGeofences]);
 
   // Cleanup live mode and car mode when component unmounts or ferry stops change
   useEffect(() => {
@@ -1669,9 +1515,6 @@ function App() {
       // Stop all services on unmount
       liveModeService.stop();
       carModeService.stopTracking();
-      if (carModeIntervalRef.current) {
-        clearInterval(carModeIntervalRef.current);
-      }
     };
   }, []);
 
@@ -1684,6 +1527,170 @@ function App() {
     }
   }, [ferryStops]);
 
+  // Hent avviksmeldinger for de synlige fergekaiene
+  useEffect(() => {
+    if (ferryStops.length === 0 && favoriteStops.length === 0) {
+      setSituationsMap({});
+      return;
+    }
+    let cancelled = false;
+    const stopIds = [...new Set([...favoriteStops, ...ferryStops.slice(0, 10)].map(stop => stop.id).filter(Boolean))];
+    Promise.all(stopIds.map(async (stopId) => {
+      try {
+        return [stopId, await enturService.getSituations(stopId)];
+      } catch {
+        return [stopId, []];
+      }
+    })).then(entries => {
+      if (!cancelled) setSituationsMap(Object.fromEntries(entries));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [ferryStops, favoriteStops]);
+
+  // Planlegg "dra hjemmefra"-varsler for pendlerprofilene ved oppstart
+  useEffect(() => {
+    if (commuteService.getProfiles().length === 0) return;
+    commuteService.scheduleAll()
+      .then(setCommutePlans)
+      .catch(err => console.error('Failed to schedule commute notifications:', err));
+  }, []);
+
+  // Følg med på hvilke fergekaier som vises fra lagret rutetid (offline)
+  useEffect(() => enturService.subscribeOffline(setOfflineSnapshots), []);
+
+  // Lagre favoritter ved endring
+  useEffect(() => {
+    saveFavoriteStops(favoriteStops);
+  }, [favoriteStops]);
+
+  // Hent avganger og returkort for favorittene ved oppstart og når listen eller filteret endres.
+  // Listen og returkort-henteren leses via ref, så effekten kjøres bare når id-ene eller filteret endres
+  // Sortert, så det ikke hentes på nytt når favorittene bare flyttes
+  const favoriteIdsKey = favoriteStops.map(stop => stop.id).sort().join('|');
+  const favoriteStopsRef = useRef(favoriteStops);
+  favoriteStopsRef.current = favoriteStops;
+  const loadReturnCardForStopRef = useRef(null);
+  useEffect(() => {
+    const stops = favoriteStopsRef.current;
+    if (stops.length === 0) {
+      setFavoriteCards({});
+      setFavoriteReturnCards({});
+      return;
+    }
+    let cancelled = false;
+    (async () => {
+      const loaded = await Promise.all(stops.map(async (stop) => {
+        let departures = [];
+        try {
+          // Hele døgnet, slik at offline-kopien dekker de neste 24 timene
+          departures = await enturService.getDepartures(stop.id, { filters, timeRange: 86400, numberOfDepartures: 100 });
+        } catch {
+          // Ignorer feil for individuelle fergekaier
+        }
+        return { ...stop, distance: null, departures };
+      }));
+      if (cancelled) return;
+      setFavoriteCards(Object.fromEntries(loaded.map(stop => [stop.id, stop])));
+
+      const returnCards = await Promise.all(loaded.map(stop => loadReturnCardForStopRef.current(stop)));
+      if (cancelled) return;
+      setFavoriteReturnCards(returnCards.reduce((acc, card, index) => {
+        const cards = (Array.isArray(card) ? card : [card]).filter(Boolean);
+        if (cards.length > 0) acc[loaded[index].id] = cards;
+        return acc;
+      }, {}));
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [favoriteIdsKey, filters]);
+
+  const isFavoriteStop = (stopId) => favoriteStops.some(fav => fav.id === stopId);
+
+  const handleToggleFavorite = (stop) => {
+    setFavoriteStops(prev => toggleFavoriteStop(prev, stop));
+  };
+
+  // Opp/ned-knappene er et tilgjengelig alternativ til å dra
+  const handleMoveFavorite = (index, offset) => {
+    setFavoriteStops(prev => moveFavoriteStop(prev, index, index + offset));
+  };
+
+  // Dra og slipp med pekerhendelser – HTML5-dra virker ikke med berøring på iOS.
+  // Kortet flyttes mens det dras, hver gang pekeren kommer over et annet favorittkort
+  const handleFavoritePointerDown = (event, stopId) => {
+    event.preventDefault();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setDraggedFavoriteId(stopId);
+  };
+
+  const handleFavoritePointerMove = (event) => {
+    if (!draggedFavoriteId) return;
+    const target = document.elementFromPoint(event.clientX, event.clientY)?.closest('[data-favorite-id]');
+    const targetId = target?.dataset.favoriteId;
+    if (!targetId || targetId === draggedFavoriteId) return;
+    setFavoriteStops(prev => moveFavoriteStop(
+      prev,
+      prev.findIndex(fav => fav.id === draggedFavoriteId),
+      prev.findIndex(fav => fav.id === targetId)
+    ));
+  };
+
+  const handleFavoritePointerEnd = () => {
+    setDraggedFavoriteId(null);
+  };
+
+  // Favoritter uten kommende avganger vises som en linje under overskriften
+  const hasUpcomingFavoriteDeparture = (stopId) => {
+    const now = new Date();
+    return (favoriteCards[stopId]?.departures || []).some(dep => getEffectiveDepartureTime(dep) > now);
+  };
+
+  // Drahåndtak og flytteknapper over et favorittkort
+  const renderFavoriteControls = (stop) => {
+    const index = favoriteStops.findIndex(fav => fav.id === stop.id);
+    if (favoriteStops.length < 2) return null;
+    return (
+      <div className="flex justify-end gap-1 mb-1 px-1">
+        <button
+          type="button"
+          aria-hidden="true"
+          tabIndex={-1}
+          onPointerDown={(event) => handleFavoritePointerDown(event, stop.id)}
+          onPointerMove={handleFavoritePointerMove}
+          onPointerUp={handleFavoritePointerEnd}
+          onPointerCancel={handleFavoritePointerEnd}
+          className="px-2 text-sm mr-auto cursor-grab"
+          style={{ color: theme.colors.textWhite, touchAction: 'none' }}
+        >
+          ☰
+        </button>
+        <button
+          type="button"
+          aria-label={`Flytt ${cleanDestinationText(stop.name || '')} opp`}
+          disabled={index === 0}
+          onClick={() => handleMoveFavorite(index, -1)}
+          className="px-2 text-sm disabled:opacity-30"
+          style={{ color: theme.colors.textWhite }}
+        >
+          ▲
+        </button>
+        <button
+          type="button"
+          aria-label={`Flytt ${cleanDestinationText(stop.name || '')} ned`}
+          disabled={index === favoriteStops.length - 1}
+          onClick={() => handleMoveFavorite(index, 1)}
+          className="px-2 text-sm disabled:opacity-30"
+          style={{ color: theme.colors.textWhite }}
+        >
+          ▼
+        </button>
+      </div>
+    );
+  };
+
 
 
 
@@ -1703,13 +1710,124 @@ function App() {
     await executeGpsSearch();
   };
 
-  // Start GPS-modus automatisk når appen åpnes
+  // Åpne det lenken peker på: søk på navnet til kaia og merk den (og eventuelt avgangen)
+  const applyDeepLink = async (link) => {
+    if (link.q && !link.stop) {
+      setLinkedStop(null);
+      setMode('search');
+      setQuery(link.q);
+      return;
+    }
+    if (!link.stop) {
+      if (link.mode === 'gps') handleGPSLocation();
+      return;
+    }
+
+    // Fergekaiene lastes ved oppstart; vent litt på dem
+    const startWait = Date.now();
+    while ((!allFerryQuaysRef.current || allFerryQuaysRef.current.length === 0) && (Date.now() - startWait) < 8000) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    let name = allFerryQuaysRef.current.find(stop => stop.id === link.stop)?.name;
+    if (!name) {
+      try {
+        name = (await enturService.fetchStopPlace(link.stop)).stopPlace?.name;
+      } catch (_) {}
+    }
+    if (!name) {
+      setError('Fant ikke fergekaien i lenken.');
+      return;
+    }
+
+    scrolledToLinkedStopRef.current = null;
+    setLinkedStop({ stopId: link.stop, dep: link.dep, query: name });
+    setMode('search');
+    setQuery(name);
+  };
+
+  // Start GPS-modus automatisk når appen åpnes, med mindre lenken peker på en kai eller et søk
   useEffect(() => {
     if (isSimulationMode()) return; // Simuleringsmodus styrer GPS selv
+    const link = initialDeepLinkRef.current;
+    if (hasDeepLinkTarget(link)) {
+      applyDeepLink(link).finally(() => { initialDeepLinkRef.current = null; });
+      return;
+    }
+    initialDeepLinkRef.current = null;
     handleGPSLocation();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // fergetid://-lenker åpnet mens appen kjører (iOS)
+  const applyDeepLinkRef = useRef(applyDeepLink);
+  applyDeepLinkRef.current = applyDeepLink;
+  useEffect(() => {
+    if (!Capacitor.isNativePlatform()) return;
+    const listenerPromise = CapacitorApp.addListener('appUrlOpen', ({ url }) => {
+      applyDeepLinkRef.current(parseDeepLink(url));
+    });
+    return () => {
+      listenerPromise.then(listener => listener.remove()).catch(() => {});
+    };
+  }, []);
+
+  // Rull til kaia fra lenken når kortet er på plass
+  useEffect(() => {
+    if (!linkedStop || scrolledToLinkedStopRef.current === linkedStop.stopId) return;
+    if (!ferryStops.some(stop => stop.id === linkedStop.stopId)) return;
+    scrolledToLinkedStopRef.current = linkedStop.stopId;
+    requestAnimationFrame(() => {
+      document.getElementById('ferry-card-' + linkedStop.stopId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  }, [linkedStop, ferryStops]);
+
+  // Hold adresselinjen i takt med det som vises, så den kan kopieres og deles
+  useEffect(() => {
+    if (isSimulationMode()) return;
+    // Ikke skriv over lenken mens kaia i den slås opp
+    if (initialDeepLinkRef.current && !query.trim()) return;
+    const trimmedQuery = query.trim();
+    if (linkedStop && trimmedQuery === linkedStop.query) {
+      replaceDeepLinkInUrl({ stop: linkedStop.stopId, dep: linkedStop.dep });
+    } else if (mode === 'search' && trimmedQuery) {
+      replaceDeepLinkInUrl({ q: trimmedQuery });
+    } else {
+      replaceDeepLinkInUrl({ mode: mode === 'gps' ? 'gps' : null });
+    }
+  }, [mode, query, linkedStop]);
+
+  // Trykk på en avgang åpner hele turen (alle anløp) i et ark
+  const getJourneyRowProps = (dep, stopId) => {
+    if (!dep.serviceJourney?.id) return {};
+    const open = () => setOpenJourney({ departure: dep, stopId });
+    return {
+      role: 'button',
+      tabIndex: 0,
+      onClick: open,
+      onKeyDown: (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          open();
+        }
+      }
+    };
+  };
+
+  const handleShareStop = async (stopData) => {
+    const name = cleanDestinationText(stopData.name || '');
+    const result = await shareLink({
+      title: `${name} – FergeTid`,
+      text: `Avganger fra ${name}`,
+      url: buildShareUrl({ stop: stopData.id })
+    });
+    if (result === 'copied') {
+      setShareFeedback(stopData.id);
+      setTimeout(() => setShareFeedback(current => (current === stopData.id ? null : current)), 2000);
+    } else if (result === 'failed') {
+      setError('Kunne ikke dele lenken.');
+    }
+  };
+
 
 
 
@@ -1723,6 +1841,21 @@ function App() {
     
     // Limit max concurrent calculations to reduce bursts
     const stopsToProcess = ferryStops.slice(0, 12); // cap to 12 visible/nearby
+    const isPassengerOnlyStop = (stop) => {
+      const sub = stop?.nextDeparture?.serviceJourney?.journeyPattern?.line?.transportSubmode;
+      return (filters.passengerFerry && !filters.carFerry) && sub && PASSENGER_FERRY_SUBMODES.includes(sub);
+    };
+
+    // Kjøretider for alle bilferjekaiene i én matrise-forespørsel
+    const carStops = stopsToProcess.filter(stop => !isPassengerOnlyStop(stop));
+    const batchPromise = calculateDrivingTimesBatch(
+      startCoords,
+      carStops.map(stop => ({ lat: stop.latitude, lng: stop.longitude })),
+      // I bilmodus kommer dette av posisjonsoppdateringer, ikke av at brukeren ba om det
+      { roadOnly: true, essential: !carModeActiveRef.current }
+    );
+    batchPromise.catch(() => {}); // Feil håndteres per fergekai under
+
     for (const stop of stopsToProcess) {
       const stopId = stop.id;
       setDrivingTimesLoading(prev => ({ ...prev, [stopId]: true }));
@@ -1730,8 +1863,7 @@ function App() {
       const endCoords = { lat: stop.latitude, lng: stop.longitude };
       
       try {
-        const sub = stop?.nextDeparture?.serviceJourney?.journeyPattern?.line?.transportSubmode;
-        const isPassengerOnly = (filters.passengerFerry && !filters.carFerry) && sub && PASSENGER_FERRY_SUBMODES.includes(sub);
+        const isPassengerOnly = isPassengerOnlyStop(stop);
         let result;
         if (isPassengerOnly) {
           // walking estimate 1.4 m/s
@@ -1741,9 +1873,8 @@ function App() {
           const walkingMinutes = Math.max(1, Math.round((distance / 1.4) / 60));
           result = { time: walkingMinutes, distance, source: 'walking_estimate', hasFerry: false };
         } else {
-          // Bruk Google Maps API for mer nøyaktige kjøretider
-          // This function now has its own fallback chain built-in
-          result = await calculateDrivingTime(startCoords, endCoords, { roadOnly: true });
+          // Samme fallback-kjede som calculateDrivingTime for det matrisen ikke kunne svare på
+          result = (await batchPromise)[carStops.indexOf(stop)];
         }
         
         // Skip if route contains ferries
@@ -1805,16 +1936,8 @@ function App() {
       }
       
       // Standard logikk for vanlige fergesamband
-                const queryParams = getDepartureQueryParams();
-          const dataLine = await client.request(ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY, { 
-            id: stop.id,
-            ...queryParams
-          });
-      const callsLine = dataLine.stopPlace?.estimatedCalls || [];
-      const anyFerry = callsLine.find(call => {
-        const sub = call.serviceJourney?.journeyPattern?.line?.transportSubmode;
-        return sub === TRANSPORT_MODES.LOCAL_CAR_FERRY || PASSENGER_FERRY_SUBMODES.includes(sub);
-      });
+      const callsLine = await enturService.getDepartures(stop.id, { detailed: true });
+      const anyFerry = callsLine.find(call => isFerrySubmode(call.submode));
       const line = anyFerry?.serviceJourney?.journeyPattern?.line;
 
       if (line && Array.isArray(line.quays) && line.quays.length >= 2) {
@@ -1830,6 +1953,7 @@ function App() {
     }
     return null; // Return null if anything fails
   };
+  loadReturnCardForStopRef.current = loadReturnCardForStop;
 
 
 
@@ -1922,33 +2046,9 @@ function App() {
   // Find destination using only line hierarchy: pick the other quay on the line for the parent stop
   const findDestinationByLineOtherQuay = async (parentStopId) => {
     try {
-      const queryParams = getDepartureQueryParams();
-      const data = await client.request(ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY, { 
-        id: parentStopId,
-        ...queryParams
-      });
-      const calls = data.stopPlace?.estimatedCalls || [];
-      const anyFerryCall = calls.find(call => call.serviceJourney?.journeyPattern?.line?.transportSubmode === TRANSPORT_MODES.LOCAL_CAR_FERRY);
-      const line = anyFerryCall?.serviceJourney?.journeyPattern?.line;
-      if (!line || !Array.isArray(line.quays) || line.quays.length < 2) return null;
-
-      const parentQuay = allFerryQuays.find(q => q.id === parentStopId);
-      // Prefer quay whose stopPlace differs from parent; fallback to first different quay by id
-      const destinationQuay = line.quays.find(q => q?.stopPlace?.id && q.stopPlace.id !== parentStopId) ||
-                              line.quays.find(q => q?.id && q.id !== parentStopId) || null;
-      if (!destinationQuay) return null;
-
-      if (destinationQuay.stopPlace) {
-        return {
-          id: destinationQuay.stopPlace.id,
-          name: destinationQuay.stopPlace.name,
-          quayId: destinationQuay.id,
-          quayName: destinationQuay.name,
-          lineId: line.id,
-          lineName: line.name
-        };
-      }
-      return null;
+      const calls = await enturService.getDepartures(parentStopId, { detailed: true });
+      const anyFerryCall = calls.find(call => call.submode === TRANSPORT_MODES.LOCAL_CAR_FERRY);
+      return getOtherQuayOnLine(anyFerryCall?.serviceJourney?.journeyPattern?.line, parentStopId);
     } catch {
       return null;
     }
@@ -1967,12 +2067,7 @@ function App() {
       }
 
       // Get departures from parent stop with journeyPattern data including quays
-      const queryParams = getDepartureQueryParams();
-      const data = await client.request(ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY, { 
-        id: parentStopId,
-        ...queryParams
-      });
-      const calls = data.stopPlace?.estimatedCalls || [];
+      const calls = await enturService.getDepartures(parentStopId, { detailed: true });
       
       // Find departures that match the destination text
       const matchingDepartures = calls.filter(call => {
@@ -1992,10 +2087,7 @@ function App() {
       // Get the line and its quays: prefer a matching departure; fallback to any local car or passenger ferry call
       let line = matchingDepartures[0]?.serviceJourney?.journeyPattern?.line;
       if (!line) {
-        const anyFerryCall = calls.find(call => {
-          const sub = call.serviceJourney?.journeyPattern?.line?.transportSubmode;
-          return sub === TRANSPORT_MODES.LOCAL_CAR_FERRY || PASSENGER_FERRY_SUBMODES.includes(sub);
-        });
+        const anyFerryCall = calls.find(call => isFerrySubmode(call.submode));
         if (anyFerryCall) {
           line = anyFerryCall.serviceJourney?.journeyPattern?.line;
         }
@@ -2059,88 +2151,9 @@ function App() {
   // Enhanced function to find return departures using Quay-based journeyPattern matching
   const findReturnDeparturesUsingJourneyPattern = async (parentStopId, destinationStopId, lineId = null) => {
     try {
-      // Finding return departures using journey pattern matching
-      
-      // Get parent quay details - check both quay.id and quay.stopPlace.id
-      const parentQuay = allFerryQuays.find(q => 
-        q.id === parentStopId || q.stopPlace?.id === parentStopId
-      );
-      
-      // Get destination quay details - check both quay.id and quay.stopPlace.id  
-      const destinationQuay = allFerryQuays.find(q => 
-        q.id === destinationStopId || q.stopPlace?.id === destinationStopId
-      );
-      
-      if (!parentQuay || !destinationQuay) {
-        // Missing quays, using direct API-based approach
-        // Fall back to direct API-based matching without relying on allFerryQuays
-      }
-
       // Get departures from destination stop with journeyPattern data including quays
-      const queryParams = getDepartureQueryParams();
-      const data = await client.request(ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY, { 
-        id: destinationStopId,
-        ...queryParams
-      });
-      const calls = data.stopPlace?.estimatedCalls || [];
-      
-      // Limit the number of calls to process to prevent infinite loops
-      const limitedCalls = calls.slice(0, 50); // Only process first 50 calls
-      
-      // Find return departures using QUAY-ONLY logic
-      let returnDepartures = limitedCalls.filter(call => {
-        const journeyPattern = call.serviceJourney?.journeyPattern;
-        if (!journeyPattern) return false;
-        
-        // Check if this is a relevant water ferry (broaden beyond only localCarFerry)
-        const submode = journeyPattern.line?.transportSubmode;
-        const mode = journeyPattern.line?.transportMode;
-        const isRelevantFerry = mode === TRANSPORT_MODES.WATER && !EXCLUDED_SUBMODES.includes(submode) && (
-          (filters.carFerry && submode === TRANSPORT_MODES.LOCAL_CAR_FERRY) ||
-          (filters.passengerFerry && PASSENGER_FERRY_SUBMODES.includes(submode))
-        );
-        if (!isRelevantFerry) return false;
-        
-        // QUAY-ONLY: Check if the line has quays that match the parent stop
-        const line = journeyPattern.line;
-        // Sjekk både StopPlace-ID og Quay-ID (noen API-responser kan bruke ulike nivå)
-        const hasMatchingQuay = !!(line && Array.isArray(line.quays) && line.quays.some(quay => (
-          quay?.stopPlace?.id === parentStopId || quay?.id === parentStopId
-        )));
-        
-        // If no direct match but we have a lineId, try line-based matching
-        if (!hasMatchingQuay && lineId && line?.id === lineId) {
-          return true;
-        }
-        
-        // QUAY-ONLY: Only return true if we have a matching quay
-        return hasMatchingQuay;
-      });
-
-      // If none matched by quay but we know the lineId, use same-line departures as a fallback
-      if (returnDepartures.length === 0 && lineId) {
-        returnDepartures = limitedCalls.filter(call => call.serviceJourney?.journeyPattern?.line?.id === lineId);
-      }
-      
-      // If we have a lineId, prioritize departures from the same line
-      let prioritizedDepartures = returnDepartures;
-      if (lineId) {
-        const sameLineDepartures = returnDepartures.filter(call => 
-          call.serviceJourney?.journeyPattern?.line?.id === lineId
-        );
-        if (sameLineDepartures.length > 0) {
-          prioritizedDepartures = sameLineDepartures;
-        }
-      }
-      
-      // Limit the number of return departures to prevent performance issues
-      const limitedReturnDepartures = prioritizedDepartures.slice(0, 20);
-      
-      // Return departures found and prioritized
-      return limitedReturnDepartures
-        .sort((a, b) => new Date(a.aimedDepartureTime) - new Date(b.aimedDepartureTime))
-        .map(dep => ({ ...dep, aimed: new Date(dep.aimedDepartureTime) }));
-        
+      const calls = await enturService.getDepartures(destinationStopId, { detailed: true });
+      return selectReturnDepartures(calls, parentStopId, lineId, filters);
     } catch (error) {
       return [];
     }
@@ -2599,6 +2612,40 @@ function App() {
                 </div>
               )}
               
+              {/* Trip planner */}
+              <div className="mt-4 pt-3 border-t" style={{ borderColor: theme.colors.border }}>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowHamburgerMenu(false);
+                    setTripPlannerOpen(true);
+                  }}
+                  className="w-full px-3 py-2 rounded-lg text-sm font-bold text-left"
+                  style={{
+                    backgroundColor: theme.colors.primary,
+                    color: theme.colors.textWhite,
+                    fontFamily: theme.fonts.primary
+                  }}
+                >
+                  Planlegg reise med flere ferjer
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setShowHamburgerMenu(false);
+                    setCommuteProfilesOpen(true);
+                  }}
+                  className="w-full mt-2 px-3 py-2 rounded-lg text-sm font-bold text-left border"
+                  style={{
+                    borderColor: theme.colors.border,
+                    color: theme.colors.textPrimary,
+                    fontFamily: theme.fonts.primary
+                  }}
+                >
+                  Pendlerprofiler og varsler
+                </button>
+              </div>
+
               {/* Theme Selector */}
               <div className="mt-4 pt-3 border-t" style={{ borderColor: theme.colors.border }}>
                 <div className="text-sm font-bold mb-2" style={{ color: theme.colors.textPrimary, fontFamily: theme.fonts.primary }}>
@@ -2692,6 +2739,24 @@ function App() {
                     );
                   })()}
                 </div>
+                <button
+                  type="button"
+                  onClick={() => {
+                    const now = Date.now();
+                    const taps = versionTapsRef.current;
+                    taps.count = now - taps.last < 1500 ? taps.count + 1 : 1;
+                    taps.last = now;
+                    if (taps.count >= 5) {
+                      taps.count = 0;
+                      setShowHamburgerMenu(false);
+                      setDiagnosticsOpen(true);
+                    }
+                  }}
+                  className="mt-2 text-xs select-none"
+                  style={{ color: theme.colors.textSecondary, fontFamily: theme.fonts.primary }}
+                >
+                  Fergetid v{appVersion}
+                </button>
               </div>
             </div>
           </div>
@@ -2767,8 +2832,74 @@ function App() {
           </div>
         )}
 
+        {/* Bilmodus: nærmeste kai fremover på veien */}
+        {hasInteracted && !loading && mode === 'gps' && carModeActive && roadAhead && !queueStop && !crossing && (
+          <div className={`w-full flex flex-col items-center ${theme.layout.cardStyle === 'minima' ? 'px-0 md:px-4' : 'px-4'}`}>
+            <button
+              type="button"
+              onClick={() => document.getElementById('ferry-card-' + roadAhead.stopId)?.scrollIntoView({ behavior: 'smooth', block: 'start' })}
+              className={`w-full mx-auto ${theme.layout.cardStyle === 'minima' ? 'max-w-full md:max-w-[400px]' : 'max-w-[400px] rounded-lg'} mt-2 px-3 py-2 text-left font-bold`}
+              style={{
+                backgroundColor: theme.colors.primary,
+                color: theme.colors.textWhite,
+                fontFamily: theme.fonts.primary
+              }}
+            >
+              Fremover: {cleanDestinationText(roadAhead.name)} om {formatMinutes(roadAhead.minutes)}
+            </button>
+          </div>
+        )}
+
+        {/* I kø på kaia eller ombord på ferja (GeofenceService) */}
+        {mode === 'gps' && (queueStop || crossing) && (
+          <div className={`w-full flex flex-col items-center ${theme.layout.cardStyle === 'minima' ? 'px-0 md:px-4' : 'px-4'}`}>
+            <div className={`w-full mx-auto ${theme.layout.cardStyle === 'minima' ? 'max-w-full md:max-w-[400px]' : 'max-w-[400px]'} mt-2`}>
+              {queueStop ? (
+                <QueueCard stop={queueStop} onClose={() => setQueueStop(null)} theme={theme} />
+              ) : (
+                <CrossingCard crossing={crossing} ferryStops={allFerryQuays} onClose={() => setCrossing(null)} theme={theme} />
+              )}
+            </div>
+          </div>
+        )}
+
+        {/* Kartvisning av GPS-resultatene */}
+        {hasInteracted && !loading && mode === 'gps' && ferryStops.length > 0 && (
+          <div className={`w-full flex flex-col items-center ${theme.layout.cardStyle === 'minima' ? 'px-0 md:px-4' : 'px-4'}`}>
+            <div className={`w-full mx-auto ${theme.layout.cardStyle === 'minima' ? 'max-w-full md:max-w-[400px]' : 'max-w-[400px]'} mt-2`}>
+              <button
+                type="button"
+                onClick={() => setShowMap(prev => !prev)}
+                aria-pressed={showMap}
+                className="text-sm font-bold px-3 py-1 rounded-lg mb-2"
+                style={{
+                  backgroundColor: theme.colors.cardBackground,
+                  color: theme.colors.textPrimary,
+                  fontFamily: theme.fonts.primary
+                }}
+              >
+                {showMap ? 'Skjul kart' : 'Vis kart'}
+              </button>
+              {showMap && (
+                <FerryMap
+                  theme={theme}
+                  location={location}
+                  stops={ferryStops}
+                  departuresMap={departuresMap}
+                  drivingTimes={drivingTimes}
+                  inlineDestinations={inlineDestinations}
+                  ferryQuays={allFerryQuays}
+                  onSelectStop={(stopId) => {
+                    document.getElementById('ferry-card-' + stopId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+                  }}
+                />
+              )}
+            </div>
+          </div>
+        )}
+
         {/* Results */}
-        {hasInteracted && !loading && ferryStops.length > 0 && (
+        {((hasInteracted && !loading && ferryStops.length > 0) || favoriteStops.length > 0) && (
           <div className={`w-full flex justify-center ${theme.layout.cardStyle === 'minima' ? 'px-0 md:px-4' : 'px-4'}`}>
             <div 
               className={`w-full space-y-6 mx-auto ${theme.layout.cardStyle === 'minima' ? 'max-w-full md:max-w-[400px]' : 'max-w-[400px]'} ${
@@ -2782,7 +2913,33 @@ function App() {
                 animation: 'fadeIn 0.3s ease-out'
               }}
             >
-            {(theme.layout.cardStyle === 'minima' ? ferryStops.slice(0, 8) : ferryStops).map((stop, i) => {
+            {/* Mine ferjekaier – favoritter festet over søkeresultatene */}
+            {favoriteStops.length > 0 && (
+              <div>
+                <div
+                  className="text-lg font-bold mb-2 px-1"
+                  style={{ color: theme.colors.textWhite, fontFamily: theme.fonts.primary }}
+                >
+                  Mine ferjekaier
+                </div>
+                {favoriteStops.filter(fav => !hasUpcomingFavoriteDeparture(fav.id)).map(fav => (
+                  <div
+                    key={'favorite-' + fav.id}
+                    className="text-sm px-1"
+                    style={{ color: theme.colors.textWhite, fontFamily: theme.fonts.primary }}
+                  >
+                    {cleanDestinationText(fav.name || '')}
+                    {favoriteCards[fav.id] ? ' – ingen flere avganger i dag' : ' – henter avganger...'}
+                  </div>
+                ))}
+              </div>
+            )}
+            {[
+              ...favoriteStops.map(fav => favoriteCards[fav.id]).filter(Boolean),
+              ...(hasInteracted && !loading ? (theme.layout.cardStyle === 'minima' ? ferryStops.slice(0, 8) : ferryStops) : [])
+                .filter(stop => !isFavoriteStop(stop.id))
+                .filter(stop => mode !== 'gps' || stop.id !== queueStop?.id)
+            ].map((stop) => {
               // Handle both GPS format (with nextDeparture) and search format (with departures array)
               const isGPSFormat = stop.nextDeparture !== undefined;
               const isSearchFormat = stop.departures !== undefined;
@@ -2799,11 +2956,11 @@ function App() {
               
               if (isGPSFormat && stop.nextDeparture) {
                 // GPS-format: bruk nextDeparture som allerede er hentet
-                const nextDepartureTime = new Date(stop.nextDeparture.aimedDepartureTime);
+                const nextDepartureTime = getEffectiveDepartureTime(stop.nextDeparture);
                 
-                // Sjekk om neste avgang har passert
+                // Sjekk om neste avgang har passert (forventet tid, så forsinkede ferger vises)
                 if (nextDepartureTime > now) {
-                  nextDeparture = { ...stop.nextDeparture, aimed: nextDepartureTime };
+                  nextDeparture = { ...stop.nextDeparture, aimed: new Date(stop.nextDeparture.aimedDepartureTime) };
                   
                   // Bruk departuresMap for senere avganger hvis tilgjengelig
                   if (departuresMap[stop.id]) {
@@ -2813,7 +2970,7 @@ function App() {
                       .sort((a, b) => a.aimed - b.aimed);
                     
                     // Filtrer bort avganger som har passert
-                    const futureCalls = sortedCalls.filter(c => c.aimed > now);
+                    const futureCalls = sortedCalls.filter(c => getEffectiveDepartureTime(c) > now);
                     
                     if (futureCalls.length > 1) {
                       // Ta alle fremtidige avganger (paginering begrenser visningen)
@@ -2829,7 +2986,7 @@ function App() {
                   .sort((a, b) => a.aimed - b.aimed);
                 
                 // Filtrer bort avganger som har passert
-                const futureCalls = sortedCalls.filter(c => c.aimed > now);
+                const futureCalls = sortedCalls.filter(c => getEffectiveDepartureTime(c) > now);
                 
                 if (futureCalls.length > 0) {
                   // Hvis det er langt å kjøre, finn en avgang som passer bedre med kjøretiden
@@ -2839,7 +2996,7 @@ function App() {
                     
                     // Finn avganger som er minst 30 minutter etter ankomsttid
                     const suitableDepartures = futureCalls.filter(dep => {
-                      const departureTime = new Date(dep.aimedDepartureTime || dep.aimed);
+                      const departureTime = getEffectiveDepartureTime(dep);
                       const arrivalTime = new Date(currentTime.getTime() + drivingTimeMinutes * 60000);
                       const timeBuffer = 30 * 60000; // 30 minutter buffer
                       
@@ -2868,12 +3025,18 @@ function App() {
               }
               
               // Sjekk om neste avgang har passert
-              if (nextDeparture.aimed <= now) {
+              if (getEffectiveDepartureTime(nextDeparture) <= now) {
                 return null;
               }
 
               return (
-                <div key={stopData.id} className="flex flex-col">
+                <div
+                  key={stopData.id}
+                  className="flex flex-col"
+                  data-favorite-id={isFavoriteStop(stopData.id) ? stopData.id : undefined}
+                  style={draggedFavoriteId === stopData.id ? { opacity: 0.6 } : undefined}
+                >
+                  {isFavoriteStop(stopData.id) && renderFavoriteControls(stopData)}
                   {/* Km-avstand som egen boks over fergekortet */}
                   {distance && (
                     <div 
@@ -2911,6 +3074,25 @@ function App() {
                       fontFamily: theme.fonts.primary
                     }}
                   >
+                    <button
+                      type="button"
+                      onClick={() => handleToggleFavorite(stopData)}
+                      aria-label={isFavoriteStop(stopData.id) ? 'Fjern fra Mine ferjekaier' : 'Legg til i Mine ferjekaier'}
+                      aria-pressed={isFavoriteStop(stopData.id)}
+                      className="absolute top-2 right-2 z-10 text-xl leading-none focus:outline-none"
+                      style={{ color: isFavoriteStop(stopData.id) ? theme.colors.primary : theme.colors.textSecondary }}
+                    >
+                      {isFavoriteStop(stopData.id) ? '★' : '☆'}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleShareStop(stopData)}
+                      aria-label={`Del ${cleanDestinationText(stopData.name || '')}`}
+                      className="absolute top-2 right-9 z-10 text-lg leading-none focus:outline-none"
+                      style={{ color: theme.colors.textSecondary }}
+                    >
+                      {shareFeedback === stopData.id ? 'Kopiert' : '⤴'}
+                    </button>
                     <h2 
                       className="ferry-quay-name"
                       style={{ 
@@ -2930,6 +3112,21 @@ function App() {
                         marginBottom: theme.layout.cardStyle === 'minima' ? 0 : '0.5rem'
                       }}
                     />
+
+                    {/* Offline: kortet vises fra lagret rutetid */}
+                    {offlineSnapshots[stopData.id] && (
+                      <div
+                        className="mt-2 mb-2 px-2 py-1 text-sm font-bold rounded"
+                        style={{ color: theme.colors.textWhite, backgroundColor: theme.colors.departureTime.soon, fontFamily: theme.fonts.primary }}
+                        role="status"
+                      >
+                        offline – rutetider fra kl. {formatDepartureTime(offlineSnapshots[stopData.id])}
+                        <div className="font-normal">Returavganger og avvik krever nett</div>
+                      </div>
+                    )}
+
+                    {/* Avviksmeldinger (innstillinger, endret rute o.l.) */}
+                    <SituationsPanel situations={situationsMap[stopData.id]} theme={theme} />
                     
                     {/* Kjøretidsbeskrivelse rett etter fergekainavn */}
                     {showDrivingTimes && drivingTimes[stopData.id] && location && (() => {
@@ -2960,7 +3157,11 @@ function App() {
                             __html: generateTravelDescription(
                               (drivingDistances[stopData.id] ?? distance),
                               drivingTimes[stopData.id],
-                              nextDeparture ? calculateTimeDiff(nextDeparture.aimedDepartureTime || nextDeparture.aimed) : 0,
+                              (() => {
+                                // Innstilte avganger teller ikke – bruk første avgang som faktisk går
+                                const firstRunning = [nextDeparture, ...laterDepartures].find(dep => dep && !isDepartureCancelled(dep));
+                                return firstRunning ? calculateTimeDiff(getEffectiveDepartureTime(firstRunning)) : 0;
+                              })(),
                               (() => {
                                 const allAvailableDepartures = [];
                                 if (departuresMap[stopData.id]) allAvailableDepartures.push(...departuresMap[stopData.id]);
@@ -2975,10 +3176,29 @@ function App() {
                               false
                             )
                           }} />
+                          {stopData.latitude && stopData.longitude && (
+                            <LeaveTimeCheck
+                              from={{ lat: location.latitude, lng: location.longitude }}
+                              to={{ lat: stopData.latitude, lng: stopData.longitude }}
+                              departures={[nextDeparture, ...laterDepartures].filter(Boolean)}
+                              roadOnly={mode === 'gps'}
+                              theme={theme}
+                            />
+                          )}
                         </div>
                       );
                     })()}
                   
+                  {/* Rutetegning fra posisjonen til fergekaien */}
+                  {showDrivingTimes && location && drivingTimes[stopData.id] && stopData.latitude && stopData.longitude && (
+                    <RoutePreview
+                      from={{ lat: location.latitude, lng: location.longitude }}
+                      to={{ lat: stopData.latitude, lng: stopData.longitude }}
+                      roadOnly={mode === 'gps'}
+                      theme={theme}
+                    />
+                  )}
+
                   {nextDeparture ? (
                     <>
                       <div className="mt-6 text-base sm:text-lg mb-12">
@@ -2987,7 +3207,7 @@ function App() {
                             // Kombiner neste avgang og senere avganger til en liste
                             const allDepartures = [nextDeparture, ...laterDepartures].filter(Boolean);
                             // Ekstra filtrering for å sikre at ingen avganger som har passert vises
-                            const futureDepartures = allDepartures.filter(dep => dep.aimed > now);
+                            const futureDepartures = allDepartures.filter(dep => getEffectiveDepartureTime(dep) > now);
                             
                             // Hvis det er langt å kjøre, finn avganger som passer bedre med kjøretiden
                             let relevantDepartures = futureDepartures;
@@ -2997,7 +3217,7 @@ function App() {
                               
                               // Finn avganger som er minst 30 minutter etter ankomsttid
                               relevantDepartures = futureDepartures.filter(dep => {
-                                const departureTime = new Date(dep.aimedDepartureTime || dep.aimed);
+                                const departureTime = getEffectiveDepartureTime(dep);
                                 const arrivalTime = new Date(currentTime.getTime() + drivingTimeMinutes * 60000);
                                 const timeBuffer = 30 * 60000; // 30 minutter buffer
                                 
@@ -3034,7 +3254,8 @@ function App() {
                                 
                                 // Separer rekbare og ikke-rekbare
                                 const catchable = destDepartures.filter(dep => 
-                                  !isDepartureMissed(dep.aimedDepartureTime || dep.aimed, drivingTimes[stopData.id], showDrivingTimes, mode)
+                                  !isDepartureCancelled(dep) &&
+                                  !isDepartureMissed(getEffectiveDepartureTime(dep), drivingTimes[stopData.id], showDrivingTimes, mode)
                                 );
                                 
                                 // Hvis det er rekbare avganger, legg til den første rekbare
@@ -3114,12 +3335,22 @@ function App() {
 
                             return (<>
                               {displayDepartures.map((dep, idx) => {
-                              const mins = Math.max(0, Math.round((dep.aimed - now) / 60000));
-                              const isMissed = isDepartureMissed(dep.aimedDepartureTime || dep.aimed, drivingTimes[stopData.id], showDrivingTimes, mode);
-                              const strikeClass = '';
+                              const mins = Math.max(0, Math.round((getEffectiveDepartureTime(dep) - now) / 60000));
+                              const isMissed = isDepartureMissed(getEffectiveDepartureTime(dep), drivingTimes[stopData.id], showDrivingTimes, mode);
+                              const isCancelled = isDepartureCancelled(dep);
+                              const strikeClass = isCancelled ? 'line-through' : '';
                               
                               return (
-                                <li key={dep.aimedDepartureTime + '-' + idx} className="flex items-center py-0.5 leading-tight" >
+                                <li
+                                  key={dep.aimedDepartureTime + '-' + idx}
+                                  className={`flex items-center py-0.5 leading-tight ${dep.serviceJourney?.id ? 'cursor-pointer' : ''}`}
+                                  {...getJourneyRowProps(dep, stopData.id)}
+                                  style={
+                                    linkedStop?.dep && linkedStop.stopId === stopData.id && dep.serviceJourney?.id === linkedStop.dep
+                                      ? { boxShadow: `inset 3px 0 0 ${theme.colors.primary}`, paddingLeft: '6px' }
+                                      : undefined
+                                  }
+                                >
                                   <span 
                                     className={`font-normal w-16 text-left text-lg ${strikeClass}`}
                                     style={{ 
@@ -3131,16 +3362,23 @@ function App() {
                                     {dep.aimed.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                                   </span>
                                   <span className="flex-1 flex justify-start items-center gap-1">
-                                  <span 
-                                    className={`text-lg font-normal align-middle whitespace-nowrap pl-4 leading-tight ${strikeClass}`}
-                                    style={{ 
-                                      color: isMissed ? theme.colors.departureTime.now : '#16a34a',
-                                      fontFamily: theme.fonts.primary,
-                                      lineHeight: 1.1
-                                    }}
-                                  >
+                                  {isCancelled ? (
+                                    <DepartureStatus departure={dep} theme={theme} className="text-sm pl-4" />
+                                  ) : (
+                                    <>
+                                    <span 
+                                      className="text-lg font-normal align-middle whitespace-nowrap pl-4 leading-tight"
+                                      style={{ 
+                                        color: isMissed ? theme.colors.departureTime.now : '#16a34a',
+                                        fontFamily: theme.fonts.primary,
+                                        lineHeight: 1.1
+                                      }}
+                                    >
                                       {formatMinutes(mins)}
                                     </span>
+                                    <DepartureStatus departure={dep} theme={theme} className="text-sm pl-1" />
+                                    </>
+                                  )}
                                   </span>
                                   <span 
                                     className={`w-30 text-right font-normal leading-tight ${strikeClass}`}
@@ -3185,7 +3423,7 @@ function App() {
                       </div>
 
                       {/* debug removed */}
-                      {inlineDestinations[stopData.id] && inlineDestinations[stopData.id].map((destination, destIndex) => (
+                      {(inlineDestinations[stopData.id] || favoriteReturnCards[stopData.id] || []).map((destination, destIndex) => (
                         <div 
                           key={stopData.id + '-' + destination.stopId} 
                           className={`mt-4 p-4 sm:p-5 shadow-lg relative ${
@@ -3235,14 +3473,20 @@ function App() {
                           <div className="mt-2 text-base sm:text-lg" style={{ marginTop: theme.layout.cardStyle === 'minima' ? 12 : undefined, marginBottom: theme.layout.cardStyle === 'minima' ? 16 : undefined }}>
                             <ul className="space-y-0">
                               {destination.departures
-                                .filter(dep => new Date(dep.aimed) > now)
+                                .filter(dep => getEffectiveDepartureTime(dep) > now)
                                 .slice(0, 5).map((dep, idx) => {
-                                const mins = Math.max(0, Math.round((dep.aimed - now) / 60000));
-                                const isMissed = isDepartureMissed(dep.aimedDepartureTime || dep.aimed, drivingTimes[destination.stopId], showDrivingTimes, mode);
-                                const strikeClass = '';
+                                const mins = Math.max(0, Math.round((getEffectiveDepartureTime(dep) - now) / 60000));
+                                const isMissed = isDepartureMissed(getEffectiveDepartureTime(dep), drivingTimes[destination.stopId], showDrivingTimes, mode);
+                                const isCancelled = isDepartureCancelled(dep);
+                                const strikeClass = isCancelled ? 'line-through' : '';
                                 
                                 return (
-                                  <li key={'inline-' + destination.stopId + '-' + dep.aimedDepartureTime + '-' + idx} className="flex items-center py-0 leading-tight" style={{ lineHeight: 1.05 }}>
+                                  <li
+                                    key={'inline-' + destination.stopId + '-' + dep.aimedDepartureTime + '-' + idx}
+                                    className={`flex items-center py-0 leading-tight ${dep.serviceJourney?.id ? 'cursor-pointer' : ''}`}
+                                    style={{ lineHeight: 1.05 }}
+                                    {...getJourneyRowProps(dep, destination.stopId)}
+                                  >
                                     <span 
                                       className={`font-normal w-16 text-left text-sm ${strikeClass}`}
                                       style={{ 
@@ -3253,16 +3497,23 @@ function App() {
                                       {dep.aimed.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                                     </span>
                                     <span className="flex-1 flex justify-start items-center gap-1">
-                                      <span 
-                                        className={`text-sm font-normal align-middle whitespace-nowrap pl-1 leading-tight ${strikeClass}`}
-                                        style={{ 
-                                          color: isMissed ? theme.colors.departureTime.now : '#16a34a',
-                                          fontFamily: theme.fonts.primary,
-                                          lineHeight: 1.1
-                                        }}
-                                      >
-                                        {formatMinutes(mins)}
-                                      </span>
+                                      {isCancelled ? (
+                                        <DepartureStatus departure={dep} theme={theme} className="text-xs pl-1" />
+                                      ) : (
+                                        <>
+                                          <span 
+                                            className="text-sm font-normal align-middle whitespace-nowrap pl-1 leading-tight"
+                                            style={{ 
+                                              color: isMissed ? theme.colors.departureTime.now : '#16a34a',
+                                              fontFamily: theme.fonts.primary,
+                                              lineHeight: 1.1
+                                            }}
+                                          >
+                                            {formatMinutes(mins)}
+                                          </span>
+                                          <DepartureStatus departure={dep} theme={theme} className="text-xs" />
+                                        </>
+                                      )}
                                     </span>
                                     <span 
                                       className={`w-30 text-right font-normal leading-tight ${strikeClass}`}
@@ -3332,6 +3583,34 @@ function App() {
           title={legalModalTitle}
           onClose={() => setLegalModalOpen(false)}
         />
+        <TripPlanner
+          open={tripPlannerOpen}
+          onClose={() => setTripPlannerOpen(false)}
+          theme={theme}
+          location={location}
+          locationName={locationName}
+        />
+        {!Capacitor.isNativePlatform() && <UpdatePrompt theme={theme} />}
+        <CommuteProfiles
+          open={commuteProfilesOpen}
+          onClose={() => setCommuteProfilesOpen(false)}
+          theme={theme}
+          location={location}
+          locationName={locationName}
+          ferryQuays={allFerryQuays}
+          plans={commutePlans}
+          onPlansChange={setCommutePlans}
+        />
+        <Diagnostics
+          open={diagnosticsOpen}
+          onClose={() => setDiagnosticsOpen(false)}
+          theme={theme}
+        />
+        <JourneySheet
+          journey={openJourney}
+          onClose={() => setOpenJourney(null)}
+          theme={theme}
+        />
       </div>
     </div>
   );
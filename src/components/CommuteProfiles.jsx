@@ -0,0 +1,319 @@
+import { useEffect, useState } from 'react';
+import PlaceInput from './PlaceInput';
+import { commuteService } from '../services/CommuteService';
+import { formatDepartureTime } from '../utils/departureUtils';
+import { cleanDestinationText, normalizeText } from '../utils/helpers';
+import { UI_COLORS } from '../config/constants';
+
+// Mandag først, men lagret som Date#getDay (0 = søndag)
+const WEEKDAYS = [
+  { day: 1, label: 'Ma' },
+  { day: 2, label: 'Ti' },
+  { day: 3, label: 'On' },
+  { day: 4, label: 'To' },
+  { day: 5, label: 'Fr' },
+  { day: 6, label: 'Lø' },
+  { day: 0, label: 'Sø' }
+];
+
+const emptyDraft = () => ({
+  name: 'Til jobb',
+  home: null,
+  stop: null,
+  windowStart: '07:00',
+  windowEnd: '08:30',
+  weekdays: [1, 2, 3, 4, 5]
+});
+
+// Søk blant fergekaiene som allerede er lastet (allFerryQuays)
+function StopPicker({ value, onSelect, stops, theme }) {
+  const [query, setQuery] = useState(value?.name || '');
+  const matches = query.length >= 2 && query !== value?.name
+    ? stops.filter(stop => normalizeText(stop.name).includes(normalizeText(query))).slice(0, 6)
+    : [];
+
+  return (
+    <div className="relative mb-3">
+      <label className="block text-sm font-bold mb-1" style={{ color: theme.colors.textPrimary }}>
+        Fergekai
+      </label>
+      <input
+        type="text"
+        autoComplete="off"
+        value={query}
+        placeholder="Søk etter fergekai"
+        onChange={e => setQuery(e.target.value)}
+        className="w-full px-3 py-2 border rounded-lg focus:outline-none"
+        style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary, backgroundColor: theme.colors.cardBackground }}
+      />
+      {matches.length > 0 && (
+        <ul
+          className="absolute left-0 right-0 z-10 mt-1 border rounded-lg shadow-lg overflow-hidden"
+          style={{ borderColor: theme.colors.border, backgroundColor: theme.colors.cardBackground }}
+        >
+          {matches.map(stop => (
+            <li key={stop.id}>
+              <button
+                type="button"
+                onClick={() => {
+                  onSelect(stop);
+                  setQuery(stop.name);
+                }}
+                className="w-full text-left px-3 py-2 text-sm"
+                style={{ color: theme.colors.textPrimary }}
+              >
+                {cleanDestinationText(stop.name)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Pendlerprofiler: hjem, fergekai, ønsket avgangsvindu og ukedager – med varsel når du må dra
+export default function CommuteProfiles({ open, onClose, theme, location, locationName, ferryQuays = [], plans = {}, onPlansChange }) {
+  const [profiles, setProfiles] = useState(() => commuteService.getProfiles());
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const currentPosition = location
+    ? { lat: location.latitude, lng: location.longitude, name: locationName || 'Min posisjon' }
+    : null;
+
+  const rescheduleAll = async () => {
+    const nextPlans = await commuteService.scheduleAll();
+    onPlansChange?.(nextPlans);
+  };
+
+  const handleSave = async () => {
+    if (!draft?.home || !draft?.stop || draft.weekdays.length === 0) return;
+    setSaving(true);
+    setNotice(null);
+    try {
+      const granted = await commuteService.requestPermission();
+      if (!granted) {
+        setNotice('Varsler er ikke tillatt – profilen lagres, men du får ikke beskjed når du må dra.');
+      }
+      const profile = {
+        id: draft.id || `commute-${Date.now()}`,
+        name: draft.name.trim() || 'Pendling',
+        home: draft.home,
+        stop: { id: draft.stop.id, name: draft.stop.name, latitude: draft.stop.latitude, longitude: draft.stop.longitude },
+        windowStart: draft.windowStart,
+        windowEnd: draft.windowEnd,
+        weekdays: draft.weekdays
+      };
+      setProfiles(commuteService.saveProfile(profile));
+      setDraft(null);
+      await rescheduleAll();
+    } catch (err) {
+      console.error('Failed to save commute profile:', err);
+      setNotice('Kunne ikke lagre profilen. Prøv igjen.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemove = (profileId) => {
+    setProfiles(commuteService.removeProfile(profileId));
+    const { [profileId]: _removed, ...rest } = plans;
+    onPlansChange?.(rest);
+  };
+
+  const toggleWeekday = (day) => {
+    setDraft(prev => ({
+      ...prev,
+      weekdays: prev.weekdays.includes(day) ? prev.weekdays.filter(d => d !== day) : [...prev.weekdays, day]
+    }));
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        className={`relative shadow-xl w-[90vw] max-w-md max-h-[85vh] overflow-y-auto p-4 border-2 ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-xl'}`}
+        style={{
+          backgroundColor: theme.colors.cardBackground,
+          borderColor: theme.colors.border,
+          fontFamily: theme.fonts.primary
+        }}
+      >
+        <button
+          type="button"
+          aria-label="Lukk"
+          onClick={onClose}
+          className="absolute top-2 right-3 text-xl"
+          style={{ color: theme.colors.textPrimary }}
+        >
+          ×
+        </button>
+        <h2 className="text-lg font-bold mb-3" style={{ color: theme.colors.textPrimary }}>
+          Pendlerprofiler
+        </h2>
+
+        {profiles.length === 0 && !draft && (
+          <p className="text-sm mb-3" style={{ color: theme.colors.textSecondary }}>
+            Lagre turen du kjører hver dag, så varsler appen deg når du må dra hjemmefra.
+          </p>
+        )}
+
+        <ul className="space-y-2 mb-3">
+          {profiles.map(profile => {
+            const plan = plans[profile.id];
+            return (
+              <li key={profile.id} className="pl-3 border-l-4" style={{ borderColor: theme.colors.primary }}>
+                <div className="flex items-center justify-between">
+                  <span className="font-bold" style={{ color: theme.colors.textPrimary }}>{profile.name}</span>
+                  <button
+                    type="button"
+                    onClick={() => handleRemove(profile.id)}
+                    className="text-xs underline"
+                    style={{ color: theme.colors.textSecondary }}
+                  >
+                    Slett
+                  </button>
+                </div>
+                <div className="text-sm" style={{ color: theme.colors.textSecondary }}>
+                  {cleanDestinationText(profile.stop.name)} · {profile.windowStart}–{profile.windowEnd} · {WEEKDAYS.filter(w => profile.weekdays.includes(w.day)).map(w => w.label).join(' ')}
+                </div>
+                <div className="text-sm font-semibold" style={{ color: plan ? UI_COLORS.SUCCESS : theme.colors.textSecondary }}>
+                  {plan
+                    ? `Dra kl. ${formatDepartureTime(plan.leaveAt)} – ferje kl. ${formatDepartureTime(plan.departureTime)}`
+                    : 'Ingen avgang i vinduet det neste døgnet'}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+
+        {draft ? (
+          <div className="pt-3 border-t" style={{ borderColor: theme.colors.border }}>
+            <label className="block text-sm font-bold mb-1" style={{ color: theme.colors.textPrimary }}>
+              Navn
+            </label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={e => setDraft(prev => ({ ...prev, name: e.target.value }))}
+              className="w-full px-3 py-2 border rounded-lg mb-3 focus:outline-none"
+              style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary, backgroundColor: theme.colors.cardBackground }}
+            />
+            <PlaceInput
+              label="Hjem"
+              value={draft.home}
+              onSelect={home => setDraft(prev => ({ ...prev, home }))}
+              theme={theme}
+              placeholder="Adresse"
+            />
+            {currentPosition && (
+              <button
+                type="button"
+                onClick={() => setDraft(prev => ({ ...prev, home: currentPosition }))}
+                className="text-xs underline mb-3"
+                style={{ color: theme.colors.textSecondary }}
+              >
+                Bruk min posisjon
+              </button>
+            )}
+            <StopPicker
+              value={draft.stop}
+              onSelect={stop => setDraft(prev => ({ ...prev, stop }))}
+              stops={ferryQuays}
+              theme={theme}
+            />
+            <div className="flex gap-2 mb-3">
+              <label className="flex-1 text-sm font-bold" style={{ color: theme.colors.textPrimary }}>
+                Avgang fra
+                <input
+                  type="time"
+                  value={draft.windowStart}
+                  onChange={e => setDraft(prev => ({ ...prev, windowStart: e.target.value }))}
+                  className="w-full px-2 py-1 border rounded-lg font-normal"
+                  style={{ borderColor: theme.colors.border }}
+                />
+              </label>
+              <label className="flex-1 text-sm font-bold" style={{ color: theme.colors.textPrimary }}>
+                til
+                <input
+                  type="time"
+                  value={draft.windowEnd}
+                  onChange={e => setDraft(prev => ({ ...prev, windowEnd: e.target.value }))}
+                  className="w-full px-2 py-1 border rounded-lg font-normal"
+                  style={{ borderColor: theme.colors.border }}
+                />
+              </label>
+            </div>
+            <div className="flex gap-1 mb-3">
+              {WEEKDAYS.map(({ day, label }) => (
+                <button
+                  key={day}
+                  type="button"
+                  aria-pressed={draft.weekdays.includes(day)}
+                  onClick={() => toggleWeekday(day)}
+                  className="flex-1 py-1 rounded text-sm font-semibold border"
+                  style={{
+                    borderColor: theme.colors.border,
+                    backgroundColor: draft.weekdays.includes(day) ? theme.colors.primary : theme.colors.cardBackground,
+                    color: draft.weekdays.includes(day) ? theme.colors.textWhite : theme.colors.textPrimary
+                  }}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={saving || !draft.home || !draft.stop || draft.weekdays.length === 0}
+                className="flex-1 py-2 rounded-lg font-bold disabled:opacity-50"
+                style={{ backgroundColor: theme.colors.primary, color: theme.colors.textWhite }}
+              >
+                {saving ? 'Lagrer...' : 'Lagre'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraft(null)}
+                className="px-4 py-2 rounded-lg border"
+                style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary }}
+              >
+                Avbryt
+              </button>
+            </div>
+          </div>
+        ) : (
+          <button
+            type="button"
+            onClick={() => setDraft({ ...emptyDraft(), home: currentPosition })}
+            className="w-full py-2 rounded-lg font-bold"
+            style={{ backgroundColor: theme.colors.primary, color: theme.colors.textWhite }}
+          >
+            Ny pendlerprofil
+          </button>
+        )}
+
+        {notice && (
+          <div className="mt-3 text-sm" style={{ color: UI_COLORS.DANGER }}>
+            {notice}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+import { useEffect, useState } from 'react';
+import DepartureStatus from './DepartureStatus';
+import { enturService } from '../services/EnturService';
+import { crossingService } from '../services/CrossingService';
+import {
+  cleanDestinationText,
+  formatDepartureTime,
+  getEffectiveDepartureTime
+} from '../utils/departureUtils';
+import { formatMinutes } from '../utils/helpers';
+import { UI_COLORS } from '../config/constants';
+
+const REFRESH_INTERVAL = 60000;
+const CONNECTION_BUCKET_MS = 5 * 60000; // forbindelsene hentes på nytt når ankomsten flytter seg så mye
+const MAX_CONNECTIONS = 5;
+
+// Ankomsten til ferja vi er på: første ankomst på linjen som ikke er passert
+const findOurArrival = (arrivals, crossing, now) => arrivals.find(arrival => {
+  if (arrival.cancelled) return false;
+  const onLine = crossing.line
+    ? arrival.lineId === crossing.line.id
+    : arrival.lineStopPlaceIds.includes(crossing.from.id);
+  return onLine && (arrival.expectedArrival || arrival.aimedArrival) >= now - 2 * 60000;
+});
+
+// Egen ankomstberegning fra avstand og fart når Entur ikke vet om turen
+const estimateArrival = (now) => {
+  const progress = crossingService.getProgress();
+  if (!progress || !(progress.speed >= 1)) return null;
+  return new Date(now.getTime() + (progress.remainingMeters / progress.speed) * 1000);
+};
+
+// Ombord på ferja: forventet ankomst og ferjene vi rekker videre fra kaia vi kommer til
+export default function CrossingCard({ crossing, ferryStops, onClose, theme }) {
+  const [arrival, setArrival] = useState(null); // { aimed, expected } fra Entur, eller { estimated }
+  const [connections, setConnections] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const fromId = crossing.from.id;
+  const toId = crossing.to.id;
+
+  useEffect(() => {
+    let stopped = false;
+    setArrival(null);
+
+    const load = async () => {
+      const current = new Date();
+      try {
+        const arrivals = await enturService.getArrivals(toId);
+        if (stopped) return;
+        const ours = findOurArrival(arrivals, crossing, current);
+        setArrival(ours
+          ? { aimed: ours.aimedArrival, expected: ours.expectedArrival }
+          : { estimated: estimateArrival(current) });
+      } catch (err) {
+        if (stopped) return;
+        console.warn('Kunne ikke hente ankomst:', err);
+        setArrival(prev => prev?.aimed ? prev : { estimated: estimateArrival(current) });
+      }
+      setNow(current);
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fromId, toId]);
+
+  const arrivalTime = arrival?.expected || arrival?.aimed || arrival?.estimated || null;
+  const arrivalBucket = arrivalTime ? Math.round(arrivalTime.getTime() / CONNECTION_BUCKET_MS) : null;
+
+  useEffect(() => {
+    if (arrivalBucket === null) return;
+    let stopped = false;
+    setError(null);
+
+    crossingService.getConnections(crossing.to, arrivalTime, ferryStops, { lineId: crossing.line?.id, fromStopId: fromId })
+      .then(result => {
+        if (!stopped) setConnections(result);
+      })
+      .catch(err => {
+        if (stopped) return;
+        console.warn('Kunne ikke hente ferjer videre:', err);
+        setError('Kunne ikke hente ferjer videre.');
+      });
+    return () => {
+      stopped = true;
+    };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [fromId, toId, arrivalBucket]);
+
+  const toName = cleanDestinationText(crossing.to.name);
+  const minutesLeft = arrivalTime ? Math.max(0, Math.round((arrivalTime - now) / 60000)) : null;
+  const delayed = arrival?.aimed && arrival.expected && Math.abs(arrival.expected - arrival.aimed) >= 60000;
+  const upcoming = (connections || [])
+    .filter(connection => getEffectiveDepartureTime(connection.departure) > now)
+    .slice(0, MAX_CONNECTIONS);
+
+  return (
+    <section
+      aria-label={`Ombord mot ${toName}`}
+      className={`relative p-4 border-2 shadow-lg ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-2xl'}`}
+      style={{
+        backgroundColor: theme.colors.cardBackground,
+        borderColor: theme.colors.primary,
+        fontFamily: theme.fonts.primary
+      }}
+    >
+      <button
+        type="button"
+        aria-label="Lukk"
+        title="Vis vanlig liste"
+        onClick={onClose}
+        className="absolute top-2 right-3 text-xl"
+        style={{ color: theme.colors.textPrimary }}
+      >
+        ×
+      </button>
+      <div className="text-xs font-bold uppercase" style={{ color: theme.colors.primary }}>Ombord</div>
+      <h2 className="text-xl font-bold pr-6" style={{ color: theme.colors.textPrimary }}>
+        Mot {toName}
+      </h2>
+      <div className="text-sm" style={{ color: theme.colors.textSecondary }}>
+        Fra {cleanDestinationText(crossing.from.name)}
+        {crossing.line?.name && ` · ${crossing.line.name}`}
+      </div>
+
+      <div className="mt-2">
+        {!arrival && (
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Henter ankomsttid...</div>
+        )}
+        {arrival && !arrivalTime && (
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Ankomsttid ukjent</div>
+        )}
+        {arrivalTime && (
+          <div className="flex items-baseline gap-3 flex-wrap">
+            <span className="text-lg" style={{ color: theme.colors.textSecondary }}>
+              {arrival.estimated ? 'Ankomst ca.' : 'Ankomst'}
+            </span>
+            {delayed && (
+              <span className="line-through" style={{ color: theme.colors.textSecondary }}>
+                {formatDepartureTime(arrival.aimed)}
+              </span>
+            )}
+            <span
+              className="text-3xl font-bold tabular-nums"
+              style={{ color: delayed ? theme.colors.departureTime.soon : theme.colors.textPrimary }}
+            >
+              {formatDepartureTime(arrivalTime)}
+            </span>
+            <span style={{ color: theme.colors.textSecondary }}>
+              {minutesLeft <= 0 ? 'nå' : `om ${formatMinutes(minutesLeft)}`}
+            </span>
+          </div>
+        )}
+      </div>
+
+      <div className="mt-3 pt-3 border-t" style={{ borderColor: theme.colors.border }}>
+        <div className="text-sm font-bold mb-1" style={{ color: theme.colors.textPrimary }}>
+          Ferjer du rekker videre fra {toName}
+        </div>
+        {arrivalTime && !connections && !error && (
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Henter avganger...</div>
+        )}
+        {error && (
+          <div className="text-sm" style={{ color: UI_COLORS.DANGER }}>{error}</div>
+        )}
+        {connections && upcoming.length === 0 && (
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>
+            Ingen ferjer innen kjøreavstand de neste timene
+          </div>
+        )}
+        {upcoming.length > 0 && (
+          <ul>
+            {upcoming.map(({ stop, drivingMinutes, departure, slackMinutes }) => (
+              <li
+                key={`${stop.id}-${departure.serviceJourney?.id}-${departure.aimedDepartureTime}`}
+                className="py-1 text-sm"
+              >
+                <div className="flex items-baseline gap-2">
+                  <span className="font-bold tabular-nums" style={{ color: theme.colors.textPrimary }}>
+                    {formatDepartureTime(departure.aimed)}
+                  </span>
+                  <DepartureStatus departure={departure} theme={theme} />
+                  <span className="flex-1 truncate" style={{ color: theme.colors.textPrimary }}>
+                    {cleanDestinationText(departure.destinationDisplay?.frontText)}
+                  </span>
+                </div>
+                <div className="text-xs" style={{ color: theme.colors.textSecondary }}>
+                  Fra {cleanDestinationText(stop.name)}
+                  {drivingMinutes > 0 ? ` · ${formatMinutes(drivingMinutes)} kjøring` : ' · samme kai'}
+                  {` · ${formatMinutes(slackMinutes)} margin`}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,256 @@
+import { useEffect, useState } from 'react';
+import DepartureStatus from './DepartureStatus';
+import { enturService, isFerrySubmode } from '../services/EnturService';
+import { getOtherQuayOnLine, selectReturnDepartures } from '../utils/returnDepartures';
+import {
+  cleanDestinationText,
+  formatDepartureTime,
+  getEffectiveDepartureTime,
+  isDepartureCancelled
+} from '../utils/departureUtils';
+import { getTheme, loadTheme } from '../config/themes';
+import { UI_COLORS } from '../config/constants';
+
+const REFRESH_INTERVAL = 30000;                 // 30 s – sanntid oppdateres omtrent så ofte hos Entur
+const RETRY_DELAYS = [10000, 30000, 60000, 120000]; // etter nettverksfeil, lengre pause for hver feil
+const DEPARTURES_PER_DIRECTION = 10;
+const BOARD_FILTERS = { carFerry: true, passengerFerry: true };
+const BOARD_QUERY = { detailed: true, filters: BOARD_FILTERS, timeRange: 86400, numberOfDepartures: 40 };
+
+// Hold skjermen våken på nettbrettet; låsen slippes når fanen skjules og må hentes på nytt
+const useWakeLock = () => {
+  useEffect(() => {
+    if (!('wakeLock' in navigator)) return undefined;
+    let lock = null;
+    let released = false;
+
+    const acquire = async () => {
+      if (document.visibilityState !== 'visible') return;
+      try {
+        lock = await navigator.wakeLock.request('screen');
+        if (released) lock.release();
+      } catch (error) {
+        console.warn('Wake lock ikke tilgjengelig:', error);
+      }
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') acquire();
+    };
+
+    acquire();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      released = true;
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      lock?.release().catch(() => {});
+    };
+  }, []);
+};
+
+// Avganger fra kaia og returavganger fra andre siden, med avvik for begge
+const loadBoard = async (stopId) => {
+  const [stopPlace, departures, situations] = await Promise.all([
+    enturService.fetchStopPlace(stopId, BOARD_QUERY),
+    enturService.getDepartures(stopId, BOARD_QUERY),
+    enturService.getSituations(stopId, BOARD_QUERY)
+  ]);
+
+  const line = departures.find(dep => isFerrySubmode(dep.submode))?.serviceJourney?.journeyPattern?.line;
+  const other = getOtherQuayOnLine(line, stopId);
+  let returnDepartures = [];
+  let otherSituations = [];
+  if (other) {
+    const [otherCalls, situationsThere] = await Promise.all([
+      enturService.getDepartures(other.id, BOARD_QUERY),
+      enturService.getSituations(other.id, BOARD_QUERY)
+    ]);
+    returnDepartures = selectReturnDepartures(otherCalls, stopId, other.lineId, BOARD_FILTERS);
+    otherSituations = situationsThere;
+  }
+
+  // Samme avvik gjelder ofte begge kaiene
+  const otherOnly = otherSituations.filter(situation => !situations.some(s => s.id === situation.id));
+  return {
+    name: stopPlace.stopPlace?.name || stopId,
+    departures,
+    other: other ? { name: other.name, departures: returnDepartures } : null,
+    situations: [...situations, ...otherOnly]
+  };
+};
+
+function BoardColumn({ title, departures, now, theme }) {
+  const upcoming = departures
+    .filter(dep => getEffectiveDepartureTime(dep) > now)
+    .slice(0, DEPARTURES_PER_DIRECTION);
+
+  return (
+    <section
+      className={`p-4 md:p-6 border-2 ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-2xl'}`}
+      style={{ backgroundColor: theme.colors.cardBackground, borderColor: theme.colors.border }}
+    >
+      <h2 className="text-2xl md:text-3xl font-bold mb-3" style={{ color: theme.colors.textPrimary }}>
+        {title}
+      </h2>
+      {upcoming.length === 0 ? (
+        <div className="text-xl" style={{ color: theme.colors.textSecondary }}>Ingen flere avganger i dag</div>
+      ) : (
+        <ul>
+          {upcoming.map((dep, index) => {
+            const minutes = Math.round((getEffectiveDepartureTime(dep) - now) / 60000);
+            const cancelled = isDepartureCancelled(dep);
+            const color = cancelled
+              ? theme.colors.textSecondary
+              : minutes <= 5 ? theme.colors.departureTime.now
+              : minutes <= 15 ? theme.colors.departureTime.soon
+              : theme.colors.textPrimary;
+            return (
+              <li
+                key={`${dep.aimedDepartureTime}-${index}`}
+                className="flex items-baseline gap-4 py-2 border-b last:border-b-0"
+                style={{ borderColor: theme.colors.border }}
+              >
+                <span
+                  className={`text-3xl md:text-4xl font-bold tabular-nums ${cancelled ? 'line-through' : ''}`}
+                  style={{ color }}
+                >
+                  {formatDepartureTime(dep.aimed)}
+                </span>
+                <DepartureStatus departure={dep} theme={theme} className="text-2xl" />
+                <span className="flex-1 text-xl md:text-2xl truncate" style={{ color: theme.colors.textSecondary }}>
+                  {cleanDestinationText(dep.destinationDisplay?.frontText)}
+                </span>
+                {!cancelled && (
+                  <span className="text-xl md:text-2xl font-bold tabular-nums whitespace-nowrap" style={{ color }}>
+                    {minutes <= 0 ? 'Nå' : `${minutes} min`}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+// Avgangstavle for én kai (/?board=NSR:StopPlace:…) – for skjerm på kaia, uten GPS og kjøretid
+export default function DepartureBoard({ stopId }) {
+  const [board, setBoard] = useState(null);
+  const [error, setError] = useState(null);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const params = new URLSearchParams(window.location.search);
+  const theme = getTheme(params.get('theme') || loadTheme());
+
+  useWakeLock();
+
+  // Klokka og "om X min" tikker hvert sekund uten å hente på nytt
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 1000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    let stopped = false;
+    let timer = null;
+    let failures = 0;
+
+    const refresh = async () => {
+      clearTimeout(timer);
+      try {
+        const data = await loadBoard(stopId);
+        if (stopped) return;
+        setBoard(data);
+        setError(null);
+        setLastUpdated(new Date());
+        failures = 0;
+        timer = setTimeout(refresh, REFRESH_INTERVAL);
+      } catch (err) {
+        if (stopped) return;
+        // Behold forrige tavle og prøv igjen med økende pause
+        console.warn('Avgangstavle: henting feilet', err);
+        setError('Mistet forbindelsen – prøver igjen');
+        timer = setTimeout(refresh, RETRY_DELAYS[Math.min(failures, RETRY_DELAYS.length - 1)]);
+        failures += 1;
+      }
+    };
+    const onVisibilityChange = () => {
+      if (document.visibilityState === 'visible') refresh();
+    };
+
+    refresh();
+    window.addEventListener('online', refresh);
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      window.removeEventListener('online', refresh);
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+    };
+  }, [stopId]);
+
+  return (
+    <div
+      className="min-h-screen flex flex-col gap-4 p-4 md:p-8"
+      style={{ background: theme.colors.background, fontFamily: theme.fonts.primary }}
+    >
+      <header className="flex items-center justify-between gap-4">
+        <h1 className="text-3xl md:text-5xl font-bold truncate" style={{ color: theme.colors.textWhite }}>
+          {board?.name || 'Laster avganger …'}
+        </h1>
+        <div className="text-5xl md:text-7xl font-bold tabular-nums" style={{ color: theme.colors.textWhite }}>
+          {now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' })}
+        </div>
+      </header>
+
+      {error && (
+        <div
+          className="px-4 py-2 rounded-lg text-xl font-bold"
+          style={{ backgroundColor: UI_COLORS.DANGER, color: theme.colors.textWhite }}
+        >
+          {error}
+          {lastUpdated && ` · viser data fra kl. ${formatDepartureTime(lastUpdated)}`}
+        </div>
+      )}
+
+      {board?.situations.length > 0 && (
+        <ul className="space-y-2">
+          {board.situations.map(situation => (
+            <li
+              key={situation.id}
+              className="px-4 py-2 border-l-8 rounded-lg text-xl"
+              style={{
+                backgroundColor: theme.colors.cardBackground,
+                borderColor: situation.severity === 'severe' || situation.severity === 'verySevere'
+                  ? UI_COLORS.DANGER
+                  : theme.colors.departureTime.soon,
+                color: theme.colors.textPrimary
+              }}
+            >
+              <span className="font-bold">⚠ {situation.summary || situation.description}</span>
+              {situation.summary && situation.description && situation.description !== situation.summary && (
+                <span style={{ color: theme.colors.textSecondary }}> – {situation.description}</span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {board && (
+        <div className={`grid gap-4 md:gap-6 ${board.other ? 'md:grid-cols-2' : ''}`}>
+          <BoardColumn title={`Fra ${board.name}`} departures={board.departures} now={now} theme={theme} />
+          {board.other && (
+            <BoardColumn title={`Fra ${board.other.name}`} departures={board.other.departures} now={now} theme={theme} />
+          )}
+        </div>
+      )}
+
+      {lastUpdated && (
+        <footer className="mt-auto text-sm" style={{ color: theme.colors.textWhite }}>
+          FergeTid · oppdatert kl. {formatDepartureTime(lastUpdated)}
+        </footer>
+      )}
+    </div>
+  );
+}
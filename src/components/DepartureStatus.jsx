@@ -0,0 +1,29 @@
+import { UI_COLORS } from '../config/constants';
+import { formatDepartureTime, getDelayMinutes, isDepartureCancelled } from '../utils/departureUtils';
+
+// Sanntidsstatus for en avgang: forventet tid når den avviker fra rutetid, eller "Innstilt"
+export default function DepartureStatus({ departure, theme, className = '' }) {
+  if (isDepartureCancelled(departure)) {
+    return (
+      <span
+        className={`font-bold uppercase whitespace-nowrap ${className}`}
+        style={{ color: UI_COLORS.DANGER, fontFamily: theme.fonts.primary, lineHeight: 1.1 }}
+      >
+        Innstilt
+      </span>
+    );
+  }
+
+  const delay = getDelayMinutes(departure);
+  if (delay === 0) return null;
+
+  return (
+    <span
+      className={`font-bold whitespace-nowrap ${className}`}
+      style={{ color: theme.colors.departureTime.soon, fontFamily: theme.fonts.primary, lineHeight: 1.1 }}
+      title={delay > 0 ? `${delay} min forsinket` : `${-delay} min før rutetid`}
+    >
+      {formatDepartureTime(departure.expectedDepartureTime || departure.expected)}
+    </span>
+  );
+}
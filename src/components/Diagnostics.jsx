@@ -0,0 +1,196 @@
+import { useEffect, useState } from 'react';
+import { requestBudget } from '../services/RequestBudget';
+import { getDrivingTimeCacheStats, clearDrivingTimeCache } from '../services/GeoServices';
+import { ferryOnlyRegistry } from '../services/FerryOnlyRegistry';
+import { UI_COLORS } from '../config/constants';
+
+const PROVIDER_NAMES = {
+  here: 'HERE',
+  hereMatrix: 'HERE-matrise (elementer)',
+  google: 'Google',
+  selfHosted: 'Selvhostet'
+};
+
+const STATE_LABELS = {
+  ok: 'OK',
+  soft: 'Over myk grense – bruker cache',
+  hard: 'Stoppet – bruker luftlinje'
+};
+
+const FERRY_ONLY_REASONS = {
+  routeHadFerry: 'Ruten uten ferje gikk likevel med ferje',
+  noRoadMatrixRoute: 'Ingen veirute i matrisen',
+  legacy: 'Fra eldre versjon',
+  seed: 'Kjent øykai'
+};
+
+const formatLimit = (limit) => (Number.isFinite(limit) ? limit : '∞');
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleDateString([], { day: 'numeric', month: 'short' });
+
+// Skjult diagnostikk: API-kall per leverandør i dag mot myk og hard grense
+export default function Diagnostics({ open, onClose, theme }) {
+  const [usage, setUsage] = useState(() => requestBudget.getUsage());
+  const [cacheStats, setCacheStats] = useState(() => getDrivingTimeCacheStats());
+  const [ferryOnly, setFerryOnly] = useState(() => ferryOnlyRegistry.getEntries());
+
+  useEffect(() => {
+    if (!open) return;
+    setUsage(requestBudget.getUsage());
+    setCacheStats(getDrivingTimeCacheStats());
+    setFerryOnly(ferryOnlyRegistry.getEntries());
+    const unsubscribe = requestBudget.subscribe(setUsage);
+    const unsubscribeFerryOnly = ferryOnlyRegistry.subscribe(setFerryOnly);
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => {
+      unsubscribe();
+      unsubscribeFerryOnly();
+      window.removeEventListener('keydown', onKeyDown);
+    };
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const handleClearCache = async () => {
+    await clearDrivingTimeCache();
+    setCacheStats(getDrivingTimeCacheStats());
+  };
+
+  const stateColor = (state) => (
+    state === 'hard' ? UI_COLORS.DANGER : state === 'soft' ? theme.colors.departureTime.soon : UI_COLORS.SUCCESS
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        className={`relative shadow-xl w-[90vw] max-w-md max-h-[85vh] overflow-y-auto p-4 border-2 ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-xl'}`}
+        style={{
+          backgroundColor: theme.colors.cardBackground,
+          borderColor: theme.colors.border,
+          fontFamily: theme.fonts.primary
+        }}
+      >
+        <button
+          type="button"
+          aria-label="Lukk"
+          onClick={onClose}
+          className="absolute top-2 right-3 text-xl"
+          style={{ color: theme.colors.textPrimary }}
+        >
+          ×
+        </button>
+        <h2 className="text-lg font-bold mb-1" style={{ color: theme.colors.textPrimary }}>
+          Diagnostikk
+        </h2>
+        <div className="text-xs mb-3" style={{ color: theme.colors.textSecondary }}>
+          API-kall {usage.date}
+        </div>
+
+        <ul className="space-y-3">
+          {usage.providers.map(({ provider, count, soft, hard, state }) => (
+            <li key={provider}>
+              <div className="flex items-baseline justify-between text-sm" style={{ color: theme.colors.textPrimary }}>
+                <span className="font-bold">{PROVIDER_NAMES[provider] || provider}</span>
+                <span>
+                  {count} / {formatLimit(soft)} / {formatLimit(hard)}
+                </span>
+              </div>
+              {Number.isFinite(hard) && (
+                <div className="h-2 rounded-full overflow-hidden" style={{ backgroundColor: theme.colors.border }}>
+                  <div
+                    className="h-full"
+                    style={{ width: `${Math.min(100, (count / hard) * 100)}%`, backgroundColor: stateColor(state) }}
+                  />
+                </div>
+              )}
+              <div className="text-xs mt-1" style={{ color: stateColor(state) }}>
+                {STATE_LABELS[state]}
+                {usage.blocked[provider] ? ` · ${usage.blocked[provider]} kall hoppet over` : ''}
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <div className="mt-3 text-xs" style={{ color: theme.colors.textSecondary }}>
+          I dag / myk grense / hard grense
+        </div>
+
+        <button
+          type="button"
+          onClick={() => requestBudget.reset()}
+          className="w-full mt-4 py-2 rounded-lg border text-sm font-bold"
+          style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary }}
+        >
+          Nullstill tellere
+        </button>
+
+        <div className="mt-4 pt-3 border-t" style={{ borderColor: theme.colors.border }}>
+          <div className="flex items-baseline justify-between text-sm" style={{ color: theme.colors.textPrimary }}>
+            <span className="font-bold">Kjøretidscache</span>
+            <span>
+              {cacheStats.entries} / {cacheStats.maxEntries}
+            </span>
+          </div>
+          <div className="text-xs mt-1" style={{ color: theme.colors.textSecondary }}>
+            {cacheStats.road} uten ferje · {cacheStats.ferry} med ferje · {cacheStats.estimates} luftlinje
+            {cacheStats.oldest ? ` · eldste ${new Date(cacheStats.oldest).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''}
+          </div>
+          <button
+            type="button"
+            onClick={handleClearCache}
+            className="w-full mt-3 py-2 rounded-lg border text-sm font-bold"
+            style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary }}
+          >
+            Tøm kjøretidscache
+          </button>
+        </div>
+
+        <div className="mt-4 pt-3 border-t" style={{ borderColor: theme.colors.border }}>
+          <div className="text-sm font-bold" style={{ color: theme.colors.textPrimary }}>
+            Bare med ferje ({ferryOnly.length})
+          </div>
+          <div className="text-xs mb-2" style={{ color: theme.colors.textSecondary }}>
+            Kaier uten veiforbindelse – kjøretid hit regnes alltid med ferje
+          </div>
+          <ul className="space-y-2">
+            {ferryOnly.map(entry => (
+              <li key={entry.key} className="flex items-start justify-between gap-2 text-xs">
+                <div style={{ color: theme.colors.textPrimary }}>
+                  <div className="font-bold">{entry.name || entry.key}</div>
+                  <div style={{ color: theme.colors.textSecondary }}>
+                    {FERRY_ONLY_REASONS[entry.reason] || entry.reason}
+                    {entry.expiresAt ? ` · ${entry.source} · ${formatDate(entry.learnedAt)}, utløper ${formatDate(entry.expiresAt)}` : ''}
+                  </div>
+                </div>
+                <button
+                  type="button"
+                  aria-label="Fjern"
+                  onClick={() => ferryOnlyRegistry.remove(entry.key)}
+                  className="text-base px-1"
+                  style={{ color: UI_COLORS.DANGER }}
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => ferryOnlyRegistry.reset()}
+            className="w-full mt-3 py-2 rounded-lg border text-sm font-bold"
+            style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary }}
+          >
+            Glem lærte og gjenopprett kjente kaier
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import { useEffect, useRef } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import { GPS_SEARCH_CONFIG, UI_COLORS } from '../config/constants';
+import { getEffectiveDepartureTime, isDepartureCancelled, formatDepartureTime } from '../utils/departureUtils';
+import { cleanDestinationText } from '../utils/helpers';
+
+const TILE_URL = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+const TILE_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a>';
+
+/**
+ * Next running departure, and whether it can be reached with the driving time
+ * @returns {{ departure: Object|null, reachable: boolean|null }} reachable is null when unknown
+ */
+const getNextDepartureStatus = (departures, drivingTime) => {
+  const now = new Date();
+  const departure = departures
+    .filter(dep => !isDepartureCancelled(dep) && getEffectiveDepartureTime(dep) > now)
+    .sort((a, b) => getEffectiveDepartureTime(a) - getEffectiveDepartureTime(b))[0] || null;
+  if (!departure || drivingTime == null) return { departure, reachable: null };
+  const arrival = new Date(now.getTime() + drivingTime * 60000);
+  return { departure, reachable: getEffectiveDepartureTime(departure) >= arrival };
+};
+
+// Kart over fergekaiene fra GPS-søket: posisjon, søkeradius, rekkbarhet og sambandet til returkortet
+export default function FerryMap({ theme, location, stops, departuresMap, drivingTimes, inlineDestinations, ferryQuays, onSelectStop }) {
+  const containerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layerRef = useRef(null);
+  const lastFitKeyRef = useRef(null);
+  const onSelectStopRef = useRef(onSelectStop);
+  onSelectStopRef.current = onSelectStop;
+
+  // Opprett kartet én gang
+  useEffect(() => {
+    const map = L.map(containerRef.current, { zoomControl: true, attributionControl: true });
+    L.tileLayer(TILE_URL, { attribution: TILE_ATTRIBUTION, maxZoom: 18 }).addTo(map);
+    layerRef.current = L.layerGroup().addTo(map);
+    mapRef.current = map;
+    return () => {
+      map.remove();
+      mapRef.current = null;
+      layerRef.current = null;
+      lastFitKeyRef.current = null;
+    };
+  }, []);
+
+  // Tegn posisjon, fergekaier og samband på nytt når resultatene endres
+  useEffect(() => {
+    const map = mapRef.current;
+    const layer = layerRef.current;
+    if (!map || !layer) return;
+    layer.clearLayers();
+
+    const bounds = [];
+
+    if (location) {
+      const here = [location.latitude, location.longitude];
+      L.circle(here, {
+        radius: GPS_SEARCH_CONFIG.SEARCH_RADIUS_METERS,
+        color: theme.colors.primary,
+        weight: 1,
+        fillOpacity: 0.04
+      }).addTo(layer);
+      L.circleMarker(here, { radius: 8, color: '#ffffff', weight: 3, fillColor: '#2563eb', fillOpacity: 1 })
+        .bindTooltip('Din posisjon')
+        .addTo(layer);
+      bounds.push(here);
+    }
+
+    for (const stop of stops) {
+      if (!stop.latitude || !stop.longitude) continue;
+      const position = [stop.latitude, stop.longitude];
+      const departures = departuresMap[stop.id] || stop.departures || [];
+      const { departure, reachable } = getNextDepartureStatus(departures, drivingTimes[stop.id]);
+      const color = reachable === null ? theme.colors.textSecondary : reachable ? UI_COLORS.SUCCESS : UI_COLORS.DANGER;
+
+      // Sambandet til returkortets fergekai
+      for (const destination of inlineDestinations[stop.id] || []) {
+        const partner = ferryQuays.find(quay => quay.id === destination.stopId);
+        if (partner?.latitude && partner?.longitude) {
+          L.polyline([position, [partner.latitude, partner.longitude]], {
+            color: theme.colors.primary,
+            weight: 3,
+            dashArray: '6 6',
+            opacity: 0.8
+          }).addTo(layer);
+        }
+      }
+
+      const label = cleanDestinationText(stop.name || '');
+      const tooltip = departure ? `${label} – neste ${formatDepartureTime(getEffectiveDepartureTime(departure))}` : label;
+      L.circleMarker(position, { radius: 9, color: '#ffffff', weight: 2, fillColor: color, fillOpacity: 1 })
+        .bindTooltip(tooltip)
+        .on('click', () => onSelectStopRef.current?.(stop.id))
+        .addTo(layer);
+      bounds.push(position);
+    }
+
+    // Bare zoom første gang og når settet med fergekaier endres – ikke når posisjonen flytter seg
+    // eller avgangene oppdateres, så brukeren får beholde sin egen zoom under kjøring
+    const fitKey = stops.map(stop => stop.id).sort().join('|');
+    if (fitKey === lastFitKeyRef.current) return;
+    lastFitKeyRef.current = fitKey;
+    if (bounds.length > 1) {
+      map.fitBounds(bounds, { padding: [24, 24], maxZoom: 13 });
+    } else if (bounds.length === 1) {
+      map.setView(bounds[0], 11);
+    }
+  }, [location, stops, departuresMap, drivingTimes, inlineDestinations, ferryQuays, theme]);
+
+  return (
+    <div
+      ref={containerRef}
+      className={`w-full h-72 shadow-lg border ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-2xl'}`}
+      style={{ borderColor: theme.colors.border, zIndex: 0 }}
+      role="region"
+      aria-label="Kart over fergekaier"
+    />
+  );
+}
@@ -0,0 +1,210 @@
+import { useEffect, useState } from 'react';
+import { enturService } from '../services/EnturService';
+import { formatDepartureTime } from '../utils/departureUtils';
+import { cleanDestinationText } from '../utils/helpers';
+import { UI_COLORS } from '../config/constants';
+
+const REFRESH_INTERVAL = 30000; // sanntid mens arket er åpent
+
+// Stoppet ferja skal til (eller ligger ved) nå: første anløp den ikke har forlatt
+const getNextCallIndex = (calls, now) => calls.findIndex(call => {
+  if (call.cancelled || call.departed) return false;
+  const leaves = call.expectedDeparture || call.aimedDeparture || call.expectedArrival || call.aimedArrival;
+  return leaves && leaves > now;
+});
+
+// Rutetid, og forventet tid ved siden av når den avviker med minst ett minutt
+function CallTime({ label, aimed, expected, theme }) {
+  if (!aimed) return null;
+  const delayed = expected && Math.abs(expected - aimed) >= 60000;
+  return (
+    <span className="whitespace-nowrap">
+      <span style={{ color: theme.colors.textSecondary }}>{label} </span>
+      <span className={delayed ? 'line-through' : ''} style={{ color: delayed ? theme.colors.textSecondary : theme.colors.textPrimary }}>
+        {formatDepartureTime(aimed)}
+      </span>
+      {delayed && (
+        <span className="font-bold ml-1" style={{ color: theme.colors.departureTime.soon }}>
+          {formatDepartureTime(expected)}
+        </span>
+      )}
+    </span>
+  );
+}
+
+// Hele turen til én avgang: alle anløp med ankomst/avgang, sanntidsavvik og hvilket stopp som er neste
+export default function JourneySheet({ journey, onClose, theme }) {
+  const [details, setDetails] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  const serviceJourneyId = journey?.departure?.serviceJourney?.id;
+  // Driftsdøgnet fra Entur; avgangstidens kalenderdag er feil for anløp etter midnatt på en kveldstur
+  const serviceDate = journey?.departure?.serviceDate || journey?.departure?.aimed;
+
+  useEffect(() => {
+    if (!journey) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [journey, onClose]);
+
+  useEffect(() => {
+    if (!serviceJourneyId) return;
+    let stopped = false;
+    setDetails(null);
+    setError(null);
+
+    const load = async () => {
+      try {
+        const result = await enturService.getServiceJourney(serviceJourneyId, serviceDate);
+        if (stopped) return;
+        if (result && result.calls.length > 0) {
+          setDetails(result);
+          setError(null);
+        } else {
+          setError('Fant ikke stoppene for denne turen.');
+        }
+      } catch (err) {
+        if (stopped) return;
+        console.warn('Kunne ikke hente tur:', err);
+        // Behold forrige liste hvis vi har en
+        setError('Kunne ikke hente turen. Prøv igjen senere.');
+      }
+      setNow(new Date());
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+    };
+  }, [serviceJourneyId, serviceDate]);
+
+  if (!journey) return null;
+
+  const { departure, stopId } = journey;
+  const calls = details?.calls || [];
+  const nextIndex = getNextCallIndex(calls, now);
+  const title = details?.line?.name || cleanDestinationText(departure.destinationDisplay?.frontText);
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-end sm:items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-label={`Tur ${formatDepartureTime(departure.aimed)}`}
+        className={`relative shadow-xl w-full sm:w-[90vw] max-w-md max-h-[85vh] overflow-y-auto p-4 border-2 ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-t-xl sm:rounded-xl'}`}
+        style={{
+          backgroundColor: theme.colors.cardBackground,
+          borderColor: theme.colors.border,
+          fontFamily: theme.fonts.primary
+        }}
+      >
+        <button
+          type="button"
+          aria-label="Lukk"
+          onClick={onClose}
+          className="absolute top-2 right-3 text-xl"
+          style={{ color: theme.colors.textPrimary }}
+        >
+          ×
+        </button>
+        <h2 className="text-lg font-bold pr-6" style={{ color: theme.colors.textPrimary }}>
+          {title}
+        </h2>
+        <div className="text-sm mb-3" style={{ color: theme.colors.textSecondary }}>
+          Avgang kl. {formatDepartureTime(departure.aimed)}
+          {details && !details.realtime && ' · kun rutetider'}
+        </div>
+
+        {details?.situations.length > 0 && (
+          <ul className="mb-3 space-y-1">
+            {details.situations.map(situation => (
+              <li
+                key={situation.id}
+                className="pl-3 border-l-4 text-sm"
+                style={{ borderColor: theme.colors.departureTime.soon, color: theme.colors.textPrimary }}
+              >
+                {situation.summary || situation.description}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {!details && !error && (
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Henter stopp...</div>
+        )}
+        {error && (
+          <div className="text-sm mb-2" style={{ color: UI_COLORS.DANGER }}>{error}</div>
+        )}
+
+        {calls.length > 0 && (
+          <ol>
+            {calls.map((call, index) => {
+              const isNext = index === nextIndex;
+              const isPassed = nextIndex === -1 ? true : index < nextIndex;
+              const isOwnStop = call.stopPlaceId === stopId;
+              const dotColor = call.cancelled
+                ? UI_COLORS.DANGER
+                : isNext ? theme.colors.primary : theme.colors.border;
+              return (
+                <li key={`${call.quayId}-${index}`} className="flex gap-3">
+                  <div className="flex flex-col items-center" aria-hidden="true">
+                    <span
+                      className="w-3 h-3 mt-1.5 rounded-full border-2 shrink-0"
+                      style={{ borderColor: dotColor, backgroundColor: isPassed ? dotColor : 'transparent' }}
+                    />
+                    {index < calls.length - 1 && (
+                      <span className="w-0.5 flex-1" style={{ backgroundColor: theme.colors.border }} />
+                    )}
+                  </div>
+                  <div className={`flex-1 pb-3 ${isPassed && !isNext ? 'opacity-60' : ''}`}>
+                    <div className="flex items-center gap-2 flex-wrap">
+                      <span
+                        className={`font-bold ${call.cancelled ? 'line-through' : ''}`}
+                        style={{ color: theme.colors.textPrimary }}
+                      >
+                        {cleanDestinationText(call.name)}
+                      </span>
+                      {isNext && (
+                        <span
+                          className="text-xs font-bold px-1.5 rounded"
+                          style={{ backgroundColor: theme.colors.primary, color: theme.colors.textWhite }}
+                        >
+                          Neste
+                        </span>
+                      )}
+                      {isOwnStop && (
+                        <span className="text-xs" style={{ color: theme.colors.textSecondary }}>din kai</span>
+                      )}
+                      {call.cancelled && (
+                        <span className="text-xs font-bold uppercase" style={{ color: UI_COLORS.DANGER }}>Innstilt</span>
+                      )}
+                    </div>
+                    <div className="text-sm flex gap-3 flex-wrap">
+                      <CallTime label="Ank." aimed={call.aimedArrival} expected={call.expectedArrival} theme={theme} />
+                      <CallTime label="Avg." aimed={call.aimedDeparture} expected={call.expectedDeparture} theme={theme} />
+                    </div>
+                    {!call.forBoarding && index < calls.length - 1 && (
+                      <div className="text-xs" style={{ color: theme.colors.textSecondary }}>Kun avstigning</div>
+                    )}
+                    {!call.forAlighting && index > 0 && (
+                      <div className="text-xs" style={{ color: theme.colors.textSecondary }}>Kun påstigning</div>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+}
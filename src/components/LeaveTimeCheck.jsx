@@ -0,0 +1,73 @@
+import { useEffect, useRef, useState } from 'react';
+import { calculateDrivingTime } from '../services/GeoServices';
+import { formatDepartureTime, getFerryForLeaveTime } from '../utils/departureUtils';
+import { formatMinutes, getLeaveDate } from '../utils/helpers';
+
+// "Drar jeg kl. 07:30, hvilken ferje rekker jeg?" – kjøretid beregnet for det klokkeslettet
+export default function LeaveTimeCheck({ from, to, departures, roadOnly, theme }) {
+  const [leaveTime, setLeaveTime] = useState(''); // HH:MM, tom = skjult
+  const [result, setResult] = useState(null); // { ferry, drivingTime } | { error }
+  const { lat: fromLat, lng: fromLng } = from;
+  const { lat: toLat, lng: toLng } = to;
+
+  // Avgangslista er en ny array ved hver oppdatering – beregn på nytt bare når tidene endres
+  const departuresRef = useRef(departures);
+  departuresRef.current = departures;
+  const departuresKey = departures
+    .map(dep => `${dep.aimedDepartureTime}/${dep.expectedDepartureTime || ''}`)
+    .join('|');
+
+  useEffect(() => {
+    if (!leaveTime) {
+      setResult(null);
+      return;
+    }
+    let stopped = false;
+    const leaveAt = getLeaveDate(leaveTime);
+    setResult(null);
+
+    calculateDrivingTime({ lat: fromLat, lng: fromLng }, { lat: toLat, lng: toLng }, { roadOnly, departureTime: leaveAt, essential: true })
+      .then(({ time }) => {
+        if (stopped) return;
+        setResult({ ferry: getFerryForLeaveTime(departuresRef.current, time, leaveAt), drivingTime: time });
+      })
+      .catch(err => {
+        if (stopped) return;
+        console.warn('Kunne ikke beregne kjøretid for avreisetidspunktet:', err);
+        setResult({ error: 'Kunne ikke beregne kjøretiden.' });
+      });
+    return () => {
+      stopped = true;
+    };
+  }, [leaveTime, fromLat, fromLng, toLat, toLng, roadOnly, departuresKey]);
+
+  return (
+    <div className="mt-2 text-base" style={{ color: theme.colors.textSecondary, fontFamily: theme.fonts.primary }}>
+      <label className="flex items-center gap-2">
+        Drar du kl.
+        <input
+          type="time"
+          value={leaveTime}
+          onChange={e => setLeaveTime(e.target.value)}
+          className="px-2 py-0.5 border rounded-lg"
+          style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary, backgroundColor: theme.colors.cardBackground }}
+        />
+      </label>
+      {leaveTime && !result && <div>Beregner...</div>}
+      {result?.error && <div>{result.error}</div>}
+      {result && !result.error && (
+        result.ferry ? (
+          <div>
+            Du er fremme kl. {formatDepartureTime(result.ferry.arrivalTime)} og rekker ferja{' '}
+            <span className="font-bold" style={{ color: theme.colors.textPrimary }}>
+              kl. {formatDepartureTime(result.ferry.departureTime)}
+            </span>
+            {result.ferry.waitMinutes > 0 && ` (${formatMinutes(result.ferry.waitMinutes)} venting)`}
+          </div>
+        ) : (
+          <div>Ingen kjente avganger etter at du er fremme ({formatMinutes(result.drivingTime)} kjøring)</div>
+        )
+      )}
+    </div>
+  );
+}
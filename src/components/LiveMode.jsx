@@ -2,7 +2,7 @@ import { useEffect, useState } from 'react';
 import { liveModeService } from '../services/LiveModeService';
 import { hasLiveModeAccess } from '../services/PurchasesService';
 import { formatMinutes, formatDistance, calculateTimeDiff } from '../utils/helpers';
-import { generateTravelDescription } from '../utils/departureUtils';
+import { generateTravelDescription, getEffectiveDepartureTime, isDepartureCancelled } from '../utils/departureUtils';
 import { THEMES, getTheme, loadTheme } from '../config/themes';
 
 export default function LiveMode({ ferryTerminal, onClose, departures = [] }) {
@@ -116,21 +116,14 @@ export default function LiveMode({ ferryTerminal, onClose, departures = [] }) {
     );
   }
 
-  // Find next departure
+  // Find next departure (realtime, skip cancelled sailings)
   const now = new Date();
   const nextDeparture = departures
-    .filter(dep => {
-      const depTime = new Date(dep.aimedDepartureTime || dep.aimed);
-      return depTime > now;
-    })
-    .sort((a, b) => {
-      const timeA = new Date(a.aimedDepartureTime || a.aimed);
-      const timeB = new Date(b.aimedDepartureTime || b.aimed);
-      return timeA - timeB;
-    })[0];
+    .filter(dep => !isDepartureCancelled(dep) && getEffectiveDepartureTime(dep) > now)
+    .sort((a, b) => getEffectiveDepartureTime(a) - getEffectiveDepartureTime(b))[0];
 
   const timeToDeparture = nextDeparture
-    ? calculateTimeDiff(nextDeparture.aimedDepartureTime || nextDeparture.aimed)
+    ? calculateTimeDiff(getEffectiveDepartureTime(nextDeparture))
     : 0;
 
   return (
@@ -233,7 +226,7 @@ export default function LiveMode({ ferryTerminal, onClose, departures = [] }) {
               </h3>
               <div className="flex items-center justify-between">
                 <span className="text-lg font-bold" style={{ color: theme.colors.textPrimary }}>
-                  {new Date(nextDeparture.aimedDepartureTime || nextDeparture.aimed).toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })}
+                  {getEffectiveDepartureTime(nextDeparture).toLocaleTimeString('no-NO', { hour: '2-digit', minute: '2-digit' })}
                 </span>
                 {nextDeparture.destinationDisplay?.frontText && (
                   <span className="text-base" style={{ color: theme.colors.textSecondary }}>
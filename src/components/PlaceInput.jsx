@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react';
+import { enturService } from '../services/EnturService';
+import { TRIP_PLANNER_CONFIG } from '../config/constants';
+
+// Tekstfelt med stedsforslag fra Entur sin geokoder
+export default function PlaceInput({ label, value, onSelect, theme, placeholder }) {
+  const [query, setQuery] = useState(value?.name || '');
+  const [suggestions, setSuggestions] = useState([]);
+
+  useEffect(() => {
+    setQuery(value?.name || '');
+  }, [value]);
+
+  useEffect(() => {
+    if (!query || query.length < 2 || query === value?.name) {
+      setSuggestions([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const places = await enturService.searchPlaces(query, TRIP_PLANNER_CONFIG.SUGGESTION_COUNT);
+        if (!cancelled) setSuggestions(places);
+      } catch (err) {
+        console.warn('Place search failed:', err);
+        if (!cancelled) setSuggestions([]);
+      }
+    }, 300);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, value]);
+
+  return (
+    <div className="relative mb-3">
+      <label className="block text-sm font-bold mb-1" style={{ color: theme.colors.textPrimary }}>
+        {label}
+      </label>
+      <input
+        type="text"
+        autoComplete="off"
+        value={query}
+        placeholder={placeholder}
+        onChange={e => setQuery(e.target.value)}
+        className="w-full px-3 py-2 border rounded-lg focus:outline-none"
+        style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary, backgroundColor: theme.colors.cardBackground }}
+      />
+      {suggestions.length > 0 && (
+        <ul
+          className="absolute left-0 right-0 z-10 mt-1 border rounded-lg shadow-lg overflow-hidden"
+          style={{ borderColor: theme.colors.border, backgroundColor: theme.colors.cardBackground }}
+        >
+          {suggestions.map(place => (
+            <li key={place.id}>
+              <button
+                type="button"
+                onClick={() => {
+                  onSelect(place);
+                  setSuggestions([]);
+                }}
+                className="w-full text-left px-3 py-2 text-sm"
+                style={{ color: theme.colors.textPrimary }}
+              >
+                {place.label}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
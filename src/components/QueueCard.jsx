@@ -0,0 +1,217 @@
+import { useEffect, useState } from 'react';
+import DepartureStatus from './DepartureStatus';
+import { enturService, isFerrySubmode } from '../services/EnturService';
+import { getOtherQuayOnLine, selectReturnDepartures } from '../utils/returnDepartures';
+import {
+  cleanDestinationText,
+  formatDepartureTime,
+  getEffectiveDepartureTime,
+  getOccupancyWarning,
+  isDepartureCancelled
+} from '../utils/departureUtils';
+import { UI_COLORS } from '../config/constants';
+
+const REFRESH_INTERVAL = 30000; // sanntid og kapasitet mens vi står i kø
+const QUEUE_FILTERS = { carFerry: true, passengerFerry: true };
+const QUEUE_QUERY = { detailed: true, filters: QUEUE_FILTERS, timeRange: 43200, numberOfDepartures: 20 };
+const RETURN_DEPARTURES = 3;
+
+// Avganger, avvik og returavganger for kaia vi står i kø på
+const loadQueue = async (stopId) => {
+  const [departures, situations] = await Promise.all([
+    enturService.getDepartures(stopId, QUEUE_QUERY),
+    enturService.getSituations(stopId, QUEUE_QUERY)
+  ]);
+  const ferries = departures.filter(dep => isFerrySubmode(dep.submode));
+  const other = getOtherQuayOnLine(ferries[0]?.serviceJourney?.journeyPattern?.line, stopId);
+  let returnDepartures = [];
+  if (other) {
+    const calls = await enturService.getDepartures(other.id, QUEUE_QUERY);
+    returnDepartures = selectReturnDepartures(calls, stopId, other.lineId, QUEUE_FILTERS);
+  }
+  return { departures: ferries, situations, other, returnDepartures };
+};
+
+const minutesUntil = (departure, now) => Math.round((getEffectiveDepartureTime(departure) - now) / 60000);
+
+// Kapasitetsvarsel når rederiet melder at ferja er (nesten) full
+function OccupancyBadge({ departure, theme }) {
+  const warning = getOccupancyWarning(departure);
+  if (!warning) return null;
+  return (
+    <span
+      className="text-xs font-bold px-1.5 rounded whitespace-nowrap"
+      style={{
+        backgroundColor: warning.full ? UI_COLORS.DANGER : theme.colors.departureTime.soon,
+        color: theme.colors.textWhite
+      }}
+    >
+      {warning.text}
+    </span>
+  );
+}
+
+// "I kø"-visning: vi står på kaia, så kjøretid er uinteressant – vis nedtelling til neste ferje i stedet
+export default function QueueCard({ stop, onClose, theme }) {
+  const [queue, setQueue] = useState(null);
+  const [error, setError] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(new Date()), 10000);
+    return () => clearInterval(interval);
+  }, []);
+
+  useEffect(() => {
+    let stopped = false;
+    setQueue(null);
+    setError(null);
+
+    const load = async () => {
+      try {
+        const data = await loadQueue(stop.id);
+        if (stopped) return;
+        setQueue(data);
+        setError(null);
+      } catch (err) {
+        if (stopped) return;
+        console.warn('Kunne ikke hente avganger for køen:', err);
+        // Behold forrige visning hvis vi har en
+        setError('Kunne ikke oppdatere avgangene.');
+      }
+    };
+
+    load();
+    const interval = setInterval(load, REFRESH_INTERVAL);
+    return () => {
+      stopped = true;
+      clearInterval(interval);
+    };
+  }, [stop.id]);
+
+  const upcoming = (queue?.departures || []).filter(dep => getEffectiveDepartureTime(dep) > now);
+  const sailing = upcoming.filter(dep => !isDepartureCancelled(dep));
+  const next = sailing[0] || null;
+  const following = sailing[1] || null;
+  // Innstilte avganger før den neste som faktisk går
+  const cancelledBefore = next ? upcoming.slice(0, upcoming.indexOf(next)) : [];
+  const returnUpcoming = (queue?.returnDepartures || [])
+    .filter(dep => !isDepartureCancelled(dep) && getEffectiveDepartureTime(dep) > now)
+    .slice(0, RETURN_DEPARTURES);
+  const nextMinutes = next ? minutesUntil(next, now) : null;
+
+  return (
+    <section
+      id={'queue-card-' + stop.id}
+      aria-label={`I kø på ${cleanDestinationText(stop.name)}`}
+      className={`relative p-4 border-2 shadow-lg ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-2xl'}`}
+      style={{
+        backgroundColor: theme.colors.cardBackground,
+        borderColor: theme.colors.primary,
+        fontFamily: theme.fonts.primary
+      }}
+    >
+      <button
+        type="button"
+        aria-label="Lukk"
+        title="Vis vanlig liste"
+        onClick={onClose}
+        className="absolute top-2 right-3 text-xl"
+        style={{ color: theme.colors.textPrimary }}
+      >
+        ×
+      </button>
+      <div className="text-xs font-bold uppercase" style={{ color: theme.colors.primary }}>I kø</div>
+      <h2 className="text-xl font-bold pr-6" style={{ color: theme.colors.textPrimary }}>
+        {cleanDestinationText(stop.name)}
+      </h2>
+
+      {!queue && !error && (
+        <div className="text-sm mt-2" style={{ color: theme.colors.textSecondary }}>Henter avganger...</div>
+      )}
+      {error && (
+        <div className="text-sm mt-2" style={{ color: UI_COLORS.DANGER }}>{error}</div>
+      )}
+
+      {queue && !next && (
+        <div className="text-lg mt-2" style={{ color: theme.colors.textSecondary }}>Ingen flere avganger i dag</div>
+      )}
+
+      {next && (
+        <div className="mt-2">
+          <div className="flex items-baseline gap-3 flex-wrap">
+            <span
+              className="text-4xl font-bold tabular-nums"
+              style={{ color: nextMinutes <= 5 ? theme.colors.departureTime.now : theme.colors.departureTime.soon }}
+            >
+              {nextMinutes <= 0 ? 'Nå' : `${nextMinutes} min`}
+            </span>
+            <span className="text-lg" style={{ color: theme.colors.textPrimary }}>
+              kl. {formatDepartureTime(next.aimed)}
+            </span>
+            <DepartureStatus departure={next} theme={theme} />
+            <OccupancyBadge departure={next} theme={theme} />
+          </div>
+          <div className="text-sm" style={{ color: theme.colors.textSecondary }}>
+            Mot {cleanDestinationText(next.destinationDisplay?.frontText)}
+          </div>
+          {getOccupancyWarning(next)?.full && following && (
+            <div className="text-sm font-bold mt-1" style={{ color: UI_COLORS.DANGER }}>
+              Du kommer kanskje ikke med – neste går kl. {formatDepartureTime(following.aimed)}
+            </div>
+          )}
+        </div>
+      )}
+
+      {cancelledBefore.map(dep => (
+        <div key={`cancelled-${dep.aimedDepartureTime}`} className="text-sm mt-1" style={{ color: UI_COLORS.DANGER }}>
+          {formatDepartureTime(dep.aimed)} er innstilt
+        </div>
+      ))}
+
+      {following && (
+        <div className="flex items-center gap-2 flex-wrap mt-3 text-sm" style={{ color: theme.colors.textPrimary }}>
+          <span style={{ color: theme.colors.textSecondary }}>Deretter</span>
+          <span className="font-bold">kl. {formatDepartureTime(following.aimed)}</span>
+          <DepartureStatus departure={following} theme={theme} />
+          <span style={{ color: theme.colors.textSecondary }}>om {minutesUntil(following, now)} min</span>
+          <OccupancyBadge departure={following} theme={theme} />
+        </div>
+      )}
+
+      {queue?.situations.length > 0 && (
+        <ul className="mt-3 space-y-1">
+          {queue.situations.map(situation => (
+            <li
+              key={situation.id}
+              className="pl-3 border-l-4 text-sm"
+              style={{ borderColor: theme.colors.departureTime.soon, color: theme.colors.textPrimary }}
+            >
+              {situation.summary || situation.description}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {queue?.other && (
+        <div className="mt-3 pt-3 border-t text-sm" style={{ borderColor: theme.colors.border }}>
+          <div className="font-bold" style={{ color: theme.colors.textPrimary }}>
+            Retur fra {cleanDestinationText(queue.other.name)}
+          </div>
+          {returnUpcoming.length === 0 ? (
+            <div style={{ color: theme.colors.textSecondary }}>Ingen flere returavganger i dag</div>
+          ) : (
+            <div className="flex gap-3 flex-wrap" style={{ color: theme.colors.textPrimary }}>
+              {returnUpcoming.map(dep => (
+                <span key={dep.aimedDepartureTime} className="whitespace-nowrap">
+                  {formatDepartureTime(dep.aimed)}
+                  <DepartureStatus departure={dep} theme={theme} className="ml-1" />
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { calculateDrivingTime } from '../services/GeoServices';
+import { UI_COLORS } from '../config/constants';
+
+const WIDTH = 300;
+const HEIGHT = 140;
+const PADDING = 10;
+
+// Equirectangular projection of all sections into the SVG box, keeping the aspect ratio
+const projectSections = (sections) => {
+  const all = sections.flatMap(section => section.points);
+  const lats = all.map(([lat]) => lat);
+  const lngs = all.map(([, lng]) => lng);
+  const minLat = Math.min(...lats);
+  const maxLat = Math.max(...lats);
+  const minLng = Math.min(...lngs);
+  const maxLng = Math.max(...lngs);
+  const lngScale = Math.cos(((minLat + maxLat) / 2) * Math.PI / 180);
+  const spanX = Math.max((maxLng - minLng) * lngScale, 1e-6);
+  const spanY = Math.max(maxLat - minLat, 1e-6);
+  const scale = Math.min((WIDTH - 2 * PADDING) / spanX, (HEIGHT - 2 * PADDING) / spanY);
+  const offsetX = (WIDTH - spanX * scale) / 2;
+  const offsetY = (HEIGHT - spanY * scale) / 2;
+  const project = ([lat, lng]) => [
+    offsetX + (lng - minLng) * lngScale * scale,
+    offsetY + (maxLat - lat) * scale
+  ];
+  return sections.map(section => ({ mode: section.mode, points: section.points.map(project) }));
+};
+
+// Liten rutetegning fra posisjonen til fergekaien, for å se at ruten går på vei og ikke over en annen ferje
+export default function RoutePreview({ from, to, roadOnly, theme }) {
+  const [open, setOpen] = useState(false);
+  const [geometry, setGeometry] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [unavailable, setUnavailable] = useState(false);
+
+  const handleToggle = async () => {
+    const nextOpen = !open;
+    setOpen(nextOpen);
+    if (!nextOpen || geometry || loading) return;
+    setLoading(true);
+    setUnavailable(false);
+    try {
+      const result = await calculateDrivingTime(from, to, { roadOnly, returnGeometry: true });
+      if (result.geometry?.length) {
+        setGeometry(result.geometry);
+      } else {
+        setUnavailable(true);
+      }
+    } catch {
+      setUnavailable(true);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const projected = geometry ? projectSections(geometry) : null;
+  const hasFerrySection = geometry?.some(section => section.mode === 'ferry');
+  const first = projected?.[0]?.points[0];
+  const lastSection = projected?.[projected.length - 1];
+  const last = lastSection?.points[lastSection.points.length - 1];
+
+  return (
+    <div className="mb-3" style={{ fontFamily: theme.fonts.primary }}>
+      <button
+        type="button"
+        onClick={handleToggle}
+        aria-expanded={open}
+        className="text-sm underline"
+        style={{ color: theme.colors.textSecondary }}
+      >
+        {open ? 'Skjul rute' : 'Vis rute'}
+      </button>
+      {open && (
+        <div className="mt-2">
+          {loading && (
+            <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Henter rute...</div>
+          )}
+          {unavailable && (
+            <div className="text-sm" style={{ color: theme.colors.textSecondary }}>Rutetegning er ikke tilgjengelig.</div>
+          )}
+          {projected && (
+            <>
+              <svg
+                viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+                className="w-full border rounded"
+                style={{ borderColor: theme.colors.border }}
+                role="img"
+                aria-label="Rute til fergekaien"
+              >
+                {projected.map((section, index) => (
+                  <polyline
+                    key={index}
+                    points={section.points.map(point => point.join(',')).join(' ')}
+                    fill="none"
+                    stroke={section.mode === 'ferry' ? UI_COLORS.DANGER : theme.colors.primary}
+                    strokeWidth="3"
+                    strokeDasharray={section.mode === 'ferry' ? '6 4' : undefined}
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                  />
+                ))}
+                {first && <circle cx={first[0]} cy={first[1]} r="5" fill="#2563eb" />}
+                {last && <circle cx={last[0]} cy={last[1]} r="5" fill={UI_COLORS.SUCCESS} />}
+              </svg>
+              {hasFerrySection && (
+                <div className="text-sm font-bold mt-1" style={{ color: UI_COLORS.DANGER }}>
+                  Ruten går over en annen ferje
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { UI_COLORS } from '../config/constants';
+import { formatDepartureTime } from '../utils/departureUtils';
+
+const formatValidTo = (validTo) => {
+  if (!validTo) return null;
+  const sameDay = validTo.toDateString() === new Date().toDateString();
+  if (sameDay) return `Gjelder til kl. ${formatDepartureTime(validTo)}`;
+  const date = validTo.toLocaleDateString('no-NO', { day: 'numeric', month: 'short' });
+  return `Gjelder til ${date} kl. ${formatDepartureTime(validTo)}`;
+};
+
+// Avviksmeldinger for en ferjekai: en varselbrikke som kan åpnes for å vise hele teksten
+export default function SituationsPanel({ situations, theme }) {
+  const [open, setOpen] = useState(false);
+
+  if (!situations || situations.length === 0) return null;
+
+  const severe = situations.some(s => s.severity === 'severe' || s.severity === 'verySevere');
+  const accent = severe ? UI_COLORS.DANGER : theme.colors.departureTime.soon;
+
+  return (
+    <div className="mb-2" style={{ fontFamily: theme.fonts.primary }}>
+      <button
+        type="button"
+        onClick={() => setOpen(o => !o)}
+        className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-sm font-semibold border"
+        style={{ color: accent, borderColor: accent, background: 'transparent' }}
+        aria-expanded={open}
+      >
+        <span aria-hidden="true">⚠</span>
+        <span>{situations.length} avvik</span>
+        <span aria-hidden="true">{open ? '▴' : '▾'}</span>
+      </button>
+
+      {open && (
+        <ul className="mt-2 space-y-2">
+          {situations.map(situation => (
+            <li
+              key={situation.id}
+              className="pl-3 border-l-4 text-left"
+              style={{ borderColor: accent }}
+            >
+              {situation.summary && (
+                <div className="font-semibold" style={{ color: theme.colors.textPrimary }}>
+                  {situation.summary}
+                </div>
+              )}
+              {situation.description && situation.description !== situation.summary && (
+                <div className="text-sm mt-0.5" style={{ color: theme.colors.textSecondary }}>
+                  {situation.description}
+                </div>
+              )}
+              {situation.validTo && (
+                <div className="text-xs mt-0.5" style={{ color: theme.colors.textSecondary }}>
+                  {formatValidTo(situation.validTo)}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
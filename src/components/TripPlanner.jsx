@@ -0,0 +1,203 @@
+import { useEffect, useState } from 'react';
+import PlaceInput from './PlaceInput';
+import { tripPlannerService } from '../services/TripPlannerService';
+import { formatDepartureTime } from '../utils/departureUtils';
+import { formatDistance, formatMinutes, cleanDestinationText, getLeaveDate } from '../utils/helpers';
+import { UI_COLORS } from '../config/constants';
+
+// Reiseplanlegger: kjøring og ferjer fra A til B som en tidslinje
+export default function TripPlanner({ open, onClose, theme, location, locationName }) {
+  const currentPosition = location
+    ? { lat: location.latitude, lng: location.longitude, name: locationName || 'Min posisjon' }
+    : null;
+
+  const [origin, setOrigin] = useState(currentPosition);
+  const [destination, setDestination] = useState(null);
+  const [leaveTime, setLeaveTime] = useState(''); // HH:MM, tom = nå
+  const [plan, setPlan] = useState(null);
+  const [planning, setPlanning] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Bruk GPS-posisjonen som start når den blir tilgjengelig
+  useEffect(() => {
+    if (location && !origin) {
+      setOrigin({ lat: location.latitude, lng: location.longitude, name: locationName || 'Min posisjon' });
+    }
+  }, [location, locationName, origin]);
+
+  useEffect(() => {
+    if (!open) return;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose?.();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const handlePlan = async () => {
+    if (!origin || !destination) return;
+    setPlanning(true);
+    setError(null);
+    setPlan(null);
+    try {
+      setPlan(await tripPlannerService.planTrip(origin, destination, getLeaveDate(leaveTime)));
+    } catch (err) {
+      console.error('Trip planning failed:', err);
+      // Reiseplanleggeren har ingen lagret rutetid å falle tilbake på
+      setError(navigator.onLine === false
+        ? 'Reiseplanleggeren krever nett.'
+        : 'Kunne ikke planlegge reisen. Prøv igjen senere.');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center">
+      <div className="absolute inset-0 bg-black/60" onClick={onClose} />
+      <div
+        className={`relative shadow-xl w-[90vw] max-w-md max-h-[85vh] overflow-y-auto p-4 border-2 ${theme.layout.cardStyle === 'minima' ? '' : 'rounded-xl'}`}
+        style={{
+          backgroundColor: theme.colors.cardBackground,
+          borderColor: theme.colors.border,
+          fontFamily: theme.fonts.primary
+        }}
+      >
+        <button
+          type="button"
+          aria-label="Lukk"
+          onClick={onClose}
+          className="absolute top-2 right-3 text-xl"
+          style={{ color: theme.colors.textPrimary }}
+        >
+          ×
+        </button>
+        <h2 className="text-lg font-bold mb-3" style={{ color: theme.colors.textPrimary }}>
+          Reiseplanlegger
+        </h2>
+
+        <PlaceInput label="Fra" value={origin} onSelect={setOrigin} theme={theme} placeholder="Sted eller adresse" />
+        {currentPosition && origin?.name !== currentPosition.name && (
+          <button
+            type="button"
+            onClick={() => setOrigin(currentPosition)}
+            className="text-xs underline mb-3"
+            style={{ color: theme.colors.textSecondary }}
+          >
+            Bruk min posisjon
+          </button>
+        )}
+        <PlaceInput label="Til" value={destination} onSelect={setDestination} theme={theme} placeholder="Sted eller adresse" />
+        <label className="block text-sm font-bold mb-3" style={{ color: theme.colors.textPrimary }}>
+          Avreise
+          <div className="flex gap-2 items-center">
+            <input
+              type="time"
+              value={leaveTime}
+              onChange={e => setLeaveTime(e.target.value)}
+              className="flex-1 px-2 py-1 border rounded-lg font-normal"
+              style={{ borderColor: theme.colors.border, color: theme.colors.textPrimary, backgroundColor: theme.colors.cardBackground }}
+            />
+            {leaveTime ? (
+              <button
+                type="button"
+                onClick={() => setLeaveTime('')}
+                className="text-xs underline font-normal"
+                style={{ color: theme.colors.textSecondary }}
+              >
+                Nå
+              </button>
+            ) : (
+              <span className="text-xs font-normal" style={{ color: theme.colors.textSecondary }}>nå</span>
+            )}
+          </div>
+        </label>
+
+        <button
+          type="button"
+          onClick={handlePlan}
+          disabled={!origin || !destination || planning}
+          className="w-full py-2 rounded-lg font-bold disabled:opacity-50"
+          style={{ backgroundColor: theme.colors.primary, color: theme.colors.textWhite }}
+        >
+          {planning ? 'Planlegger...' : 'Planlegg reise'}
+        </button>
+
+        {error && (
+          <div className="mt-3 text-sm" style={{ color: UI_COLORS.DANGER }}>
+            {error}
+          </div>
+        )}
+
+        {plan && (
+          <div className="mt-4">
+            {plan.hasTightConnection && (
+              <div className="mb-3 text-sm font-bold" style={{ color: UI_COLORS.DANGER }}>
+                ⚠ Minst én overgang er knapp – vurder en senere ferje
+              </div>
+            )}
+            {plan.crossings === 0 && plan.arrival && (
+              <div className="mb-3 text-sm" style={{ color: theme.colors.textSecondary }}>
+                Fant ingen bilferjer på ruten.
+              </div>
+            )}
+            <div className="mb-2 text-sm" style={{ color: theme.colors.textSecondary }}>
+              Avreise kl. {formatDepartureTime(plan.departAt)}
+            </div>
+            <ol className="space-y-2">
+              {plan.segments.map((segment, idx) => (
+                segment.type === 'drive' ? (
+                  <li key={idx} className="text-base" style={{ color: theme.colors.textPrimary }}>
+                    <span className="font-semibold">Kjør {formatMinutes(segment.minutes)}</span>
+                    <span style={{ color: theme.colors.textSecondary }}>
+                      {' '}({formatDistance(segment.distance)}) til {cleanDestinationText(segment.toName || '')}
+                    </span>
+                  </li>
+                ) : (
+                  <li
+                    key={idx}
+                    className="pl-3 border-l-4 text-base"
+                    style={{
+                      borderColor: segment.tight || segment.skipped ? UI_COLORS.DANGER : theme.colors.primary,
+                      color: segment.skipped ? theme.colors.textSecondary : theme.colors.textPrimary
+                    }}
+                  >
+                    <div className={`font-bold ${segment.skipped ? 'line-through' : ''}`}>
+                      Ferje {formatDepartureTime(segment.departure)} {cleanDestinationText(segment.fromName || '')} – {cleanDestinationText(segment.toName || '')}
+                    </div>
+                    <div className="text-sm" style={{ color: theme.colors.textSecondary }}>
+                      Ankomst {formatDepartureTime(segment.arrival)}
+                      {segment.line?.publicCode ? ` · ${segment.line.publicCode}` : ''}
+                    </div>
+                    {segment.cancelled && (
+                      <div className="text-sm font-bold" style={{ color: UI_COLORS.DANGER }}>Innstilt – tar neste ferje</div>
+                    )}
+                    {!segment.cancelled && segment.missed && (
+                      <div className="text-sm font-bold" style={{ color: UI_COLORS.DANGER }}>
+                        Rekker ikke ferjen – {formatMinutes(-segment.slackMinutes)} for sent, tar neste
+                      </div>
+                    )}
+                    {!segment.cancelled && !segment.missed && segment.tight && (
+                      <div className="text-sm font-bold" style={{ color: UI_COLORS.DANGER }}>
+                        Knapp overgang – {segment.slackMinutes} min margin
+                      </div>
+                    )}
+                  </li>
+                )
+              ))}
+            </ol>
+            <div className="mt-3 pt-2 border-t text-sm font-bold" style={{ borderColor: theme.colors.border, color: plan.arrival ? theme.colors.textPrimary : UI_COLORS.DANGER }}>
+              {plan.arrival
+                ? `Fremme ca. kl. ${formatDepartureTime(plan.arrival)}`
+                : 'Fant ingen senere ferje du rekker herfra'}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
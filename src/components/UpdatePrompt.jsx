@@ -0,0 +1,47 @@
+import { useRegisterSW } from 'virtual:pwa-register/react';
+
+// Registrerer service workeren (kun web) og viser "ny versjon tilgjengelig" når en ny er klar
+export default function UpdatePrompt({ theme }) {
+  const {
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker
+  } = useRegisterSW({
+    onRegisterError(error) {
+      console.warn('Service worker registration failed:', error);
+    }
+  });
+
+  if (!needRefresh) return null;
+
+  return (
+    <div
+      className="fixed bottom-4 left-1/2 -translate-x-1/2 z-50 flex items-center gap-3 px-4 py-3 shadow-lg border-2 rounded-xl"
+      style={{
+        backgroundColor: theme.colors.cardBackground,
+        borderColor: theme.colors.border,
+        color: theme.colors.textPrimary,
+        fontFamily: theme.fonts.primary
+      }}
+      role="status"
+    >
+      <span className="text-sm font-semibold">ny versjon tilgjengelig –</span>
+      <button
+        type="button"
+        onClick={() => updateServiceWorker(true)}
+        className="px-3 py-1 rounded-lg text-sm font-bold"
+        style={{ backgroundColor: theme.colors.primary, color: theme.colors.textWhite }}
+      >
+        oppdater
+      </button>
+      <button
+        type="button"
+        aria-label="Lukk"
+        onClick={() => setNeedRefresh(false)}
+        className="text-lg leading-none"
+        style={{ color: theme.colors.textSecondary }}
+      >
+        ×
+      </button>
+    </div>
+  );
+}
@@ -6,6 +6,14 @@ export const config = {
   
   // Development settings
   isDevelopment: import.meta.env.DEV,
+
+  // API proxy (api/*.mjs) that holds the HERE and Google keys server-side.
+  // When VITE_API_PROXY_URL is set, routing, reverse geocoding and route matching go through it
+  // and the VITE_ key variables should be left out of the build.
+  PROXY_CONFIG: {
+    getUrl: () => (import.meta.env.VITE_API_PROXY_URL || '').trim().replace(/\/+$/, ''),
+    isEnabled: () => !!config.PROXY_CONFIG.getUrl()
+  },
   
   // Geolocation settings for development
   GEOLOCATION_CONFIG: {
@@ -27,7 +35,23 @@ export const config = {
       }
       
       return baseOptions;
-    }
+    },
+    // Continuous tracking (LocationTracker) for car mode and live mode
+    TRACKING_OPTIONS: {
+      enableHighAccuracy: true,
+      timeout: 10000,
+      maximumAge: 2000
+    },
+    MAX_TRACKING_ACCURACY: 100 // metres; worse fixes are dropped once we have a position
+  },
+
+  // Arrival at and departure from ferry quays (GeofenceService)
+  GEOFENCE_CONFIG: {
+    ENTER_RADIUS: 150,     // metres from the stop place that count as being in the queue
+    EXIT_RADIUS: 300,      // metres before we count as gone; the gap keeps GPS noise from flapping at the edge
+    MIN_FIXES_INSIDE: 2,   // consecutive fixes inside before arrival, or outside before departure, is reported
+    MAX_ACCURACY: 75,      // metres; vaguer fixes don't change the state
+    WATCH_DISTANCE: 2000   // metres; the app watches the position for arrival when a quay is this close
   },
   
   // HERE API Configuration
@@ -37,10 +61,10 @@ export const config = {
       return import.meta.env.VITE_HERE_API_KEY;
     },
     
-    // Check if API key is configured
+    // Check if API key is configured (or the proxy holds it)
     isConfigured: () => {
       const apiKey = config.HERE_CONFIG.getApiKey();
-      return !!apiKey;
+      return config.PROXY_CONFIG.isEnabled() || !!apiKey;
     },
     
     ROUTING_BASE_URL: 'https://router.hereapi.com/v8/routes',
@@ -48,7 +72,8 @@ export const config = {
     // Get routing URL for driving time calculation
     getRoutingUrl: (fromLat, fromLng, toLat, toLng, options = {}) => {
       const apiKey = config.HERE_CONFIG.getApiKey();
-      if (!apiKey) {
+      const proxyUrl = config.PROXY_CONFIG.getUrl();
+      if (!apiKey && !proxyUrl) {
         return null;
       }
       
@@ -58,15 +83,51 @@ export const config = {
       // Ferry avoidance - only use valid parameters
       const avoid = options.roadOnly ? '&avoid[features]=ferry' : '';
       
-      // Request geometry to get route shape for direction checking
-      const returnParams = options.returnGeometry ? 'summary,geometry' : 'summary';
-      const url = `${config.HERE_CONFIG.ROUTING_BASE_URL}?origin=${origin}&destination=${destination}&transportMode=car&routingMode=fast&return=${returnParams}${avoid}&apiKey=${apiKey}`;
+      // Request the flexible polyline when the route shape is needed (preview, direction checking)
+      const returnParams = options.returnGeometry ? 'summary,polyline' : 'summary';
+      // Traffic for a planned start; without it HERE routes for the current time
+      const departure = options.departureTime
+        ? `&departureTime=${encodeURIComponent(new Date(options.departureTime).toISOString())}`
+        : '';
+      const baseUrl = proxyUrl ? `${proxyUrl}/route` : config.HERE_CONFIG.ROUTING_BASE_URL;
+      const key = proxyUrl ? '' : `&apiKey=${apiKey}`;
+      const url = `${baseUrl}?origin=${origin}&destination=${destination}&transportMode=car&routingMode=fast&return=${returnParams}${avoid}${departure}${key}`;
       
       if (import.meta.env.DEV) {
     
       }
       
       return url;
+    },
+
+    MATRIX_BASE_URL: 'https://matrix.router.hereapi.com/v8/matrix',
+
+    // Synchronous Matrix Routing v8 request (flexible mode allows up to 100 destinations)
+    getMatrixUrl: () => {
+      const proxyUrl = config.PROXY_CONFIG.getUrl();
+      if (proxyUrl) {
+        return `${proxyUrl}/route?provider=matrix`;
+      }
+      const apiKey = config.HERE_CONFIG.getApiKey();
+      if (!apiKey) {
+        return null;
+      }
+      return `${config.HERE_CONFIG.MATRIX_BASE_URL}?async=false&apiKey=${apiKey}`;
+    },
+
+    ROUTE_MATCH_BASE_URL: 'https://routematching.hereapi.com/v8/match/routelinks',
+
+    // Route Matching v8 for car mode direction (GPS trace posted as CSV)
+    getRouteMatchUrl: () => {
+      const proxyUrl = config.PROXY_CONFIG.getUrl();
+      if (proxyUrl) {
+        return `${proxyUrl}/routematch`;
+      }
+      const apiKey = config.HERE_CONFIG.getApiKey();
+      if (!apiKey) {
+        return null;
+      }
+      return `${config.HERE_CONFIG.ROUTE_MATCH_BASE_URL}?routeMatch=1&mode=fastest;car;traffic:disabled&apikey=${apiKey}&alignToGpsTime=0`;
     }
   },
   
@@ -96,6 +157,12 @@ export const config = {
     
     // Get reverse geocoding URL using HERE API
     getGeocodingUrl: (lat, lon) => {
+      // The proxy picks HERE or Google itself
+      const proxyUrl = config.PROXY_CONFIG.getUrl();
+      if (proxyUrl) {
+        return `${proxyUrl}/revgeocode?at=${lat},${lon}`;
+      }
+
       // Prefer HERE if configured
       const hereKey = config.HERE_CONFIG.getApiKey();
       if (hereKey) {
@@ -112,30 +179,81 @@ export const config = {
       return null;
     },
     
-    // Check if API key is configured
+    // Check if API key is configured (or the proxy holds it)
     isConfigured: () => {
       const apiKey = config.GOOGLE_MAPS_CONFIG.getApiKey();
-      return !!apiKey;
+      return config.PROXY_CONFIG.isEnabled() || !!apiKey;
+    },
+
+    ROUTES_BASE_URL: 'https://routes.googleapis.com/directions/v2:computeRoutes',
+
+    // Routes API v2 endpoint; through the proxy the key header is added server-side
+    getRoutesUrl: () => {
+      const proxyUrl = config.PROXY_CONFIG.getUrl();
+      return proxyUrl ? `${proxyUrl}/route?provider=google` : config.GOOGLE_MAPS_CONFIG.ROUTES_BASE_URL;
     },
-    
-    DIRECTIONS_BASE_URL: 'https://maps.googleapis.com/maps/api/directions/json',
-    
-    // Get directions URL for driving time calculation
-    getDirectionsUrl: (fromLat, fromLng, toLat, toLng, options = {}) => {
-      const apiKey = config.GOOGLE_MAPS_CONFIG.getApiKey();
-      if (!apiKey) {
-        return null;
-      }
-      
-      const origin = `${fromLat},${fromLng}`;
-      const destination = `${toLat},${toLng}`;
-      const avoid = options.roadOnly ? '&avoid=ferries' : '';
-      
-      // Use live traffic like Google Maps by setting departure_time=now and traffic_model=best_guess
-      return `${config.GOOGLE_MAPS_CONFIG.DIRECTIONS_BASE_URL}?origin=${origin}&destination=${destination}&mode=driving${avoid}&departure_time=now&traffic_model=best_guess&key=${apiKey}&language=no`;
-    }
   },
   
+  // Driving time providers, tried in order until one succeeds (haversine is always the last resort)
+  ROUTING_CONFIG: {
+    DEFAULT_PROVIDERS: 'here,google,selfHosted',
+
+    // Provider ids as registered in GeoServices, e.g. VITE_ROUTING_PROVIDERS=selfHosted,here
+    getProviderOrder: () => {
+      const configured = (import.meta.env.VITE_ROUTING_PROVIDERS || '').trim();
+      return (configured || config.ROUTING_CONFIG.DEFAULT_PROVIDERS)
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean);
+    },
+
+    // Learned ferry-only stops are re-checked after this many days, e.g. VITE_FERRY_ONLY_EXPIRY_DAYS=14
+    DEFAULT_FERRY_ONLY_EXPIRY_DAYS: 30,
+    getFerryOnlyExpiryDays: () => {
+      const days = Number(import.meta.env.VITE_FERRY_ONLY_EXPIRY_DAYS);
+      return days > 0 ? days : config.ROUTING_CONFIG.DEFAULT_FERRY_ONLY_EXPIRY_DAYS;
+    },
+
+    // Car mode looks for stops ahead on the road this far, e.g. VITE_CAR_MODE_AHEAD_KM=60
+    DEFAULT_AHEAD_KM: 40,
+    getAheadKm: () => {
+      const km = Number(import.meta.env.VITE_CAR_MODE_AHEAD_KM);
+      return km > 0 ? km : config.ROUTING_CONFIG.DEFAULT_AHEAD_KM;
+    },
+
+    // Self-hosted OSRM or Valhalla endpoint (no API key)
+    SELF_HOSTED: {
+      getUrl: () => (import.meta.env.VITE_SELF_HOSTED_ROUTING_URL || '').trim().replace(/\/+$/, ''),
+      getEngine: () => (import.meta.env.VITE_SELF_HOSTED_ROUTING_ENGINE || 'osrm').trim().toLowerCase(),
+      isConfigured: () => !!config.ROUTING_CONFIG.SELF_HOSTED.getUrl()
+    }
+  },
+
+  // Daily request budget per routing provider, e.g. VITE_HERE_DAILY_SOFT_LIMIT=800
+  BUDGET_CONFIG: {
+    PROVIDERS: ['here', 'hereMatrix', 'google', 'selfHosted'],
+
+    // Self-hosted routing costs nothing, so it has no default limits.
+    // hereMatrix counts matrix elements (one per destination), not requests: a car-mode refresh
+    // with 20 stops costs 20, so it has a budget of its own apart from single HERE routes
+    DEFAULT_LIMITS: {
+      here: { soft: 800, hard: 1000 },
+      hereMatrix: { soft: 10000, hard: 12000 },
+      google: { soft: 300, hard: 400 }
+    },
+
+    // Over soft: prefer cached results and skip optional calls. At hard: the provider is not called.
+    getLimits: (provider) => {
+      const prefix = `VITE_${provider.toUpperCase()}_DAILY`;
+      const defaults = config.BUDGET_CONFIG.DEFAULT_LIMITS[provider] || {};
+      const read = (name, fallback) => {
+        const value = Number(import.meta.env[`${prefix}_${name}_LIMIT`]);
+        return value > 0 ? value : (fallback ?? Infinity);
+      };
+      return { soft: read('SOFT', defaults.soft), hard: read('HARD', defaults.hard) };
+    }
+  },
+
   // RevenueCat configuration
   REVENUECAT_CONFIG: {
     getIOSKey: () => import.meta.env.VITE_REVENUECAT_IOS_API_KEY,
@@ -151,6 +269,11 @@ export const config = {
     getAnnualPaymentLink: () => import.meta.env.VITE_STRIPE_PAYMENT_LINK_ANNUAL
   },
 
+  // Shared links (?stop=, ?dep=) point here, e.g. VITE_PUBLIC_APP_URL=https://yourdomain.com
+  SHARE_CONFIG: {
+    getPublicUrl: () => (import.meta.env.VITE_PUBLIC_APP_URL || '').trim().replace(/\/+$/, '')
+  },
+
   // Legal links
   LEGAL: {
     getPrivacyPolicyUrl: () => {
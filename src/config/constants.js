@@ -2,6 +2,7 @@ import { config } from './config.js';
 
 // API Configuration
 export const ENTUR_ENDPOINT = 'https://api.entur.io/journey-planner/v3/graphql';
+export const ENTUR_GEOCODER_ENDPOINT = 'https://api.entur.io/geocoder/v1/autocomplete';
 
 // Geolocation settings - use config-based options
 export const GEOLOCATION_OPTIONS = config.GEOLOCATION_CONFIG.getOptions();
@@ -23,6 +24,13 @@ export const EXCLUDED_SUBMODES = [
   'sightSeeingService'
 ];
 
+// Car ferry submodes used when planning trips with a car
+export const CAR_FERRY_SUBMODES = [
+  'localCarFerry',
+  'regionalCarFerry',
+  'nationalCarFerry'
+];
+
 // Passenger ferry submodes that we treat as "Hurtigbåt"
 export const PASSENGER_FERRY_SUBMODES = [
   'localPassengerFerry',
@@ -66,4 +74,44 @@ export const GPS_SEARCH_CONFIG = {
   
   // Maximum number of results to return
   MAX_RESULTS: 8
-}; 
\ No newline at end of file
+}; 
+
+// Trip planner configuration
+export const TRIP_PLANNER_CONFIG = {
+  // Maximum number of ferry crossings chained in one trip
+  MAX_CROSSINGS: 5,
+
+  // Connections with less slack than this (minutes) are flagged as tight
+  MIN_TRANSFER_MINUTES: 5,
+
+  // Missed or cancelled sailings passed over at one quay before the plan gives up on it
+  MAX_SKIPPED_SAILINGS: 3,
+
+  // Number of place suggestions from the geocoder
+  SUGGESTION_COUNT: 6
+};
+
+// On-board crossing detection and connections on arrival
+export const ONBOARD_CONFIG = {
+  // How far a ferry may stray from the straight line between two quays, as extra path length:
+  // this share of the crossing, but at least MIN_DETOUR_METERS
+  DETOUR_SHARE: 0.15,
+  MIN_DETOUR_METERS: 300,
+
+  // Fixes in a row on the crossing, spanning at least this long, before we call it
+  MIN_TRACK_FIXES: 3,
+  MIN_TRACK_SECONDS: 45,
+
+  // Slower than this (m/s) is a car standing still or crawling along the shore
+  MIN_SPEED: 2,
+
+  // A crossing seen only in the track must match a realtime arrival on the line: within this many
+  // minutes of our own estimate from distance and speed, or this share of the time left if more
+  ARRIVAL_MATCH_MINUTES: 5,
+  ARRIVAL_MATCH_SHARE: 0.3,
+  REALTIME_CHECK_INTERVAL_MS: 60000,
+
+  // Ferry stop places within this distance (metres) of the arrival quay are checked for connections
+  CONNECTION_RADIUS_METERS: 40000,
+  MAX_CONNECTION_STOPS: 8
+};
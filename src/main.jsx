@@ -1,13 +1,17 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import DepartureBoard from './components/DepartureBoard.jsx'
 import ErrorBoundary from './components/ErrorBoundary.jsx'
 import './styles/index.css'
 
+// /?board=NSR:StopPlace:58755 viser avgangstavla for én kai i stedet for appen
+const boardStopId = new URLSearchParams(window.location.search).get('board')
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
     <ErrorBoundary>
-      <App />
+      {boardStopId ? <DepartureBoard stopId={boardStopId} /> : <App />}
     </ErrorBoundary>
   </React.StrictMode>,
 )
\ No newline at end of file
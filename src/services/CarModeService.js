@@ -1,15 +1,31 @@
 // Car Mode Service - Tracks car direction based on GPS movement using HERE Route Matching API
 import { config } from '../config/config';
+import { requestBudget } from './RequestBudget';
+import { locationTracker } from './LocationTracker';
+import { HeadingFilter } from './HeadingFilter';
 
 class CarModeService {
   constructor() {
     this.positionHistory = []; // Array of { lat, lng, timestamp }
     this.currentDirection = null; // Current direction in degrees (0-360, where 0 is North)
-    this.currentRoadLink = null; // Current road link ID from HERE
+    this.currentRoadLink = null; // Last matched HERE road link: { id, heading, geometry, matchedAt }, geometry in travel order
+    this.roadLinkMaxAge = 30000; // A matched link older than this no longer says which road we are on
+    this.lastMatchResponse = 0; // When HERE route matching last answered, matched or not
+    this.unmatchedSince = null; // First answer since the last matched link that put us on no road
+    this.corridorWidth = 1000; // Metres either side of the projected road where a stop still counts as ahead
+    this.corridorSpread = 0.4; // The corridor widens by this share of the distance ahead, for bends further on
+    this.maxCorridorDetour = 1.6; // Road distance over straight-line distance above which a stop is off this road
+    this.passedMargin = 500; // Metres behind us before a stop counts as passed
+    this.headingFilter = new HeadingFilter(); // Kalman estimate of heading and speed from every fix
+    this.directionConfidence = 0; // 0-1, how much currentDirection can be trusted right now
+    this.currentSpeed = 0; // m/s from the filter
+    this.minDirectionConfidence = 0.6; // Below this, stops are not ranked by direction
+    this.lastNotifiedDirection = null; // Rounded direction last sent to onDirectionUpdate
     this.isTracking = false;
     this.maxHistorySize = 10; // Keep last 10 positions for route matching (increased for better direction detection)
     this.minDistanceForDirection = 10; // Minimum distance in meters to calculate direction (reduced for faster detection)
     this.updateInterval = null;
+    this.unsubscribeLocation = null; // LocationTracker subscription while tracking
     this.matchCache = new Map(); // Cache route matching results
     this.lastApiCallTime = 0; // Timestamp of last HERE API call
     this.minApiCallInterval = 5000; // Minimum 5 seconds between HERE API calls to avoid rate limiting
@@ -20,8 +36,11 @@ class CarModeService {
   /**
    * Start tracking car direction
    * @param {Function} onDirectionUpdate - Callback when direction is updated
+   * @param {Object} [options]
+   * @param {boolean} [options.followLocation=true] - Feed positions from LocationTracker;
+   *   false when the caller supplies them through addPosition (simulation)
    */
-  startTracking(onDirectionUpdate) {
+  startTracking(onDirectionUpdate, { followLocation = true } = {}) {
     if (this.isTracking) {
       return;
     }
@@ -29,6 +48,10 @@ class CarModeService {
     this.isTracking = true;
     this.onDirectionUpdate = onDirectionUpdate;
 
+    if (followLocation) {
+      this.unsubscribeLocation = locationTracker.subscribe(fix => this.addPosition(fix.latitude, fix.longitude, fix));
+    }
+
     // Update direction every 5 seconds to avoid rate limiting
     // We rely on fast GPS updates and position filtering instead
     this.updateInterval = setInterval(() => {
@@ -41,6 +64,10 @@ class CarModeService {
    */
   stopTracking() {
     this.isTracking = false;
+    if (this.unsubscribeLocation) {
+      this.unsubscribeLocation();
+      this.unsubscribeLocation = null;
+    }
     if (this.updateInterval) {
       clearInterval(this.updateInterval);
       this.updateInterval = null;
@@ -48,19 +75,37 @@ class CarModeService {
     this.positionHistory = [];
     this.currentDirection = null;
     this.onDirectionUpdate = null;
+    this.currentRoadLink = null;
+    this.lastMatchResponse = 0;
+    this.unmatchedSince = null;
+    this.resetEstimate();
   }
 
   /**
    * Add a new position to history and calculate direction
    * @param {number} latitude - Current latitude
    * @param {number} longitude - Current longitude
+   * @param {Object} [fix] - Full LocationTracker fix (raw coordinates, accuracy, deviceSpeed, deviceHeading, timestamp)
    */
-  addPosition(latitude, longitude) {
+  addPosition(latitude, longitude, fix = {}) {
     if (!this.isTracking) {
       return;
     }
 
     const now = Date.now();
+
+    // Every fix goes into the filter, also those too close together for the route-matching trace.
+    // The filter gets the raw position: the smoothed ones share their errors from fix to fix,
+    // which the filter would take for independent measurements at the reported accuracy
+    this.applyEstimate(this.headingFilter.update({
+      latitude: fix.rawLatitude ?? latitude,
+      longitude: fix.rawLongitude ?? longitude,
+      accuracy: fix.accuracy,
+      speed: fix.deviceSpeed ?? null,
+      heading: fix.deviceHeading ?? null,
+      timestamp: fix.timestamp ?? now
+    }));
+
     const newPosition = { lat: latitude, lng: longitude, timestamp: now };
 
     // Check if we've moved enough distance since last position
@@ -131,6 +176,13 @@ class CarModeService {
       return;
     }
 
+    // Route matching is a nice-to-have: over the soft daily budget the bearing fallback is enough
+    if (!requestBudget.allows('here')) {
+      requestBudget.recordBlocked('here');
+      this.calculateDirectionFallback();
+      return;
+    }
+
     // Use recent positions for route matching
     const recentPositions = this.positionHistory.slice(-this.maxHistorySize);
     
@@ -156,13 +208,9 @@ class CarModeService {
       
       this.lastApiCallTime = Date.now();
       
+      // The matched road direction is one more measurement for the filter, not the final answer
       if (direction !== null) {
-        this.currentDirection = direction;
-
-        // Notify callback if provided
-        if (this.onDirectionUpdate) {
-          this.onDirectionUpdate(direction);
-        }
+        this.applyEstimate(this.headingFilter.updateHeading(direction));
       }
     } catch (error) {
       this.lastApiCallTime = Date.now(); // Update even on error to avoid hammering
@@ -185,8 +233,9 @@ class CarModeService {
    * @returns {Promise<number|null>} Direction in degrees or null
    */
   async getDirectionFromHERE(positions) {
-    const apiKey = config.HERE_CONFIG.getApiKey();
-    if (!apiKey || positions.length < 2) {
+    // Direct with the client key, or through the API proxy when enabled
+    const url = config.HERE_CONFIG.getRouteMatchUrl();
+    if (!url || positions.length < 2) {
       return null;
     }
 
@@ -199,8 +248,7 @@ class CarModeService {
       }).join('\n');
 
       // Use HERE Route Matching API v8 with CSV format
-      const url = `https://routematching.hereapi.com/v8/match/routelinks?routeMatch=1&mode=fastest;car;traffic:disabled&apikey=${apiKey}&alignToGpsTime=0`;
-      
+      requestBudget.record('here');
       const response = await fetch(url, {
         method: 'POST',
         headers: {
@@ -220,6 +268,9 @@ class CarModeService {
       }
 
       const data = await response.json();
+      this.lastMatchResponse = Date.now();
+      // Until a link is matched below, this answer did not put us on a road
+      this.unmatchedSince = this.unmatchedSince ?? this.lastMatchResponse;
       
       // Extract direction from matched route links
       // The API returns matched links with geometry and direction of travel
@@ -246,10 +297,19 @@ class CarModeService {
           }
           
           if (point1 && point2 && point1.lat && point1.lng && point2.lat && point2.lng) {
-            return this.calculateBearing(
+            const bearing = this.calculateBearing(
               point1.lat, point1.lng,
               point2.lat, point2.lng
             );
+            // Remember the road we are on; the road corridor is projected onward from its end
+            this.currentRoadLink = {
+              id: lastLink.linkId ?? lastLink.id ?? null,
+              heading: bearing,
+              geometry: lastLink.directionOfTravel === 'backward' ? [...geometry].reverse() : geometry,
+              matchedAt: Date.now()
+            };
+            this.unmatchedSince = null;
+            return bearing;
           }
         }
         
@@ -272,29 +332,40 @@ class CarModeService {
   }
 
   /**
-   * Fallback method: Calculate direction using simple bearing between points
+   * Fallback method: use the filtered heading when route matching is unavailable or throttled
    */
   calculateDirectionFallback() {
-    if (this.positionHistory.length < 2) {
-      return;
-    }
-
-    const positions = this.positionHistory.slice(-2);
-    const [oldPos, newPos] = positions;
+    this.applyEstimate(this.headingFilter.getEstimate());
+  }
 
-    const distance = this.calculateDistance(oldPos.lat, oldPos.lng, newPos.lat, newPos.lng);
-    if (distance < this.minDistanceForDirection) {
+  /**
+   * Take over heading, speed and confidence from the filter.
+   * The direction only changes when the filter is confident; a held heading keeps it otherwise.
+   * @param {import('./HeadingFilter').HeadingEstimate} estimate
+   */
+  applyEstimate(estimate) {
+    this.directionConfidence = estimate.confidence;
+    this.currentSpeed = estimate.speed;
+    if (estimate.heading === null || estimate.confidence < this.minDirectionConfidence) {
       return;
     }
 
-    const bearing = this.calculateBearing(oldPos.lat, oldPos.lng, newPos.lat, newPos.lng);
-    this.currentDirection = bearing;
-
-    if (this.onDirectionUpdate) {
-      this.onDirectionUpdate(bearing);
+    this.currentDirection = estimate.heading;
+    // Whole degrees are plenty for the UI and spare a re-render on every fix
+    const rounded = Math.round(estimate.heading) % 360;
+    if (this.onDirectionUpdate && rounded !== this.lastNotifiedDirection) {
+      this.lastNotifiedDirection = rounded;
+      this.onDirectionUpdate(estimate.heading);
     }
   }
 
+  resetEstimate() {
+    this.headingFilter.reset();
+    this.directionConfidence = 0;
+    this.currentSpeed = 0;
+    this.lastNotifiedDirection = null;
+  }
+
   /**
    * Update direction based on current position
    * Now async since it uses HERE API
@@ -340,156 +411,29 @@ class CarModeService {
   }
 
   /**
-   * Check if a ferry terminal is in the same direction as the car
-   * Uses HERE Routing API to determine if ferry is ahead based on route geometry
-   * @param {number} carLat - Car's current latitude
-   * @param {number} carLng - Car's current longitude
-   * @param {number} ferryLat - Ferry terminal's latitude
-   * @param {number} ferryLng - Ferry terminal's longitude
-   * @returns {Promise<boolean>} True if ferry is ahead in car's direction
+   * Whether a ferry lies ahead, from the bearing to it against the filtered heading
    */
-  async isInSameDirection(carLat, carLng, ferryLat, ferryLng) {
+  isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng, tolerance = 60) {
     if (!this.currentDirection) {
-      return true; // If no direction yet, include all ferries
+      return true;
     }
 
-    const apiKey = config.HERE_CONFIG.getApiKey();
-    if (!apiKey || import.meta.env.DEV) {
-      // In DEV mode: use bearing-only fallback (HERE gives wrong direction for simulated routes)
-      return this.isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng);
+    const bearingToFerry = this.calculateBearing(carLat, carLng, ferryLat, ferryLng);
+    let diff = Math.abs(this.currentDirection - bearingToFerry);
+    
+    if (diff > 180) {
+      diff = 360 - diff;
     }
 
-    try {
-      // Use HERE Routing API to get route from car to ferry
-      // Check if the initial route direction aligns with car's current direction
-      const origin = `${carLat},${carLng}`;
-      const destination = `${ferryLat},${ferryLng}`;
-      
-      // Request route with sections to get departure/arrival points for direction checking
-      // HERE API v8 returns sections with departure and arrival places by default
-      const routeUrl = `${config.HERE_CONFIG.ROUTING_BASE_URL}?origin=${origin}&destination=${destination}&transportMode=car&routingMode=fast&return=summary&apiKey=${apiKey}`;
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 5000);
-      
-      const response = await fetch(routeUrl, {
-        method: 'GET',
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HERE Routing API failed: ${response.status}`);
-      }
-
-      const routeData = await response.json();
-      
-      if (!routeData.routes || routeData.routes.length === 0) {
-        return false; // No route found
-      }
-
-      const route = routeData.routes[0];
-      const firstSection = route.sections?.[0];
-      
-      if (!firstSection) {
-        return false;
-      }
-
-      // Get initial route direction from departure/arrival points in sections
-      // Check if route starts in similar direction to car's heading
-      if (firstSection.departure && firstSection.arrival) {
-        const departure = firstSection.departure;
-        const arrival = firstSection.arrival;
-        
-        // Get coordinates from departure and arrival places
-        // HERE API v8 uses place.location.latLng format
-        const depPlace = departure.place;
-        const arrPlace = arrival.place;
-        
-        const depLat = depPlace?.location?.latLng?.lat || depPlace?.location?.lat || depPlace?.lat;
-        const depLng = depPlace?.location?.latLng?.lng || depPlace?.location?.lng || depPlace?.lng;
-        const arrLat = arrPlace?.location?.latLng?.lat || arrPlace?.location?.lat || arrPlace?.lat;
-        const arrLng = arrPlace?.location?.latLng?.lng || arrPlace?.location?.lng || arrPlace?.lng;
-        
-        if (depLat && depLng && arrLat && arrLng) {
-          // Calculate bearing from departure to arrival (route's initial direction)
-          const routeStartBearing = this.calculateBearing(depLat, depLng, arrLat, arrLng);
-          
-          // Compare route's initial bearing with car's current direction
-          let diff = Math.abs(this.currentDirection - routeStartBearing);
-          if (diff > 180) {
-            diff = 360 - diff;
-          }
-          
-          // If route starts within 90 degrees of car's direction, consider it in direction
-          // This allows for reasonable turns and road network routing
-          return diff <= 90;
-        }
-      }
-      
-      // Fallback: use route geometry if available
-      if (firstSection.geometry) {
-        const geometry = firstSection.geometry;
-        
-        // HERE Routing API v8 may return geometry as flexible polyline or array
-        // For now, if it's a string (polyline), we skip it and use fallback
-        if (typeof geometry === 'string') {
-          // Would need polyline decoder - skip for now
-          return this.isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng, 90);
-        }
-        
-        if (Array.isArray(geometry) && geometry.length >= 2) {
-          const firstPoint = geometry[0];
-          const secondPoint = geometry[1];
-          
-          // Handle coordinate format: could be [lng, lat] or {lat, lng}
-          const lat1 = firstPoint.lat || firstPoint[1] || firstPoint.latitude;
-          const lng1 = firstPoint.lng || firstPoint[0] || firstPoint.longitude;
-          const lat2 = secondPoint.lat || secondPoint[1] || secondPoint.latitude;
-          const lng2 = secondPoint.lng || secondPoint[0] || secondPoint.longitude;
-          
-          if (lat1 && lng1 && lat2 && lng2) {
-            const routeStartBearing = this.calculateBearing(lat1, lng1, lat2, lng2);
-            
-            let diff = Math.abs(this.currentDirection - routeStartBearing);
-            if (diff > 180) {
-              diff = 360 - diff;
-            }
-            
-            return diff <= 90;
-          }
-        }
-      }
-
-      // If no geometry available, check route length
-      // Very short routes might indicate ferry is behind or nearby
-      const routeLength = firstSection.summary?.length || 0;
-      if (routeLength < 100) {
-        // Very short route - might be behind or side-by-side, exclude it
-        return false;
-      }
-
-      // Fallback: if route exists and has reasonable length, assume it's ahead
-      // But verify with bearing check
-      return this.isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng, 90);
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.warn('HERE Routing API timeout, using fallback');
-      } else {
-        console.error('Error checking direction with HERE API:', error);
-      }
-      // Fallback to bearing-based check
-      return this.isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng);
-    }
+    return diff <= tolerance;
   }
 
   /**
-   * Fallback method: Check direction using bearing calculation
+   * Whether a ferry has been passed, from the bearing to it against the filtered heading
    */
-  isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng, tolerance = 60) {
+  hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng) {
     if (!this.currentDirection) {
-      return true;
+      return false;
     }
 
     const bearingToFerry = this.calculateBearing(carLat, carLng, ferryLat, ferryLng);
@@ -499,124 +443,121 @@ class CarModeService {
       diff = 360 - diff;
     }
 
-    return diff <= tolerance;
+    // If ferry is more than 120 degrees from car's direction, it's likely passed
+    return diff > 120;
   }
 
+  // ─── Road corridor ───────────────────────────────────────────────────────────
+
   /**
-   * Check if a ferry terminal has been passed by the car
-   * A ferry is considered passed if it's behind the car based on route geometry
-   * @param {number} carLat - Car's current latitude
-   * @param {number} carLng - Car's current longitude
-   * @param {number} ferryLat - Ferry terminal's latitude
-   * @param {number} ferryLng - Ferry terminal's longitude
-   * @returns {Promise<boolean>} True if ferry has been passed (is behind)
+   * The matched HERE link while it is recent enough to say which road we are on
+   * @returns {{ id: string|null, heading: number, geometry: Array<{lat: number, lng: number}>, matchedAt: number }|null}
    */
-  async hasPassedFerry(carLat, carLng, ferryLat, ferryLng) {
-    if (!this.currentDirection) {
-      return false; // Can't determine if no direction yet
+  getCurrentRoadLink() {
+    const link = this.currentRoadLink;
+    if (!link || Date.now() - link.matchedAt > this.roadLinkMaxAge || link.geometry.length < 2) {
+      return null;
     }
+    return link;
+  }
 
-    const apiKey = config.HERE_CONFIG.getApiKey();
-    if (!apiKey || import.meta.env.DEV) {
-      // In DEV mode: use bearing-only fallback (HERE gives wrong direction for simulated routes)
-      return this.hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng);
+  /**
+   * Rank a stop by the bearing to it against the filtered heading, for stops the road corridor
+   * does not cover. Only with a confident heading – a noisy one would move stops between "ahead" and "passed".
+   * @returns {0|1|2|null} 0 = ahead, 1 = to the side, 2 = passed; null without a reliable direction
+   */
+  getBearingPriority(carLat, carLng, ferryLat, ferryLng) {
+    if (!this.hasReliableDirection()) {
+      return null;
     }
+    if (!ferryLat || !ferryLng) {
+      return 1;
+    }
+    if (this.hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng)) {
+      return 2;
+    }
+    return this.isInSameDirectionFallback(carLat, carLng, ferryLat, ferryLng) ? 0 : 1;
+  }
 
-    try {
-      // Use HERE Routing API to get route from car to ferry
-      // If the route would require going backwards, ferry has been passed
-      const origin = `${carLat},${carLng}`;
-      const destination = `${ferryLat},${ferryLng}`;
-      
-      const routeUrl = `${config.HERE_CONFIG.ROUTING_BASE_URL}?origin=${origin}&destination=${destination}&transportMode=car&routingMode=fast&return=summary&apiKey=${apiKey}`;
-      
-      const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), 3000); // Shorter timeout
-      
-      const response = await fetch(routeUrl, {
-        method: 'GET',
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeoutId);
-
-      if (!response.ok) {
-        throw new Error(`HERE Routing API failed: ${response.status}`);
-      }
-
-      const routeData = await response.json();
-      
-      if (!routeData.routes || routeData.routes.length === 0) {
-        // No route found - might be passed or unreachable
-        return this.hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng);
-      }
+  /**
+   * Whether route matching keeps answering without putting us on a road, as when the car is on a ferry
+   * @returns {boolean}
+   */
+  hasLostRoad() {
+    if (!this.isTracking || this.unmatchedSince === null || Date.now() - this.lastMatchResponse > this.roadLinkMaxAge) {
+      return false;
+    }
+    return this.lastMatchResponse - this.unmatchedSince >= this.roadLinkMaxAge;
+  }
 
-      const route = routeData.routes[0];
-      const firstSection = route.sections?.[0];
-      
-      if (!firstSection || !firstSection.departure || !firstSection.arrival) {
-        return this.hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng);
-      }
+  /**
+   * Classify stops against the road ahead. The last matched road link is projected onward
+   * from its end along the direction it leaves in; a stop inside that corridor, and not much
+   * further by road than in a straight line, lies ahead on this road.
+   * @param {{lat: number, lng: number}} position - Current position
+   * @param {Object<string, {lat: number, lng: number, distance: number, time: number}>} routes -
+   *   stopId → stop position, road distance (m) and driving time (min) from the current position
+   * @returns {Object<string, { priority: 0|1|2, distance: number, time: number }>}
+   *   Empty without a recent matched link. Only stops within config.ROUTING_CONFIG.getAheadKm() by road.
+   *   priority: 0 = ahead on this road, 1 = reached by turning off, 2 = passed
+   */
+  getRoadCorridor(position, routes) {
+    const link = this.getCurrentRoadLink();
+    if (!link) {
+      return {};
+    }
 
-      // Get route's initial direction from departure to arrival
-      const departure = firstSection.departure;
-      const arrival = firstSection.arrival;
-      
-      const depPlace = departure.place;
-      const arrPlace = arrival.place;
-      
-      const depLat = depPlace?.location?.latLng?.lat || depPlace?.location?.lat || depPlace?.lat;
-      const depLng = depPlace?.location?.latLng?.lng || depPlace?.location?.lng || depPlace?.lng;
-      const arrLat = arrPlace?.location?.latLng?.lat || arrPlace?.location?.lat || arrPlace?.lat;
-      const arrLng = arrPlace?.location?.latLng?.lng || arrPlace?.location?.lng || arrPlace?.lng;
-      
-      if (depLat && depLng && arrLat && arrLng) {
-        // Calculate route's initial bearing
-        const routeBearing = this.calculateBearing(depLat, depLng, arrLat, arrLng);
-        
-        // Compare with car's current direction
-        // If route goes backwards (opposite direction), ferry has been passed
-        let diff = Math.abs(this.currentDirection - routeBearing);
-        if (diff > 180) {
-          diff = 360 - diff;
-        }
-        
-        // If route is going backwards (more than 135 degrees from car direction), ferry is passed
-        // This allows for some tolerance in routing but catches obvious backwards routes
-        if (diff > 135) {
-          return true; // Ferry is behind, has been passed
-        }
+    const geometry = link.geometry;
+    const end = geometry[geometry.length - 1];
+    const previous = geometry[geometry.length - 2];
+    const heading = this.calculateBearing(previous.lat, previous.lng, end.lat, end.lng);
+    // Signed distance along the road direction and distance across it, from a point to a stop
+    const project = (from, stop) => {
+      const distance = this.calculateDistance(from.lat, from.lng, stop.lat, stop.lng);
+      const angle = (this.calculateBearing(from.lat, from.lng, stop.lat, stop.lng) - heading) * Math.PI / 180;
+      return { along: distance * Math.cos(angle), across: Math.abs(distance * Math.sin(angle)), distance };
+    };
+
+    const maxDistance = config.ROUTING_CONFIG.getAheadKm() * 1000;
+    const corridor = {};
+    for (const [stopId, route] of Object.entries(routes)) {
+      if (route.distance > maxDistance || !Number.isFinite(route.lat) || !Number.isFinite(route.lng)) {
+        continue;
       }
-
-      // If route exists and goes forward, ferry hasn't been passed
-      return false;
-    } catch (error) {
-      if (error.name === 'AbortError') {
-        console.warn('HERE Routing API timeout, using fallback');
-      } else {
-        console.error('Error checking if ferry passed:', error);
+      const fromEnd = project(end, route);
+      const fromHere = project(position, route);
+      const onRoad = route.distance <= Math.max(fromHere.distance, this.corridorWidth) * this.maxCorridorDetour;
+      let priority = 1;
+      if (fromHere.along < -this.passedMargin) {
+        priority = 2;
+      } else if (onRoad && fromEnd.along > 0 && fromEnd.across <= this.corridorWidth + fromEnd.along * this.corridorSpread) {
+        priority = 0;
       }
-      return this.hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng);
+      corridor[stopId] = { priority, distance: route.distance, time: route.time };
     }
+    return corridor;
   }
 
   /**
-   * Fallback method: Check if ferry is passed based on bearing
+   * Whether the direction is certain enough to rank stops by it
+   * @returns {boolean}
    */
-  hasPassedFerryFallback(carLat, carLng, ferryLat, ferryLng) {
-    if (!this.currentDirection) {
-      return false;
-    }
+  hasReliableDirection() {
+    return this.currentDirection !== null && this.directionConfidence >= this.minDirectionConfidence;
+  }
 
-    const bearingToFerry = this.calculateBearing(carLat, carLng, ferryLat, ferryLng);
-    let diff = Math.abs(this.currentDirection - bearingToFerry);
-    
-    if (diff > 180) {
-      diff = 360 - diff;
-    }
+  /**
+   * @returns {number} 0-1 confidence in the current direction
+   */
+  getDirectionConfidence() {
+    return this.directionConfidence;
+  }
 
-    // If ferry is more than 120 degrees from car's direction, it's likely passed
-    return diff > 120;
+  /**
+   * @returns {number} Filtered speed in m/s
+   */
+  getCurrentSpeed() {
+    return this.currentSpeed;
   }
 
   /**
@@ -667,6 +608,10 @@ class CarModeService {
   reset() {
     this.positionHistory = [];
     this.currentDirection = null;
+    this.currentRoadLink = null;
+    this.lastMatchResponse = 0;
+    this.unmatchedSince = null;
+    this.resetEstimate();
   }
 }
 
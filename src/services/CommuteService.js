@@ -0,0 +1,251 @@
+// Commute Service - Saved commute profiles and "leave home by" notifications
+import { Capacitor } from '@capacitor/core';
+import { LocalNotifications } from '@capacitor/local-notifications';
+import { enturService } from './EnturService';
+import { calculateDrivingTime } from './GeoServices';
+import { getSuggestedDeparture, getEffectiveDepartureTime, formatDepartureTime } from '../utils/departureUtils';
+import { cleanDestinationText } from '../utils/helpers';
+
+const PROFILES_STORAGE_KEY = 'commuteProfiles';
+
+/**
+ * @typedef {Object} CommuteProfile
+ * @property {string} id
+ * @property {string} name - e.g. "Til jobb"
+ * @property {{ lat: number, lng: number, name: string }} home - Where the drive starts
+ * @property {{ id: string, name: string, latitude: number, longitude: number }} stop - Ferry stop
+ * @property {string} windowStart - Earliest wanted ferry departure, "HH:MM"
+ * @property {string} windowEnd - Latest wanted ferry departure, "HH:MM"
+ * @property {number[]} weekdays - Days the commute applies, 0 = Sunday (Date#getDay)
+ * @property {number} [marginMinutes] - Minutes to arrive before departure, default 5
+ */
+
+/**
+ * @typedef {Object} CommutePlan
+ * @property {string} profileId
+ * @property {Date} leaveAt - When to leave home
+ * @property {Date} departureTime - Ferry departure the plan targets
+ * @property {Object} departure - The departure itself
+ * @property {number} drivingTime - Minutes from home to the stop
+ */
+
+const timeOnDate = (date, hhmm) => {
+  const [hours, minutes] = hhmm.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// LocalNotifications needs a 32-bit integer id; derive a stable one from the profile id
+const notificationIdFor = (profileId) => {
+  let hash = 0;
+  for (const char of profileId) {
+    hash = ((hash << 5) - hash + char.charCodeAt(0)) | 0;
+  }
+  return Math.abs(hash) % 2147483647;
+};
+
+class CommuteService {
+  constructor() {
+    this.webTimers = new Map(); // profileId → timeout id (web only)
+  }
+
+  /**
+   * @returns {CommuteProfile[]}
+   */
+  getProfiles() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Create or update a profile
+   * @param {CommuteProfile} profile
+   * @returns {CommuteProfile[]} All profiles
+   */
+  saveProfile(profile) {
+    const profiles = this.getProfiles();
+    const index = profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) {
+      profiles[index] = profile;
+    } else {
+      profiles.push(profile);
+    }
+    this.persist(profiles);
+    return profiles;
+  }
+
+  /**
+   * @param {string} profileId
+   * @returns {CommuteProfile[]} Remaining profiles
+   */
+  removeProfile(profileId) {
+    const profiles = this.getProfiles().filter(p => p.id !== profileId);
+    this.persist(profiles);
+    this.cancelNotification(profileId);
+    return profiles;
+  }
+
+  persist(profiles) {
+    try {
+      localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+    } catch {
+      // Ignore storage errors (private mode, quota)
+    }
+  }
+
+  /**
+   * Next day (today or tomorrow) the commute applies whose window has not closed yet
+   * @param {CommuteProfile} profile
+   * @param {Date} now
+   * @returns {{ windowStart: Date, windowEnd: Date }|null}
+   */
+  getNextWindow(profile, now = new Date()) {
+    for (let offset = 0; offset <= 1; offset++) {
+      const day = new Date(now);
+      day.setDate(day.getDate() + offset);
+      if (!profile.weekdays.includes(day.getDay())) continue;
+      const windowStart = timeOnDate(day, profile.windowStart);
+      const windowEnd = timeOnDate(day, profile.windowEnd);
+      if (windowEnd > now) return { windowStart, windowEnd };
+    }
+    return null;
+  }
+
+  /**
+   * Work out when to leave home for the next commute within the next 24 hours
+   * @param {CommuteProfile} profile
+   * @param {Date} [now]
+   * @returns {Promise<CommutePlan|null>}
+   */
+  async computePlan(profile, now = new Date()) {
+    const window = this.getNextWindow(profile, now);
+    if (!window) return null;
+
+    const { time: drivingTime } = await calculateDrivingTime(
+      profile.home,
+      { lat: profile.stop.latitude, lng: profile.stop.longitude },
+      { roadOnly: false, departureTime: window.windowStart }
+    );
+
+    const departures = await enturService.getDepartures(profile.stop.id, {
+      timeRange: 86400,
+      numberOfDepartures: 100
+    });
+    const marginMinutes = profile.marginMinutes ?? 5;
+    // Skip departures we can no longer leave home in time for, so a missed one moves the plan to the next
+    const lastLeave = (dep) => getEffectiveDepartureTime(dep).getTime() - ((drivingTime || 0) + marginMinutes) * 60000;
+    const inWindow = departures.filter(dep =>
+      dep.aimed >= window.windowStart && dep.aimed <= window.windowEnd && lastLeave(dep) > now.getTime()
+    );
+
+    const suggestion = getSuggestedDeparture(inWindow, drivingTime, { now, marginMinutes });
+    if (!suggestion) return null;
+
+    return {
+      profileId: profile.id,
+      leaveAt: suggestion.leaveAt,
+      departureTime: suggestion.departureTime,
+      departure: suggestion.departure,
+      drivingTime
+    };
+  }
+
+  /**
+   * Ask for notification permission on the current platform
+   * @returns {Promise<boolean>}
+   */
+  async requestPermission() {
+    if (Capacitor.isNativePlatform()) {
+      const status = await LocalNotifications.requestPermissions();
+      return status.display === 'granted';
+    }
+    if (typeof Notification === 'undefined') return false;
+    if (Notification.permission === 'granted') return true;
+    return (await Notification.requestPermission()) === 'granted';
+  }
+
+  /**
+   * Schedule the "leave home by" notification for a plan.
+   * iOS uses Local Notifications so it fires with the app closed; the web Notification
+   * API cannot schedule, so there it fires from a timer while the app is open.
+   * @param {CommuteProfile} profile
+   * @param {CommutePlan} plan
+   */
+  async scheduleNotification(profile, plan) {
+    await this.cancelNotification(profile.id);
+    if (plan.leaveAt <= new Date()) return;
+
+    const title = `Kjør nå: ${profile.name}`;
+    const body = `Dra hjemmefra kl. ${formatDepartureTime(plan.leaveAt)} for å rekke fergen kl. ${formatDepartureTime(plan.departureTime)} fra ${cleanDestinationText(profile.stop.name)}.`;
+
+    if (Capacitor.isNativePlatform()) {
+      await LocalNotifications.schedule({
+        notifications: [{
+          id: notificationIdFor(profile.id),
+          title,
+          body,
+          schedule: { at: plan.leaveAt, allowWhileIdle: true },
+          extra: { profileId: profile.id, stopId: profile.stop.id }
+        }]
+      });
+      return;
+    }
+
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    const timer = setTimeout(() => {
+      this.webTimers.delete(profile.id);
+      new Notification(title, { body, tag: `commute-${profile.id}` });
+    }, plan.leaveAt - new Date());
+    this.webTimers.set(profile.id, timer);
+  }
+
+  /**
+   * @param {string} profileId
+   */
+  async cancelNotification(profileId) {
+    if (this.webTimers.has(profileId)) {
+      clearTimeout(this.webTimers.get(profileId));
+      this.webTimers.delete(profileId);
+    }
+    if (Capacitor.isNativePlatform()) {
+      try {
+        await LocalNotifications.cancel({ notifications: [{ id: notificationIdFor(profileId) }] });
+      } catch (error) {
+        console.warn('Failed to cancel commute notification:', error);
+      }
+    }
+  }
+
+  /**
+   * Compute and schedule the next notification for every profile.
+   * Called on app start, so the schedule rolls forward day by day.
+   * @returns {Promise<Object<string, CommutePlan|null>>} Plans by profile id
+   */
+  async scheduleAll() {
+    const plans = {};
+    for (const profile of this.getProfiles()) {
+      try {
+        const plan = await this.computePlan(profile);
+        plans[profile.id] = plan;
+        if (plan) {
+          await this.scheduleNotification(profile, plan);
+        } else {
+          await this.cancelNotification(profile.id);
+        }
+      } catch (error) {
+        console.error('Failed to schedule commute profile:', profile.id, error);
+        plans[profile.id] = null;
+      }
+    }
+    return plans;
+  }
+}
+
+// Export singleton instance
+export const commuteService = new CommuteService();
+export default commuteService;
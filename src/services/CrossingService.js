@@ -0,0 +1,417 @@
+// Crossing Service - Notices that we are on a ferry between two quays of one line, and what connects on arrival
+import { config } from '../config/config';
+import { ONBOARD_CONFIG, TRIP_PLANNER_CONFIG } from '../config/constants';
+import { enturService, isFerrySubmode } from './EnturService';
+import { calculateDrivingTimesBatch } from './GeoServices';
+import { carModeService } from './CarModeService';
+import { locationTracker } from './LocationTracker';
+
+const TRACK_INTERVAL_MS = 10000;      // the track keeps one fix per interval; the watch delivers about one a second
+const MAX_TRACK_FIXES = 12;
+const MAX_TRACK_AGE = 3 * 60 * 1000;
+const MISSES_BEFORE_END = 2;          // track fixes off the crossing in a row before we stop calling it one
+const LANDING_MEMORY_MS = 10 * 60 * 1000; // driving off the ferry, not queueing for the next one
+const CONNECTION_QUERY = { detailed: true, timeRange: 21600, numberOfDepartures: 20 };
+
+/**
+ * Stop place at one end of a crossing
+ * @typedef {Object} CrossingQuay
+ * @property {string} id - NSR StopPlace id
+ * @property {string} name
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * @typedef {Object} Crossing
+ * @property {CrossingQuay} from
+ * @property {CrossingQuay} to
+ * @property {{ id: string, name: string }|null} line - null when the crossing came from a geofence without line data
+ * @property {'track'|'geofence'} source - track: seen in the position track and confirmed by a realtime
+ *   arrival or by route matching losing the road; geofence: left a quay towards the other side
+ * @property {number} since - Epoch ms
+ */
+
+/**
+ * A ferry that can be reached after landing
+ * @typedef {Object} Connection
+ * @property {{ id: string, name: string }} stop - Stop place it leaves from
+ * @property {number} drivingMinutes - From the arrival quay; 0 when it leaves from there
+ * @property {import('./EnturService').Departure} departure
+ * @property {number} slackMinutes - Time at the quay before it leaves
+ */
+
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const distanceTo = (quay, point) => distanceMeters(quay.latitude, quay.longitude, point.latitude, point.longitude);
+
+// One point per stop place; a line lists every quay (ramp) separately
+const toStopPlaces = (quays = []) => {
+  const byStopPlace = new Map();
+  for (const quay of quays) {
+    const id = quay?.stopPlace?.id;
+    if (!id || byStopPlace.has(id) || !Number.isFinite(quay.latitude) || !Number.isFinite(quay.longitude)) continue;
+    byStopPlace.set(id, { id, name: quay.stopPlace.name || quay.name, latitude: quay.latitude, longitude: quay.longitude });
+  }
+  return [...byStopPlace.values()];
+};
+
+class CrossingService {
+  constructor() {
+    this.lines = new Map();        // line id → { id, name, stopPlaces: CrossingQuay[] }
+    this.loadedStops = new Set();  // stop places whose lines are known (or being loaded)
+    this.track = [];               // recent fixes, one per TRACK_INTERVAL_MS: { latitude, longitude, speed, timestamp }
+    this.latest = null;            // newest fix, also between track samples
+    this.current = null;           // Crossing
+    this.misses = 0;
+    this.lastLanding = null;       // { stopId, at }
+    this.check = null;             // { key, at, pending } – last realtime check of a crossing seen in the track
+    this.listeners = new Set();
+    this.unsubscribeTracker = null;
+  }
+
+  /**
+   * Learn the lines calling at nearby stops, with the coordinates of their quays,
+   * from the detailed departures query. Each stop is only loaded once.
+   * @param {string[]} stopIds - NSR StopPlace ids
+   * @returns {Promise<void>}
+   */
+  async loadLines(stopIds) {
+    const missing = stopIds.filter(id => !this.loadedStops.has(id));
+    missing.forEach(id => this.loadedStops.add(id));
+    await Promise.all(missing.map(async (stopId) => {
+      try {
+        const departures = await enturService.getDepartures(stopId, { detailed: true });
+        for (const departure of departures) {
+          const line = departure.serviceJourney?.journeyPattern?.line;
+          if (!line?.id || this.lines.has(line.id) || !isFerrySubmode(departure.submode)) continue;
+          const stopPlaces = toStopPlaces(line.quays);
+          if (stopPlaces.length >= 2) {
+            this.lines.set(line.id, { id: line.id, name: line.name, stopPlaces });
+          }
+        }
+      } catch (error) {
+        // Try again with the next list of nearby stops
+        this.loadedStops.delete(stopId);
+        console.warn(`Could not load lines for ${stopId}:`, error);
+      }
+    }));
+    this.evaluate();
+  }
+
+  /**
+   * Receive the crossing when it starts (Crossing) and ends (null). Position watching starts with the first listener.
+   * @param {(crossing: Crossing|null) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.unsubscribeTracker) {
+      this.unsubscribeTracker = locationTracker.subscribe((fix) => this.handleFix(fix));
+    }
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.unsubscribeTracker) {
+        this.unsubscribeTracker();
+        this.unsubscribeTracker = null;
+      }
+    };
+  }
+
+  /**
+   * @returns {Crossing|null}
+   */
+  getCurrent() {
+    return this.current;
+  }
+
+  /**
+   * Distance left and speed, for an own arrival estimate when Entur has none
+   * @returns {{ remainingMeters: number, speed: number|null }|null}
+   */
+  getProgress() {
+    if (!this.current || !this.latest) return null;
+    return { remainingMeters: distanceTo(this.current.to, this.latest), speed: this.latest.speed };
+  }
+
+  /**
+   * Start a crossing we already know about, e.g. from leaving a quay geofence towards the other side
+   * @param {CrossingQuay} from
+   * @param {CrossingQuay} to
+   */
+  begin(from, to) {
+    const line = [...this.lines.values()].find(candidate => (
+      candidate.stopPlaces.some(stop => stop.id === from.id) && candidate.stopPlaces.some(stop => stop.id === to.id)
+    ));
+    this.setCurrent({
+      from,
+      to,
+      line: line ? { id: line.id, name: line.name } : null,
+      source: 'geofence',
+      since: Date.now()
+    });
+  }
+
+  end() {
+    this.setCurrent(null);
+  }
+
+  /**
+   * Whether we recently landed at this quay, so being there means driving off the ferry
+   * @param {string} stopId
+   * @returns {boolean}
+   */
+  hasJustLanded(stopId) {
+    return !!this.lastLanding && this.lastLanding.stopId === stopId && Date.now() - this.lastLanding.at <= LANDING_MEMORY_MS;
+  }
+
+  // ─── Detection ─────────────────────────────────────────────────────────────
+
+  handleFix(fix) {
+    const now = fix.timestamp || Date.now();
+    this.latest = { latitude: fix.latitude, longitude: fix.longitude, speed: fix.speed ?? null, timestamp: now };
+    const previous = this.track[this.track.length - 1];
+    const sampled = !previous || now - previous.timestamp >= TRACK_INTERVAL_MS;
+    if (sampled) {
+      this.track = this.track
+        .filter(point => now - point.timestamp <= MAX_TRACK_AGE)
+        .concat(this.latest)
+        .slice(-MAX_TRACK_FIXES);
+    }
+    this.evaluate(sampled);
+  }
+
+  /**
+   * @param {boolean} [sampled=true] - The newest fix was added to the track
+   */
+  evaluate(sampled = true) {
+    const latest = this.latest;
+    if (!latest) return;
+
+    if (this.current) {
+      // Landed
+      if (distanceTo(this.current.to, latest) <= config.GEOFENCE_CONFIG.EXIT_RADIUS) {
+        this.lastLanding = { stopId: this.current.to.id, at: Date.now() };
+        this.setCurrent(null);
+        return;
+      }
+      if (!sampled) return;
+      this.misses = this.isOnCrossing(this.current.from, this.current.to, latest) ? 0 : this.misses + 1;
+      if (this.misses >= MISSES_BEFORE_END) {
+        this.setCurrent(null);
+      }
+      return;
+    }
+    if (!sampled) return;
+
+    const found = this.findCrossing();
+    if (found) {
+      this.confirm(found);
+    }
+  }
+
+  /**
+   * A track along a line can also be a shore road beside the fjord, so a crossing seen only in the track
+   * starts once something else agrees: route matching has lost the road, or Entur expects a sailing
+   * on the line at the quay ahead about when we would get there
+   * @param {{ from: CrossingQuay, to: CrossingQuay, line: { id: string, name: string }, speed: number }} found
+   * @returns {Promise<void>}
+   */
+  async confirm(found) {
+    const start = ({ from, to, line }) => this.setCurrent({ from, to, line, source: 'track', since: Date.now() });
+    if (carModeService.hasLostRoad()) {
+      start(found);
+      return;
+    }
+
+    const key = `${found.line.id}|${found.from.id}|${found.to.id}`;
+    const now = Date.now();
+    if (this.check?.key === key && (this.check.pending || now - this.check.at < ONBOARD_CONFIG.REALTIME_CHECK_INTERVAL_MS)) {
+      return;
+    }
+    this.check = { key, at: now, pending: true };
+
+    let matched = false;
+    try {
+      const arrivals = await enturService.getArrivals(found.to.id);
+      matched = this.matchesArrival(found, arrivals);
+    } catch (error) {
+      console.warn(`Could not check the crossing to ${found.to.id} against realtime arrivals:`, error);
+    }
+    this.check = { key, at: Date.now(), pending: false };
+    if (!matched || this.current) return;
+
+    // Still out on the same crossing now that the answer is here
+    const still = this.findCrossing();
+    if (still && `${still.line.id}|${still.from.id}|${still.to.id}` === key) {
+      start(still);
+    }
+  }
+
+  /**
+   * Whether Entur expects a sailing on the line at the quay we are heading for about when we get there
+   * @param {{ to: CrossingQuay, line: { id: string }, speed: number }} found
+   * @param {Array<{ lineId: string|null, aimedArrival: Date, expectedArrival: Date|null, cancelled: boolean }>} arrivals
+   * @returns {boolean}
+   */
+  matchesArrival(found, arrivals) {
+    const last = this.track[this.track.length - 1];
+    if (!last) return false;
+    const secondsLeft = distanceTo(found.to, last) / found.speed;
+    const estimate = last.timestamp + secondsLeft * 1000;
+    const tolerance = Math.max(ONBOARD_CONFIG.ARRIVAL_MATCH_MINUTES * 60000, secondsLeft * 1000 * ONBOARD_CONFIG.ARRIVAL_MATCH_SHARE);
+    return arrivals.some(arrival => (
+      !arrival.cancelled &&
+      arrival.lineId === found.line.id &&
+      Math.abs((arrival.expectedArrival || arrival.aimedArrival).getTime() - estimate) <= tolerance
+    ));
+  }
+
+  /**
+   * The line and direction whose crossing the recent track follows, if any: the latest track fixes
+   * all between two of its quays, away from both, and moving steadily towards one of them
+   * @returns {{ from: CrossingQuay, to: CrossingQuay, line: { id: string, name: string }, speed: number }|null}
+   *   speed: m/s over the part of the track out on the crossing
+   */
+  findCrossing() {
+    const last = this.track[this.track.length - 1];
+    if (!last) return null;
+
+    let best = null;
+    for (const line of this.lines.values()) {
+      for (const from of line.stopPlaces) {
+        for (const to of line.stopPlaces) {
+          if (from.id === to.id) continue;
+          // The part of the track out on this crossing; earlier fixes may be from the queue on shore
+          let start = this.track.length;
+          while (start > 0 && this.isOnCrossing(from, to, this.track[start - 1])) start -= 1;
+          const onCrossing = this.track.slice(start);
+          if (onCrossing.length < ONBOARD_CONFIG.MIN_TRACK_FIXES) continue;
+          const first = onCrossing[0];
+          const seconds = (last.timestamp - first.timestamp) / 1000;
+          if (seconds < ONBOARD_CONFIG.MIN_TRACK_SECONDS) continue;
+          const moved = distanceTo(first, last);
+          if (moved / seconds < ONBOARD_CONFIG.MIN_SPEED) continue;
+          // Most of the movement must be towards the quay we are heading for
+          const approach = distanceTo(to, first) - distanceTo(to, last);
+          if (approach < moved * 0.7) continue;
+          const detour = distanceTo(from, last) + distanceTo(to, last) - distanceTo(from, to);
+          if (!best || detour < best.detour) {
+            best = { crossing: { from, to, line: { id: line.id, name: line.name }, speed: moved / seconds }, detour };
+          }
+        }
+      }
+    }
+    return best?.crossing || null;
+  }
+
+  /**
+   * Whether a position is out on the water between two quays: away from both quays, and no further
+   * off the straight line than a ferry goes (measured as extra path length via the point)
+   */
+  isOnCrossing(from, to, point) {
+    const quayRadius = config.GEOFENCE_CONFIG.EXIT_RADIUS;
+    const fromDistance = distanceTo(from, point);
+    const toDistance = distanceTo(to, point);
+    if (fromDistance <= quayRadius || toDistance <= quayRadius) return false;
+    const length = distanceTo(from, to);
+    const allowed = Math.max(ONBOARD_CONFIG.MIN_DETOUR_METERS, length * ONBOARD_CONFIG.DETOUR_SHARE);
+    return fromDistance + toDistance - length <= allowed;
+  }
+
+  setCurrent(crossing) {
+    const changed = (this.current?.from.id !== crossing?.from.id) || (this.current?.to.id !== crossing?.to.id);
+    this.current = crossing;
+    this.misses = 0;
+    if (changed) {
+      this.listeners.forEach(listener => listener(crossing));
+    }
+  }
+
+  // ─── Connections ───────────────────────────────────────────────────────────
+
+  /**
+   * Ferries we can still make after landing: onward lines from the arrival quay, and the next
+   * departure from each ferry stop within driving distance, allowing driving time and a transfer margin
+   * @param {CrossingQuay} arrival - Quay we land at
+   * @param {Date} arrivalTime
+   * @param {Array<{ id: string, name: string, latitude: number, longitude: number }>} stops - Ferry stop places to consider
+   * @param {{ lineId?: string|null, fromStopId?: string }} [exclude] - The line we are on; without an id,
+   *   every line that also calls at fromStopId counts as ours
+   * @returns {Promise<Connection[]>} Sorted by departure
+   */
+  async getConnections(arrival, arrivalTime, stops, exclude = {}) {
+    const nearby = stops
+      .filter(stop => stop.id !== arrival.id && stop.id !== exclude.fromStopId && Number.isFinite(stop.latitude) && Number.isFinite(stop.longitude))
+      .map(stop => ({ stop, distance: distanceTo(arrival, stop) }))
+      .filter(({ distance }) => distance <= ONBOARD_CONFIG.CONNECTION_RADIUS_METERS)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, ONBOARD_CONFIG.MAX_CONNECTION_STOPS)
+      .map(({ stop }) => stop);
+
+    let routes = [];
+    if (nearby.length > 0) {
+      try {
+        routes = await calculateDrivingTimesBatch(
+          { lat: arrival.latitude, lng: arrival.longitude },
+          nearby.map(stop => ({ lat: stop.latitude, lng: stop.longitude })),
+          { roadOnly: true, departureTime: arrivalTime }
+        );
+      } catch (error) {
+        console.warn('Driving times from the arrival quay failed:', error);
+      }
+    }
+
+    const candidates = [{ stop: arrival, drivingMinutes: 0 }];
+    nearby.forEach((stop, index) => {
+      const route = routes[index];
+      // Only stops we can drive to; the rest need another ferry first
+      if (route && !route.hasFerry && route.source !== 'haversine' && typeof route.time === 'number') {
+        candidates.push({ stop, drivingMinutes: route.time });
+      }
+    });
+
+    const isOurLine = (departure) => {
+      const line = departure.serviceJourney?.journeyPattern?.line;
+      if (exclude.lineId) return line?.id === exclude.lineId;
+      return !!exclude.fromStopId && (line?.quays || []).some(quay => quay?.stopPlace?.id === exclude.fromStopId);
+    };
+
+    const connections = await Promise.all(candidates.map(async ({ stop, drivingMinutes }) => {
+      try {
+        const departures = await enturService.getDepartures(stop.id, CONNECTION_QUERY);
+        const atQuay = arrivalTime.getTime() + drivingMinutes * 60000;
+        const earliest = atQuay + TRIP_PLANNER_CONFIG.MIN_TRANSFER_MINUTES * 60000;
+        const departure = departures.find(dep => {
+          if (dep.cancelled || !isFerrySubmode(dep.submode) || isOurLine(dep)) return false;
+          return (dep.expected || dep.aimed).getTime() >= earliest;
+        });
+        if (!departure) return null;
+        return {
+          stop: { id: stop.id, name: stop.name },
+          drivingMinutes,
+          departure,
+          slackMinutes: Math.round(((departure.expected || departure.aimed).getTime() - atQuay) / 60000)
+        };
+      } catch (error) {
+        console.warn(`Connections from ${stop.id} failed:`, error);
+        return null;
+      }
+    }));
+
+    return connections
+      .filter(Boolean)
+      .sort((a, b) => (a.departure.expected || a.departure.aimed) - (b.departure.expected || b.departure.aimed));
+  }
+}
+
+// Export singleton instance
+export const crossingService = new CrossingService();
+export default crossingService;
@@ -0,0 +1,109 @@
+// Driving Time Store - Persistent driving-time cache entries in IndexedDB, one record per origin/destination
+const DB_NAME = 'fergetid-driving-times';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+/**
+ * @typedef {Object} DrivingTimeEntry
+ * @property {string} id - endKey plus the rounded start position
+ * @property {string} endKey - Destination, road/any and departure bucket, as used by GeoServices
+ * @property {number} startLat
+ * @property {number} startLng
+ * @property {Object} result - RouteResult
+ * @property {number} timestamp - Epoch ms when the result was fetched
+ * @property {number} lastUsed - Epoch ms of the last cache hit, for LRU eviction
+ * @property {'road'|'ferry'} kind - TTL class: a drive without ferries keeps longer than a crossing
+ */
+
+class DrivingTimeStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'id' }).createIndex('lastUsed', 'lastUsed');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, driving times are cached in memory only:', request.error);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one or more requests inside a single transaction
+   * @param {'readonly'|'readwrite'} mode
+   * @param {(store: IDBObjectStore) => IDBRequest|void} operation
+   * @returns {Promise<any>} Result of the returned request
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    if (!db) return null;
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result ?? null);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * @returns {Promise<DrivingTimeEntry[]>} Every stored entry, least recently used first
+   */
+  async getAll() {
+    try {
+      return await this.run('readonly', store => store.index('lastUsed').getAll()) || [];
+    } catch (error) {
+      console.warn('Failed to read driving time cache:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Write changed entries and drop removed ones in one transaction
+   * @param {DrivingTimeEntry[]} puts
+   * @param {string[]} deletes - Entry ids
+   */
+  async write(puts, deletes) {
+    if (puts.length === 0 && deletes.length === 0) return;
+    try {
+      await this.run('readwrite', (store) => {
+        deletes.forEach(id => store.delete(id));
+        puts.forEach(entry => store.put(entry));
+      });
+    } catch (error) {
+      console.warn('Failed to write driving time cache:', error);
+    }
+  }
+
+  /**
+   * Remove every entry
+   */
+  async clear() {
+    try {
+      await this.run('readwrite', store => store.clear());
+    } catch (error) {
+      console.warn('Failed to clear driving time cache:', error);
+    }
+  }
+}
+
+// Export singleton instance
+export const drivingTimeStore = new DrivingTimeStore();
+export default drivingTimeStore;
@@ -0,0 +1,840 @@
+// Entur Service - Owns every Entur Journey Planner query and normalises departures
+import { GraphQLClient, gql } from 'graphql-request';
+import { config } from '../config/config';
+import {
+  ENTUR_ENDPOINT,
+  ENTUR_GEOCODER_ENDPOINT,
+  TRANSPORT_MODES,
+  CAR_FERRY_SUBMODES,
+  EXCLUDED_SUBMODES,
+  PASSENGER_FERRY_SUBMODES
+} from '../config/constants';
+import { timetableSnapshotStore } from './TimetableSnapshotStore';
+
+// Deviation messages change rarely; car mode re-renders the stop list every 15 seconds
+const SITUATIONS_TTL = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} FerryFilters
+ * @property {boolean} carFerry - Include localCarFerry (Bilferge)
+ * @property {boolean} passengerFerry - Include passenger submodes (Hurtigbåt)
+ */
+
+/**
+ * Normalised departure. Keeps the raw Entur estimatedCall fields so existing
+ * rendering code (aimedDepartureTime, destinationDisplay, serviceJourney) keeps working.
+ * @typedef {Object} Departure
+ * @property {string} aimedDepartureTime - ISO string of planned departure
+ * @property {string|null} expectedDepartureTime - ISO string of realtime departure
+ * @property {Date} aimed - Planned departure as Date
+ * @property {Date|null} expected - Realtime departure as Date, null when unknown
+ * @property {boolean} cancelled - Sailing is cancelled (innstilt)
+ * @property {string|null} submode - Line transportSubmode
+ * @property {string|null} lineId - Line id (detailed query only)
+ * @property {Date|null} serviceDate - Operating day of the trip (local midnight); the day before the
+ *   departure for after-midnight calls on a trip that started the evening before. null for old snapshots
+ * @property {string} [occupancyStatus] - Entur occupancy, e.g. "full" (detailed query only; mostly "noData")
+ * @property {{ frontText: string, via?: string[] }} destinationDisplay
+ * @property {Object} serviceJourney
+ */
+
+/**
+ * Deviation message (avvik) from Entur's PtSituationElement
+ * @typedef {Object} Situation
+ * @property {string} id - Situation id
+ * @property {string|null} severity - e.g. "normal", "severe"
+ * @property {string|null} reportType - "incident" or "general"
+ * @property {string} summary - Short text, Norwegian when available
+ * @property {string} description - Longer text, may be empty
+ * @property {Date|null} validFrom - Start of validity period
+ * @property {Date|null} validTo - End of validity period
+ */
+
+/**
+ * One stop on a ferry trip
+ * @typedef {Object} JourneyCall
+ * @property {string|null} quayId
+ * @property {string|null} stopPlaceId
+ * @property {string} name - Stop place name, quay name as fallback
+ * @property {Date|null} aimedArrival - null at the first stop
+ * @property {Date|null} expectedArrival - Realtime (or actual) arrival, null when unknown
+ * @property {Date|null} aimedDeparture - null at the last stop
+ * @property {Date|null} expectedDeparture - Realtime (or actual) departure, null when unknown
+ * @property {boolean} departed - The ferry has reported leaving this stop
+ * @property {boolean} cancelled - The call is cancelled
+ * @property {boolean} forBoarding
+ * @property {boolean} forAlighting
+ */
+
+/**
+ * A ferry arriving at a stop place
+ * @typedef {Object} Arrival
+ * @property {string|null} serviceJourneyId
+ * @property {string|null} lineId
+ * @property {string[]} lineStopPlaceIds - Stop places served by the line
+ * @property {Date} aimedArrival
+ * @property {Date|null} expectedArrival - Realtime arrival, null when unknown
+ * @property {boolean} cancelled
+ */
+
+/**
+ * Full stop sequence of one serviceJourney
+ * @typedef {Object} JourneyDetails
+ * @property {string} id - serviceJourney id
+ * @property {{ id: string, name: string, publicCode: string|null }|null} line
+ * @property {JourneyCall[]} calls - In sailing order
+ * @property {boolean} realtime - Entur has realtime data for the trip
+ * @property {Situation[]} situations
+ */
+
+// ─── Queries ──────────────────────────────────────────────────────────────────
+
+// Situation texts, shared by stop place, line and estimated call levels
+const SITUATION_FIELDS = gql`
+  fragment SituationFields on PtSituationElement {
+    id
+    reportType
+    severity
+    summary { value language }
+    description { value language }
+    validityPeriod { startTime endTime }
+  }
+`;
+
+const DEPARTURES_QUERY = gql`
+  query StopPlaceDepartures($id: String!, $timeRange: Int!, $numberOfDepartures: Int!) {
+    stopPlace(id: $id) {
+      name
+      estimatedCalls(timeRange: $timeRange, numberOfDepartures: $numberOfDepartures) {
+        date
+        aimedDepartureTime
+        expectedDepartureTime
+        cancellation
+        predictionInaccurate
+        destinationDisplay { frontText }
+        serviceJourney {
+          id
+          journeyPattern { line { transportSubmode } }
+        }
+      }
+    }
+  }
+`;
+
+// Enhanced departures query with journeyPattern data for better matching
+const ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY = gql`
+  query EnhancedDeparturesWithPatterns($id: String!, $timeRange: Int!, $numberOfDepartures: Int!) {
+    stopPlace(id: $id) {
+      name
+      situations {
+        ...SituationFields
+      }
+      estimatedCalls(timeRange: $timeRange, numberOfDepartures: $numberOfDepartures) {
+        date
+        aimedDepartureTime
+        expectedDepartureTime
+        destinationDisplay {
+          frontText
+          via
+        }
+        serviceJourney {
+          id
+          journeyPattern {
+            id
+            directionType
+            line {
+              id
+              name
+              publicCode
+              transportMode
+              transportSubmode
+              operator {
+                id
+                name
+              }
+              situations {
+                ...SituationFields
+              }
+              quays {
+                id
+                name
+                publicCode
+                latitude
+                longitude
+                stopPlace {
+                  id
+                  name
+                }
+              }
+            }
+          }
+          wheelchairAccessible
+          notices {
+            id
+            text
+          }
+        }
+        cancellation
+        predictionInaccurate
+        occupancyStatus
+        situations {
+          ...SituationFields
+        }
+      }
+    }
+  }
+  ${SITUATION_FIELDS}
+`;
+
+// Line details with quays and journey patterns
+const LINE_WITH_QUAYS_QUERY = gql`
+  query LineWithQuays($id: ID!) {
+    line(id: $id) {
+      id
+      name
+      publicCode
+      transportMode
+      transportSubmode
+      quays {
+        id
+        name
+        publicCode
+        latitude
+        longitude
+        stopPlace {
+          id
+          name
+        }
+      }
+      journeyPatterns {
+        id
+        directionType
+        stopPoints {
+          id
+          name
+          latitude
+          longitude
+          quays {
+            id
+            name
+            publicCode
+            latitude
+            longitude
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Every stop on one trip: realtime calls for the operating day, timetable as fallback
+const SERVICE_JOURNEY_QUERY = gql`
+  query ServiceJourney($id: String!, $date: Date) {
+    serviceJourney(id: $id) {
+      id
+      line {
+        id
+        name
+        publicCode
+        situations { ...SituationFields }
+      }
+      estimatedCalls(date: $date) {
+        quay { id name stopPlace { id name } }
+        aimedArrivalTime
+        expectedArrivalTime
+        actualArrivalTime
+        aimedDepartureTime
+        expectedDepartureTime
+        actualDepartureTime
+        realtime
+        cancellation
+        forBoarding
+        forAlighting
+        situations { ...SituationFields }
+      }
+      passingTimes {
+        quay { id name stopPlace { id name } }
+        arrival { time dayOffset }
+        departure { time dayOffset }
+        forBoarding
+        forAlighting
+      }
+    }
+  }
+  ${SITUATION_FIELDS}
+`;
+
+// Arrivals at a stop place, for the ferry we are on
+const ARRIVALS_QUERY = gql`
+  query StopPlaceArrivals($id: String!, $startTime: DateTime!, $timeRange: Int!, $numberOfDepartures: Int!) {
+    stopPlace(id: $id) {
+      estimatedCalls(
+        startTime: $startTime
+        timeRange: $timeRange
+        numberOfDepartures: $numberOfDepartures
+        arrivalDeparture: arrivals
+      ) {
+        aimedArrivalTime
+        expectedArrivalTime
+        cancellation
+        serviceJourney {
+          id
+          journeyPattern {
+            line {
+              id
+              quays { stopPlace { id } }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// All stop places; filtered to water stops client-side
+const ALL_FERRY_STOPS_QUERY = gql`
+  query AllFerryStops {
+    stopPlaces {
+      id
+      name
+      latitude
+      longitude
+      transportMode
+      transportSubmode
+    }
+  }
+`;
+
+// Trip limited to car ferries; car pickup stands in for the road legs at either end
+const CAR_FERRY_TRIP_QUERY = gql`
+  query CarFerryTrip($from: Location!, $to: Location!, $dateTime: DateTime!) {
+    trip(
+      from: $from
+      to: $to
+      dateTime: $dateTime
+      numTripPatterns: 1
+      modes: {
+        accessMode: car_pickup
+        egressMode: car_pickup
+        transportModes: [{ transportMode: water, transportSubModes: [${CAR_FERRY_SUBMODES.join(', ')}] }]
+      }
+    ) {
+      tripPatterns {
+        legs {
+          mode
+          aimedStartTime
+          expectedStartTime
+          aimedEndTime
+          expectedEndTime
+          fromPlace {
+            name
+            latitude
+            longitude
+            quay {
+              id
+              stopPlace {
+                id
+                name
+              }
+            }
+          }
+          toPlace {
+            name
+            latitude
+            longitude
+            quay {
+              id
+              stopPlace {
+                id
+                name
+              }
+            }
+          }
+          line {
+            id
+            name
+            publicCode
+            transportSubmode
+          }
+          fromEstimatedCall {
+            cancellation
+          }
+        }
+      }
+    }
+  }
+`;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Decide how many departures to fetch based on driving time
+ * @param {number} drivingTimeMinutes - Driving time to the stop in minutes
+ * @returns {{ timeRange: number, numberOfDepartures: number }}
+ */
+export const getDepartureQueryParams = (drivingTimeMinutes = 0) => {
+  // Hvis kjøretid > 2 timer, hent flere avganger over lengre tidsramme
+  if (drivingTimeMinutes > 120) {
+    return {
+      timeRange: 86400, // 24 timer
+      numberOfDepartures: 50
+    };
+  }
+  // Standard: hent færre avganger over kortere tidsramme
+  return {
+    timeRange: 43200, // 12 timer
+    numberOfDepartures: 20
+  };
+};
+
+/**
+ * Check whether a transport submode passes the car/passenger ferry filter
+ * @param {string} submode - Line transportSubmode
+ * @param {FerryFilters} filters - Active ferry filters
+ * @returns {boolean}
+ */
+export const matchesFerryFilters = (submode, filters) => {
+  if (!submode || EXCLUDED_SUBMODES.includes(submode)) return false;
+  const allowCar = filters.carFerry && submode === TRANSPORT_MODES.LOCAL_CAR_FERRY;
+  const allowPassenger = filters.passengerFerry && PASSENGER_FERRY_SUBMODES.includes(submode);
+  return !!(allowCar || allowPassenger);
+};
+
+/**
+ * Check whether a submode is a car or passenger ferry we can pair return cards on
+ * @param {string} submode - Line transportSubmode
+ * @returns {boolean}
+ */
+export const isFerrySubmode = (submode) =>
+  submode === TRANSPORT_MODES.LOCAL_CAR_FERRY || PASSENGER_FERRY_SUBMODES.includes(submode);
+
+/**
+ * Convert a raw estimatedCall into the shared departure shape
+ * @param {Object} call - Raw Entur estimatedCall
+ * @returns {Departure}
+ */
+export const normalizeDeparture = (call) => {
+  const line = call.serviceJourney?.journeyPattern?.line;
+  return {
+    ...call,
+    expectedDepartureTime: call.expectedDepartureTime || null,
+    aimed: new Date(call.aimedDepartureTime),
+    expected: call.expectedDepartureTime ? new Date(call.expectedDepartureTime) : null,
+    cancelled: !!call.cancellation,
+    submode: line?.transportSubmode || null,
+    lineId: line?.id || null,
+    serviceDate: fromServiceDateString(call.date)
+  };
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+/**
+ * Convert a raw estimatedCall from a serviceJourney into a journey call
+ * @param {Object} call - Raw Entur estimatedCall
+ * @param {number} index - Position on the trip
+ * @param {number} count - Number of calls on the trip
+ * @returns {JourneyCall}
+ */
+const normalizeJourneyCall = (call, index, count) => ({
+  quayId: call.quay?.id || null,
+  stopPlaceId: call.quay?.stopPlace?.id || null,
+  name: call.quay?.stopPlace?.name || call.quay?.name || '',
+  aimedArrival: index > 0 ? toDate(call.aimedArrivalTime) : null,
+  expectedArrival: index > 0 ? toDate(call.actualArrivalTime || call.expectedArrivalTime) : null,
+  aimedDeparture: index < count - 1 ? toDate(call.aimedDepartureTime) : null,
+  expectedDeparture: index < count - 1 ? toDate(call.actualDepartureTime || call.expectedDepartureTime) : null,
+  departed: !!call.actualDepartureTime,
+  cancelled: !!call.cancellation,
+  forBoarding: call.forBoarding !== false,
+  forAlighting: call.forAlighting !== false
+});
+
+// Timetabled passing times are "HH:MM:SS" on the operating day plus a day offset
+const passingTimeToDate = (passing, serviceDate) => {
+  if (!passing?.time) return null;
+  const [hours, minutes, seconds] = passing.time.split(':').map(Number);
+  const date = new Date(serviceDate);
+  date.setHours(hours, minutes, seconds || 0, 0);
+  date.setDate(date.getDate() + (passing.dayOffset || 0));
+  return date;
+};
+
+/**
+ * Convert a timetabled passing time into a journey call without realtime data
+ * @param {Object} passing - Raw Entur TimetabledPassingTime
+ * @param {number} index - Position on the trip
+ * @param {number} count - Number of passing times on the trip
+ * @param {Date} serviceDate - Operating day (local midnight)
+ * @returns {JourneyCall}
+ */
+const normalizePassingTime = (passing, index, count, serviceDate) => ({
+  quayId: passing.quay?.id || null,
+  stopPlaceId: passing.quay?.stopPlace?.id || null,
+  name: passing.quay?.stopPlace?.name || passing.quay?.name || '',
+  aimedArrival: index > 0 ? passingTimeToDate(passing.arrival, serviceDate) : null,
+  expectedArrival: null,
+  aimedDeparture: index < count - 1 ? passingTimeToDate(passing.departure, serviceDate) : null,
+  expectedDeparture: null,
+  departed: false,
+  cancelled: false,
+  forBoarding: passing.forBoarding !== false,
+  forAlighting: passing.forAlighting !== false
+});
+
+// Local calendar date as Entur's Date scalar (YYYY-MM-DD)
+const toServiceDateString = (date) => {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Entur's Date scalar as local midnight; new Date('YYYY-MM-DD') would be UTC midnight
+const fromServiceDateString = (value) => {
+  if (!value) return null;
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+// Norwegian first (bokmål, nynorsk), then whatever Entur provides
+const PREFERRED_LANGUAGES = ['no', 'nb', 'nob', 'nn', 'nno'];
+
+const pickText = (texts) => {
+  if (!Array.isArray(texts) || texts.length === 0) return '';
+  const preferred = texts.find(t => PREFERRED_LANGUAGES.includes((t.language || '').toLowerCase()));
+  return (preferred || texts[0]).value || '';
+};
+
+/**
+ * Convert a raw PtSituationElement into the shared situation shape
+ * @param {Object} situation - Raw Entur situation
+ * @returns {Situation}
+ */
+export const normalizeSituation = (situation) => ({
+  id: situation.id,
+  severity: situation.severity || null,
+  reportType: situation.reportType || null,
+  summary: pickText(situation.summary),
+  description: pickText(situation.description),
+  validFrom: situation.validityPeriod?.startTime ? new Date(situation.validityPeriod.startTime) : null,
+  validTo: situation.validityPeriod?.endTime ? new Date(situation.validityPeriod.endTime) : null
+});
+
+const SEVERITY_ORDER = ['verySevere', 'severe', 'normal', 'slight', 'noImpact', 'unknown', 'undefined'];
+
+/**
+ * Deduplicate raw situations (by id and by identical text), keep only those active now,
+ * and sort the most severe first
+ * @param {Array<Object>} rawSituations - Raw situations from any level
+ * @param {Date} [now] - Reference time
+ * @returns {Situation[]}
+ */
+export const collectActiveSituations = (rawSituations, now = new Date()) => {
+  const seenIds = new Set();
+  const seenTexts = new Set();
+  const result = [];
+
+  for (const raw of rawSituations) {
+    if (!raw?.id || seenIds.has(raw.id)) continue;
+    seenIds.add(raw.id);
+
+    const situation = normalizeSituation(raw);
+    if (!situation.summary && !situation.description) continue;
+    if (situation.validFrom && situation.validFrom > now) continue;
+    if (situation.validTo && situation.validTo < now) continue;
+
+    const textKey = `${situation.summary}|${situation.description}`.toLowerCase();
+    if (seenTexts.has(textKey)) continue;
+    seenTexts.add(textKey);
+
+    result.push(situation);
+  }
+
+  const rank = (s) => {
+    const index = SEVERITY_ORDER.indexOf(s.severity);
+    return index === -1 ? SEVERITY_ORDER.length : index;
+  };
+  return result.sort((a, b) => rank(a) - rank(b));
+};
+
+// ─── Service ──────────────────────────────────────────────────────────────────
+
+class EnturService {
+  constructor() {
+    this.client = new GraphQLClient(ENTUR_ENDPOINT, {
+      headers: { 'ET-Client-Name': config.ENTUR_CLIENT_NAME }
+    });
+    this.pendingRequests = new Map(); // In-flight deduplication: key → Promise
+    this.offlineSnapshots = new Map(); // stopId → Date of the snapshot shown instead of live data
+    this.offlineListeners = new Set();
+    this.situationsCache = new Map(); // stopId|timeRange|numberOfDepartures → { situations, fetchedAt }
+  }
+
+  /**
+   * Run a query, sharing the promise with identical requests already in flight
+   * @param {string} key - Deduplication key
+   * @param {string} query - GraphQL document
+   * @param {Object} variables - Query variables
+   * @returns {Promise<Object>}
+   */
+  async request(key, query, variables) {
+    if (this.pendingRequests.has(key)) {
+      return await this.pendingRequests.get(key);
+    }
+    const promise = this.client.request(query, variables);
+    this.pendingRequests.set(key, promise);
+    try {
+      return await promise;
+    } finally {
+      this.pendingRequests.delete(key);
+    }
+  }
+
+  /**
+   * Get departures from a stop place, sorted by planned time
+   * @param {string} stopId - NSR StopPlace id
+   * @param {Object} opts
+   * @param {boolean} [opts.detailed=false] - Use the journeyPattern query (line, quays, realtime)
+   * @param {FerryFilters} [opts.filters] - Apply car/passenger filter; omitted = no filtering
+   * @param {number} [opts.drivingTimeMinutes] - Used to size the time window
+   * @param {number} [opts.timeRange] - Override time window in seconds
+   * @param {number} [opts.numberOfDepartures] - Override number of departures
+   * @returns {Promise<Departure[]>} Falls back to the offline snapshot for basic queries when the request fails
+   */
+  async getDepartures(stopId, opts = {}) {
+    const { detailed = false, filters = null } = opts;
+    let calls;
+    try {
+      const data = await this.fetchStopPlace(stopId, opts);
+      calls = data.stopPlace?.estimatedCalls || [];
+      if (!detailed) {
+        timetableSnapshotStore.save(stopId, calls);
+        this.setOfflineSnapshot(stopId, null);
+      }
+    } catch (error) {
+      if (detailed) throw error;
+      const snapshot = await timetableSnapshotStore.get(stopId);
+      if (!snapshot) throw error;
+      console.warn(`Entur unavailable, using snapshot for ${stopId}:`, error);
+      // Only calls that have not left yet – the snapshot can be hours old
+      const now = new Date();
+      calls = snapshot.calls.filter(call => new Date(call.expectedDepartureTime || call.aimedDepartureTime) > now);
+      this.setOfflineSnapshot(stopId, new Date(snapshot.fetchedAt));
+    }
+
+    return calls
+      .map(normalizeDeparture)
+      .filter(dep => !filters || matchesFerryFilters(dep.submode, filters))
+      .sort((a, b) => a.aimed - b.aimed);
+  }
+
+  /**
+   * Subscribe to offline snapshot changes
+   * @param {(snapshots: Object<string, Date>) => void} listener - Receives stopId → snapshot time
+   * @returns {Function} Unsubscribe
+   */
+  subscribeOffline(listener) {
+    this.offlineListeners.add(listener);
+    return () => this.offlineListeners.delete(listener);
+  }
+
+  /**
+   * Mark a stop as showing snapshot data (date) or live data (null)
+   * @param {string} stopId
+   * @param {Date|null} fetchedAt
+   */
+  setOfflineSnapshot(stopId, fetchedAt) {
+    if (!fetchedAt && !this.offlineSnapshots.has(stopId)) return;
+    if (fetchedAt) {
+      this.offlineSnapshots.set(stopId, fetchedAt);
+    } else {
+      this.offlineSnapshots.delete(stopId);
+    }
+    const snapshots = Object.fromEntries(this.offlineSnapshots);
+    this.offlineListeners.forEach(listener => listener(snapshots));
+  }
+
+  /**
+   * Get active deviation messages for a stop, merged from the stop place, its lines
+   * and its upcoming calls
+   * @param {string} stopId - NSR StopPlace id
+   * @param {Object} [opts] - Same time window options as getDepartures
+   * @returns {Promise<Situation[]>} Cached per stop and window for SITUATIONS_TTL
+   */
+  async getSituations(stopId, opts = {}) {
+    const key = `${stopId}|${opts.timeRange ?? ''}|${opts.numberOfDepartures ?? ''}`;
+    const cached = this.situationsCache.get(key);
+    if (cached && Date.now() - cached.fetchedAt < SITUATIONS_TTL) {
+      return cached.situations;
+    }
+
+    const data = await this.fetchStopPlace(stopId, { ...opts, detailed: true });
+    const stopPlace = data.stopPlace;
+    const raw = [...(stopPlace?.situations || [])];
+    for (const call of stopPlace?.estimatedCalls || []) {
+      raw.push(...(call.serviceJourney?.journeyPattern?.line?.situations || []));
+      raw.push(...(call.situations || []));
+    }
+    const situations = collectActiveSituations(raw);
+    this.situationsCache.set(key, { situations, fetchedAt: Date.now() });
+    return situations;
+  }
+
+  /**
+   * Fetch raw stop place data with either the basic or the detailed departures query
+   * @param {string} stopId - NSR StopPlace id
+   * @param {Object} opts - detailed, drivingTimeMinutes, timeRange, numberOfDepartures
+   * @returns {Promise<Object>}
+   */
+  async fetchStopPlace(stopId, opts = {}) {
+    const { detailed = false, drivingTimeMinutes = 0 } = opts;
+    const defaults = getDepartureQueryParams(drivingTimeMinutes);
+    const variables = {
+      id: stopId,
+      timeRange: opts.timeRange ?? defaults.timeRange,
+      numberOfDepartures: opts.numberOfDepartures ?? defaults.numberOfDepartures
+    };
+    const query = detailed ? ENHANCED_DEPARTURES_WITH_PATTERNS_QUERY : DEPARTURES_QUERY;
+    const key = `${detailed ? 'detailed' : 'basic'}|${stopId}|${variables.timeRange}|${variables.numberOfDepartures}`;
+    return await this.request(key, query, variables);
+  }
+
+  /**
+   * Get a line with its quays and journey patterns
+   * @param {string} lineId - Line id, e.g. "MOR:Line:1020"
+   * @returns {Promise<Object|null>}
+   */
+  async getLine(lineId) {
+    const data = await this.request(`line|${lineId}`, LINE_WITH_QUAYS_QUERY, { id: lineId });
+    return data.line || null;
+  }
+
+  /**
+   * Get every stop on a ferry trip with arrival/departure times and realtime deviations
+   * @param {string} serviceJourneyId - serviceJourney id from a departure
+   * @param {Date} [serviceDate] - Operating day, the departure's serviceDate (its calendar day when unknown)
+   * @returns {Promise<JourneyDetails|null>} null when Entur does not know the trip
+   */
+  async getServiceJourney(serviceJourneyId, serviceDate = new Date()) {
+    const date = toServiceDateString(serviceDate);
+    const data = await this.request(`journey|${serviceJourneyId}|${date}`, SERVICE_JOURNEY_QUERY, {
+      id: serviceJourneyId,
+      date
+    });
+    const journey = data.serviceJourney;
+    if (!journey) return null;
+
+    const estimatedCalls = journey.estimatedCalls || [];
+    const passingTimes = journey.passingTimes || [];
+    const midnight = new Date(serviceDate);
+    midnight.setHours(0, 0, 0, 0);
+    const calls = estimatedCalls.length > 0
+      ? estimatedCalls.map((call, index) => normalizeJourneyCall(call, index, estimatedCalls.length))
+      : passingTimes.map((passing, index) => normalizePassingTime(passing, index, passingTimes.length, midnight));
+
+    const rawSituations = [...(journey.line?.situations || [])];
+    estimatedCalls.forEach(call => rawSituations.push(...(call.situations || [])));
+
+    return {
+      id: journey.id,
+      line: journey.line ? { id: journey.line.id, name: journey.line.name, publicCode: journey.line.publicCode || null } : null,
+      calls,
+      realtime: estimatedCalls.some(call => call.realtime),
+      situations: collectActiveSituations(rawSituations)
+    };
+  }
+
+  /**
+   * Get ferries arriving at a stop place, including ones that are already on their way
+   * @param {string} stopId - NSR StopPlace id
+   * @param {Object} [opts]
+   * @param {Date} [opts.startTime] - Earliest arrival; defaults to ten minutes ago
+   * @param {number} [opts.timeRange] - Window in seconds
+   * @returns {Promise<Arrival[]>} Sorted by expected (or planned) arrival
+   */
+  async getArrivals(stopId, opts = {}) {
+    const startTime = opts.startTime ?? new Date(Date.now() - 10 * 60000);
+    const variables = {
+      id: stopId,
+      startTime: startTime.toISOString(),
+      timeRange: opts.timeRange ?? 7200,
+      numberOfDepartures: 20
+    };
+    // Minute resolution, so callers asking at the same moment share one in-flight request
+    const key = `arrivals|${stopId}|${variables.startTime.slice(0, 16)}|${variables.timeRange}`;
+    const data = await this.request(key, ARRIVALS_QUERY, variables);
+    return (data.stopPlace?.estimatedCalls || [])
+      .map(call => {
+        const line = call.serviceJourney?.journeyPattern?.line;
+        return {
+          serviceJourneyId: call.serviceJourney?.id || null,
+          lineId: line?.id || null,
+          lineStopPlaceIds: (line?.quays || []).map(quay => quay?.stopPlace?.id).filter(Boolean),
+          aimedArrival: new Date(call.aimedArrivalTime),
+          expectedArrival: toDate(call.expectedArrivalTime),
+          cancelled: !!call.cancellation
+        };
+      })
+      .sort((a, b) => (a.expectedArrival || a.aimedArrival) - (b.expectedArrival || b.aimedArrival));
+  }
+
+  /**
+   * Find the first car ferry trip pattern between two points
+   * @param {{ lat: number, lng: number, name?: string }} from - Start point
+   * @param {{ lat: number, lng: number, name?: string }} to - End point
+   * @param {Date} [dateTime] - Earliest departure
+   * @returns {Promise<Array<Object>>} Legs of the first trip pattern, empty when none found
+   */
+  async getCarFerryTrip(from, to, dateTime = new Date()) {
+    const toLocation = (point) => ({
+      name: point.name,
+      coordinates: { latitude: point.lat, longitude: point.lng }
+    });
+    const variables = {
+      from: toLocation(from),
+      to: toLocation(to),
+      dateTime: dateTime.toISOString()
+    };
+    const key = `trip|${from.lat},${from.lng}|${to.lat},${to.lng}|${variables.dateTime}`;
+    const data = await this.request(key, CAR_FERRY_TRIP_QUERY, variables);
+    return data.trip?.tripPatterns?.[0]?.legs || [];
+  }
+
+  /**
+   * Search for places (addresses, stops, POIs) with Entur's geocoder
+   * @param {string} text - Free text
+   * @param {number} [size] - Maximum number of suggestions
+   * @returns {Promise<Array<{ id: string, name: string, label: string, lat: number, lng: number }>>}
+   */
+  async searchPlaces(text, size = 6) {
+    const params = new URLSearchParams({ text, lang: 'no', size: String(size), 'boundary.country': 'NOR' });
+    const response = await fetch(`${ENTUR_GEOCODER_ENDPOINT}?${params}`, {
+      headers: { 'ET-Client-Name': config.ENTUR_CLIENT_NAME }
+    });
+    if (!response.ok) throw new Error(`Entur geocoder failed: ${response.status}`);
+    const data = await response.json();
+    return (data.features || []).map(feature => ({
+      id: feature.properties.id,
+      name: feature.properties.name,
+      label: feature.properties.label || feature.properties.name,
+      lat: feature.geometry.coordinates[1],
+      lng: feature.geometry.coordinates[0]
+    }));
+  }
+
+  /**
+   * Get all water stop places that are not passenger/sightseeing only
+   * @returns {Promise<Array<{ id: string, name: string, latitude: number, longitude: number, transportSubmode: string }>>}
+   */
+  async getFerryStops() {
+    const data = await this.request('stops', ALL_FERRY_STOPS_QUERY, {});
+    const allStops = data.stopPlaces || [];
+    return allStops.filter(stop => {
+      if (!Array.isArray(stop.transportMode) || !stop.transportMode.includes(TRANSPORT_MODES.WATER)) return false;
+      return !EXCLUDED_SUBMODES.includes(stop.transportSubmode);
+    });
+  }
+}
+
+// Export singleton instance
+export const enturService = new EnturService();
+export default enturService;
@@ -0,0 +1,190 @@
+// Ferry-Only Registry - Stops that cannot be reached by road, learned from routing results or bundled
+import { config } from '../config/config';
+import { FERRY_ONLY_QUAYS, FERRY_ONLY_SEED_RADIUS, FERRY_ONLY_LOCAL_RADIUS } from '../utils/ferryOnlyQuays';
+
+const STORAGE_KEY = 'fergetid_ferry_only_v2';
+const LEGACY_STORAGE_KEY = 'fergetid_ferry_only_v1'; // plain array of keys, learned before expiry existed
+
+/**
+ * @typedef {Object} FerryOnlyEntry
+ * @property {string} key - "lat,lng" with five decimals
+ * @property {number} lat
+ * @property {number} lng
+ * @property {'routeHadFerry'|'noRoadMatrixRoute'|'legacy'|'seed'} reason
+ * @property {string} source - Provider that reported it, or 'bundled' for seeded quays
+ * @property {number} learnedAt - Epoch ms
+ * @property {number|null} expiresAt - Epoch ms; null for bundled quays
+ * @property {string} [name] - Only for bundled quays
+ */
+
+const toKey = (coords) => `${coords.lat.toFixed(5)},${coords.lng.toFixed(5)}`;
+
+const distanceMeters = (a, b) => {
+  const R = 6371000;
+  const dLat = (b.lat - a.lat) * Math.PI / 180;
+  const dLon = (b.lng - a.lng) * Math.PI / 180;
+  const s =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * Math.PI / 180) * Math.cos(b.lat * Math.PI / 180) * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
+};
+
+class FerryOnlyRegistry {
+  constructor() {
+    this.listeners = new Set();
+    /** @type {Map<string, FerryOnlyEntry>} */
+    this.learned = new Map();
+    // Bundled quays the user removed; kept so they don't come back on the next load
+    this.dismissedSeeds = new Set();
+    this.seeds = FERRY_ONLY_QUAYS.map(quay => ({
+      key: toKey(quay),
+      lat: quay.lat,
+      lng: quay.lng,
+      name: quay.name,
+      reason: 'seed',
+      source: 'bundled',
+      learnedAt: 0,
+      expiresAt: null
+    }));
+    this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      (stored?.learned || []).forEach(entry => this.learned.set(entry.key, entry));
+      (stored?.dismissedSeeds || []).forEach(key => this.dismissedSeeds.add(key));
+    } catch (_) {}
+
+    // Old entries have no history; give them a fresh lifetime so a bad one eventually expires
+    try {
+      const legacy = JSON.parse(localStorage.getItem(LEGACY_STORAGE_KEY) || 'null');
+      if (Array.isArray(legacy)) {
+        legacy.forEach((key) => {
+          const [lat, lng] = key.split(',').map(Number);
+          if (!this.learned.has(key)) this.learned.set(key, this.createEntry({ lat, lng }, 'legacy', 'unknown'));
+        });
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        this.save();
+      }
+    } catch (_) {}
+
+    this.pruneExpired();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        learned: [...this.learned.values()],
+        dismissedSeeds: [...this.dismissedSeeds]
+      }));
+    } catch (_) {}
+    this.listeners.forEach(listener => listener(this.getEntries()));
+  }
+
+  /** @returns {FerryOnlyEntry} */
+  createEntry(coords, reason, source) {
+    const now = Date.now();
+    return {
+      key: toKey(coords),
+      lat: coords.lat,
+      lng: coords.lng,
+      reason,
+      source,
+      learnedAt: now,
+      expiresAt: now + config.ROUTING_CONFIG.getFerryOnlyExpiryDays() * 24 * 60 * 60 * 1000
+    };
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    let changed = false;
+    for (const [key, entry] of this.learned) {
+      if (entry.expiresAt <= now) {
+        this.learned.delete(key);
+        changed = true;
+      }
+    }
+    if (changed) this.save();
+  }
+
+  /**
+   * Whether the stop is known to have no road connection from where the trip starts.
+   * Entries only hold for starts off the island: from within FERRY_ONLY_LOCAL_RADIUS the user
+   * may be on the island itself, so the caller should check the road instead.
+   * @param {{lat: number, lng: number}} coords
+   * @param {{ origin?: {lat: number, lng: number} }} [options]
+   * @returns {boolean}
+   */
+  has(coords, { origin } = {}) {
+    if (origin && distanceMeters(origin, coords) <= FERRY_ONLY_LOCAL_RADIUS) return false;
+    const entry = this.learned.get(toKey(coords));
+    if (entry) {
+      if (entry.expiresAt > Date.now()) return true;
+      this.learned.delete(entry.key);
+      this.save();
+    }
+    return this.seeds.some(seed =>
+      !this.dismissedSeeds.has(seed.key) && distanceMeters(coords, seed) <= FERRY_ONLY_SEED_RADIUS
+    );
+  }
+
+  /**
+   * Remember a stop as ferry-only; learning it again restarts its lifetime
+   * @param {{lat: number, lng: number}} coords
+   * @param {{ reason: FerryOnlyEntry['reason'], source: string }} details
+   * @returns {boolean} true when the stop was not already known
+   */
+  learn(coords, { reason, source }) {
+    const isNew = !this.has(coords);
+    this.learned.set(toKey(coords), this.createEntry(coords, reason, source));
+    this.save();
+    return isNew;
+  }
+
+  /**
+   * Forget an entry (a bundled quay stays removed until reset)
+   * @param {string} key
+   */
+  remove(key) {
+    const isSeed = this.seeds.some(seed => seed.key === key);
+    if (!this.learned.delete(key) && !isSeed) return;
+    if (isSeed) this.dismissedSeeds.add(key);
+    this.save();
+  }
+
+  /**
+   * Drop everything learned and bring back removed bundled quays
+   */
+  reset() {
+    this.learned.clear();
+    this.dismissedSeeds.clear();
+    this.save();
+  }
+
+  /**
+   * Active entries for the diagnostics screen, newest learned first, bundled quays last
+   * @returns {FerryOnlyEntry[]}
+   */
+  getEntries() {
+    const now = Date.now();
+    const learned = [...this.learned.values()]
+      .filter(entry => entry.expiresAt > now)
+      .sort((a, b) => b.learnedAt - a.learnedAt);
+    const seeds = this.seeds.filter(seed => !this.dismissedSeeds.has(seed.key) && !this.learned.has(seed.key));
+    return [...learned, ...seeds];
+  }
+
+  /**
+   * @param {(entries: FerryOnlyEntry[]) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export const ferryOnlyRegistry = new FerryOnlyRegistry();
+export default ferryOnlyRegistry;
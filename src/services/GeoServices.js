@@ -2,20 +2,51 @@
 // Using the latest Google Maps APIs with proper configuration
 
 import { config } from '../config/config';
+import { decodeFlexiblePolyline, simplifyPoints } from '../utils/flexiblePolyline';
+import { fetchWithTimeout } from '../utils/fetchWithTimeout';
+import { selfHostedRoutingProvider } from './SelfHostedRouting';
+import { requestBudget } from './RequestBudget';
+import { drivingTimeStore } from './DrivingTimeStore';
+import { ferryOnlyRegistry } from './FerryOnlyRegistry';
+
+/**
+ * @typedef {Object} RouteResult
+ * @property {number} time - Driving time in minutes (at least 1)
+ * @property {number} distance - Distance in metres
+ * @property {boolean} hasFerry - For roadOnly requests: the destination could only be reached with a ferry
+ * @property {boolean} [usesFerry] - The route crosses with a ferry, whether or not roadOnly was asked for.
+ *   Missing when the provider does not tell (Google without roadOnly, the matrix, haversine)
+ * @property {Array<{ mode: 'car'|'ferry', points: Array<[number, number]> }>} [geometry] - Only with returnGeometry
+ * @property {string} source - Which provider produced the result
+ */
+
+/**
+ * @typedef {Object} RoutingProvider
+ * @property {string} id - Id used in config.ROUTING_CONFIG provider order
+ * @property {() => boolean} isConfigured
+ * @property {(startCoords: {lat: number, lng: number}, endCoords: {lat: number, lng: number}, options: Object) => Promise<RouteResult>} route
+ *   Rejects on failure so the next provider is tried. options.knownFerryOnly is set when the
+ *   destination is already known to have no road connection.
+ */
 
 // ─── Cache configuration ──────────────────────────────────────────────────────
-const CACHE_TTL = 60 * 60 * 1000;  // 1 hour — re-fetch after this
+const ROAD_ONLY_CACHE_TTL = 2 * 60 * 60 * 1000; // 2 hours — a drive without ferries only shifts with traffic
+const FERRY_CACHE_TTL = 30 * 60 * 1000;         // 30 min — a crossing includes the wait for the next sailing
+const STALE_CACHE_TTL = 24 * 60 * 60 * 1000; // over the soft request budget, reuse results up to a day old
+const MAX_CACHE_ENTRIES = 500;      // least recently used entries are evicted beyond this
+const CACHE_LOAD_TIMEOUT = 2000;    // ms — don't hold up the first lookup on a slow IndexedDB
+const LAST_USED_FLUSH_INTERVAL = 5 * 60 * 1000; // cache hits update lastUsed in memory, persisted this often
 const POSITION_THRESHOLD = 350;     // metres — re-fetch if moved further than this
+const MAX_GEOMETRY_POINTS = 150;    // per route section — enough for a card preview, small enough to persist
+const DEPARTURE_BUCKET_MINUTES = 30; // planned departures share a cache entry per half hour of the day
+const MATRIX_MAX_DESTINATIONS = 100; // HERE Matrix v8 flexible-mode limit per synchronous request
 
-const CACHE_STORAGE_KEY = 'fergetid_dtc_v1';
-const FERRY_ONLY_STORAGE_KEY = 'fergetid_ferry_only_v1';
+const LEGACY_CACHE_STORAGE_KEY = 'fergetid_dtc_v1'; // localStorage cache before IndexedDB, migrated once
 
-// Position-aware cache: endKey → Array<{ startLat, startLng, result, timestamp }>
+// Position-aware cache: endKey → Array<DrivingTimeEntry>, mirrored to IndexedDB
 const drivingTimeCache = new Map();
 // In-flight deduplication: exactKey → Promise
 const pendingDrivingTimePromises = new Map();
-// Ferry stop endpoints known to have no road connection (saves one HERE call per refresh)
-const ferryOnlyEndpoints = new Set();
 
 // ─── Internal helpers ─────────────────────────────────────────────────────────
 
@@ -29,100 +60,281 @@ const _distanceMeters = (a, b) => {
   return R * 2 * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
 };
 
+// Time-of-day bucket for a planned departure; traffic at 07:30 looks alike from day to day
+const getDepartureBucket = (departureTime) => {
+  if (!departureTime) return '';
+  const date = new Date(departureTime);
+  return `|t${Math.floor((date.getHours() * 60 + date.getMinutes()) / DEPARTURE_BUCKET_MINUTES)}`;
+};
+
 const getEndKey = (endCoords, options) =>
-  `${endCoords.lat.toFixed(5)},${endCoords.lng.toFixed(5)}|${options?.roadOnly ? 'road' : 'any'}`;
+  `${endCoords.lat.toFixed(5)},${endCoords.lng.toFixed(5)}|${options?.roadOnly ? 'road' : 'any'}${getDepartureBucket(options?.departureTime)}`;
 
 const getExactKey = (startCoords, endCoords, options) =>
-  `${startCoords.lat.toFixed(5)},${startCoords.lng.toFixed(5)}|${getEndKey(endCoords, options)}`;
+  `${startCoords.lat.toFixed(5)},${startCoords.lng.toFixed(5)}|${getEndKey(endCoords, options)}${options?.returnGeometry ? '|geo' : ''}`;
+
+// ─── Driving time cache ───────────────────────────────────────────────────────
+
+/** @returns {import('./DrivingTimeStore').DrivingTimeEntry} */
+const _createEntry = (endKey, startLat, startLng, result, timestamp, roadOnly) => ({
+  id: `${endKey}@${startLat.toFixed(5)},${startLng.toFixed(5)}`,
+  endKey,
+  startLat,
+  startLng,
+  result,
+  timestamp,
+  lastUsed: timestamp,
+  kind: _classifyResult(result, roadOnly)
+});
+
+// A road-only request that still needed a ferry ages like any other crossing. Without roadOnly
+// only a route known to have no ferry gets the road TTL; when the provider cannot tell, the
+// result may include the wait for a sailing and ages like a crossing.
+const _classifyResult = (result, roadOnly) => {
+  const crossesFerry = result.usesFerry ?? result.geometry?.some(section => section.mode === 'ferry');
+  if (result.hasFerry || crossesFerry) return 'ferry';
+  return roadOnly || crossesFerry === false ? 'road' : 'ferry';
+};
 
-const findCached = (startCoords, endCoords, options) => {
-  const endKey = getEndKey(endCoords, options);
-  const entries = drivingTimeCache.get(endKey);
-  if (!entries?.length) return null;
-  const now = Date.now();
-  const valid = entries.filter(e => now - e.timestamp < CACHE_TTL);
-  if (valid.length !== entries.length) drivingTimeCache.set(endKey, valid);
-  return (
-    valid.find(e =>
-      _distanceMeters(startCoords, { lat: e.startLat, lng: e.startLng }) <= POSITION_THRESHOLD
-    )?.result ?? null
-  );
+const _entryTtl = (entry) => (entry.kind === 'road' ? ROAD_ONLY_CACHE_TTL : FERRY_CACHE_TTL);
+
+// Pending IndexedDB changes, flushed together by _schedulePersist
+const _pendingPuts = new Map();
+const _pendingDeletes = new Set();
+
+// Haversine results are estimates only — they stay in memory and are never persisted
+const _markDirty = (entry) => {
+  if (entry.result.source === 'haversine') return;
+  _pendingDeletes.delete(entry.id);
+  _pendingPuts.set(entry.id, entry);
 };
 
-const storeCached = (startCoords, endCoords, options, result) => {
-  const endKey = getEndKey(endCoords, options);
-  const existing = (drivingTimeCache.get(endKey) ?? []).filter(
-    e => _distanceMeters(startCoords, { lat: e.startLat, lng: e.startLng }) > POSITION_THRESHOLD
+const _markRemoved = (entry) => {
+  _pendingPuts.delete(entry.id);
+  if (entry.result.source !== 'haversine') _pendingDeletes.add(entry.id);
+};
+
+const _setEntries = (endKey, entries) => {
+  if (entries.length) drivingTimeCache.set(endKey, entries);
+  else drivingTimeCache.delete(endKey);
+};
+
+// Keep at most MAX_CACHE_ENTRIES, dropping the least recently used
+const _evictLeastRecentlyUsed = () => {
+  const all = [...drivingTimeCache.values()].flat();
+  if (all.length <= MAX_CACHE_ENTRIES) return;
+  const evicted = new Set(
+    all.sort((a, b) => a.lastUsed - b.lastUsed).slice(0, all.length - MAX_CACHE_ENTRIES)
   );
-  existing.push({ startLat: startCoords.lat, startLng: startCoords.lng, result, timestamp: Date.now() });
-  drivingTimeCache.set(endKey, existing);
-  // Haversine results are estimates only — persist real API results
-  if (result.source !== 'haversine') _schedulePersist();
+  evicted.forEach(_markRemoved);
+  for (const [endKey, entries] of drivingTimeCache) {
+    _setEntries(endKey, entries.filter(e => !evicted.has(e)));
+  }
+};
+
+// Cache hits only move lastUsed in memory; the new values reach IndexedDB on a timer so a
+// refresh full of hits does not rewrite every entry it read
+const _touched = new Set();
+let _lastUsedTimer = null;
+const _touch = (entry, now) => {
+  entry.lastUsed = now;
+  if (entry.result.source === 'haversine') return;
+  _touched.add(entry);
+  if (_lastUsedTimer) return;
+  _lastUsedTimer = setTimeout(() => {
+    _lastUsedTimer = null;
+    const live = new Set([...drivingTimeCache.values()].flat());
+    _touched.forEach(entry => {
+      if (live.has(entry)) _markDirty(entry);
+    });
+    _touched.clear();
+    _schedulePersist();
+  }, LAST_USED_FLUSH_INTERVAL);
 };
 
-// Debounced write so rapid bursts (8+ stops computed at once) cause only one I/O
+// Debounced write so rapid bursts (8+ stops computed at once) cause only one transaction
 let _persistTimer = null;
 const _schedulePersist = () => {
   clearTimeout(_persistTimer);
   _persistTimer = setTimeout(() => {
-    try {
-      const obj = {};
-      for (const [key, entries] of drivingTimeCache) obj[key] = entries;
-      localStorage.setItem(CACHE_STORAGE_KEY, JSON.stringify(obj));
-    } catch (_) {}
+    const puts = [..._pendingPuts.values()];
+    const deletes = [..._pendingDeletes];
+    _pendingPuts.clear();
+    _pendingDeletes.clear();
+    drivingTimeStore.write(puts, deletes);
   }, 500);
 };
 
-const _persistFerryOnly = () => {
-  try {
-    localStorage.setItem(FERRY_ONLY_STORAGE_KEY, JSON.stringify([...ferryOnlyEndpoints]));
-  } catch (_) {}
+const findCached = (startCoords, endCoords, options, allowStale = false) => {
+  const endKey = getEndKey(endCoords, options);
+  const entries = drivingTimeCache.get(endKey);
+  if (!entries?.length) return null;
+  const now = Date.now();
+  const kept = entries.filter(e => now - e.timestamp < STALE_CACHE_TTL);
+  if (kept.length !== entries.length) {
+    entries.filter(e => !kept.includes(e)).forEach(_markRemoved);
+    _setEntries(endKey, kept);
+    _schedulePersist();
+  }
+  const hit = kept.find(e =>
+    now - e.timestamp < (allowStale ? STALE_CACHE_TTL : _entryTtl(e)) &&
+    // Stale lookups only reuse real API results, never an old haversine guess
+    (!allowStale || e.result.source !== 'haversine') &&
+    _distanceMeters(startCoords, { lat: e.startLat, lng: e.startLng }) <= POSITION_THRESHOLD &&
+    (!options?.returnGeometry || e.result.geometry)
+  );
+  if (!hit) return null;
+  _touch(hit, now);
+  return hit.result;
 };
 
-// ─── Load persisted data on module init ──────────────────────────────────────
-(() => {
+const storeCached = (startCoords, endCoords, options, result) => {
+  const endKey = getEndKey(endCoords, options);
+  const entries = drivingTimeCache.get(endKey) ?? [];
+  const kept = entries.filter(
+    e => _distanceMeters(startCoords, { lat: e.startLat, lng: e.startLng }) > POSITION_THRESHOLD
+  );
+  entries.filter(e => !kept.includes(e)).forEach(_markRemoved);
+  const entry = _createEntry(endKey, startCoords.lat, startCoords.lng, result, Date.now(), !!options?.roadOnly);
+  kept.push(entry);
+  drivingTimeCache.set(endKey, kept);
+  _markDirty(entry);
+  _evictLeastRecentlyUsed();
+  _schedulePersist();
+};
+
+// Merge persisted entries into memory; anything computed before loading finished wins
+const _loadPersistedCache = async () => {
+  const now = Date.now();
+  const loaded = await drivingTimeStore.getAll();
+
+  // One-time move of the old localStorage cache into IndexedDB
   try {
-    const now = Date.now();
-    const raw = localStorage.getItem(CACHE_STORAGE_KEY);
+    const raw = localStorage.getItem(LEGACY_CACHE_STORAGE_KEY);
     if (raw) {
-      for (const [key, entries] of Object.entries(JSON.parse(raw))) {
-        const valid = entries.filter(e => now - e.timestamp < CACHE_TTL);
-        if (valid.length) drivingTimeCache.set(key, valid);
+      for (const [endKey, entries] of Object.entries(JSON.parse(raw))) {
+        const roadOnly = endKey.split('|')[1] === 'road';
+        entries.forEach(e => {
+          const entry = _createEntry(endKey, e.startLat, e.startLng, e.result, e.timestamp, roadOnly);
+          loaded.push(entry);
+          _markDirty(entry);
+        });
       }
+      localStorage.removeItem(LEGACY_CACHE_STORAGE_KEY);
     }
   } catch (_) {}
-  try {
-    JSON.parse(localStorage.getItem(FERRY_ONLY_STORAGE_KEY) || '[]').forEach(k =>
-      ferryOnlyEndpoints.add(k)
-    );
-  } catch (_) {}
-})();
-
-// ─── Shared fetch utility ─────────────────────────────────────────────────────
 
-const fetchWithTimeout = async (url, options = {}, timeoutMs = 10000) => {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeoutMs);
-  try {
-    const response = await fetch(url, { ...options, signal: controller.signal });
-    return response;
-  } finally {
-    clearTimeout(id);
+  for (const entry of loaded) {
+    if (now - entry.timestamp >= STALE_CACHE_TTL) {
+      _markRemoved(entry);
+      continue;
+    }
+    const entries = drivingTimeCache.get(entry.endKey) ?? [];
+    if (!entries.some(e => e.id === entry.id)) {
+      entries.push(entry);
+      drivingTimeCache.set(entry.endKey, entries);
+    }
   }
+  _evictLeastRecentlyUsed();
+  if (_pendingPuts.size || _pendingDeletes.size) _schedulePersist();
+};
+
+// Lookups wait for the persisted cache, but never longer than CACHE_LOAD_TIMEOUT
+const cacheReady = Promise.race([
+  _loadPersistedCache().catch(error => console.warn('Failed to load driving time cache:', error)),
+  new Promise(resolve => setTimeout(resolve, CACHE_LOAD_TIMEOUT))
+]);
+
+/**
+ * Summary of the driving-time cache for the diagnostics screen
+ * @returns {{ entries: number, maxEntries: number, road: number, ferry: number, estimates: number, oldest: number|null }}
+ *   road/ferry count entries by TTL class, estimates counts in-memory haversine guesses, oldest is epoch ms
+ */
+export const getDrivingTimeCacheStats = () => {
+  const all = [...drivingTimeCache.values()].flat();
+  return {
+    entries: all.length,
+    maxEntries: MAX_CACHE_ENTRIES,
+    road: all.filter(e => e.kind === 'road').length,
+    ferry: all.filter(e => e.kind === 'ferry').length,
+    estimates: all.filter(e => e.result.source === 'haversine').length,
+    oldest: all.length ? Math.min(...all.map(e => e.timestamp)) : null
+  };
+};
+
+/**
+ * Forget every cached driving time, in memory and in IndexedDB
+ */
+export const clearDrivingTimeCache = async () => {
+  clearTimeout(_persistTimer);
+  clearTimeout(_lastUsedTimer);
+  _lastUsedTimer = null;
+  _touched.clear();
+  _pendingPuts.clear();
+  _pendingDeletes.clear();
+  drivingTimeCache.clear();
+  await drivingTimeStore.clear();
 };
 
-// Function to check if route description contains ferry references
-const checkRouteForFerries = (routeDescription) => {
-  if (!routeDescription) return false;
+// Decode every section of a HERE route so ferry crossings stay distinguishable in the preview
+const extractHereGeometry = (route) =>
+  (route.sections || [])
+    .filter(section => section.polyline)
+    .map(section => ({
+      mode: section.transport?.mode === 'ferry' ? 'ferry' : 'car',
+      points: decodeFlexiblePolyline(section.polyline)
+    }));
+
+// Every provider's geometry is thinned the same way before it is cached
+const simplifyGeometry = (result) => (
+  result.geometry
+    ? { ...result, geometry: result.geometry.map(section => ({ ...section, points: simplifyPoints(section.points, MAX_GEOMETRY_POINTS) })) }
+    : result
+);
+
+// ─── Routing providers ────────────────────────────────────────────────────────
+
+/** @type {Map<string, RoutingProvider>} */
+const routingProviders = new Map();
+
+/**
+ * Make a provider available to calculateDrivingTime; it is used once its id is in the configured order
+ * @param {RoutingProvider} provider
+ */
+export const registerRoutingProvider = (provider) => {
+  routingProviders.set(provider.id, provider);
+};
 
-  const ferryKeywords = [
-    'ferry', 'ferge', 'ferje', 'ferry crossing', 'fergeoverfart',
-    'ferry terminal', 'fergekai', 'ferjekai', 'ferry route',
-    'this route includes a ferry', 'ferry service', 'fergeforbindelse'
-  ];
+/** @returns {RoutingProvider[]} Configured providers in the order set by config.ROUTING_CONFIG */
+export const getActiveRoutingProviders = () =>
+  config.ROUTING_CONFIG.getProviderOrder()
+    .map(id => routingProviders.get(id))
+    .filter(provider => provider?.isConfigured());
+
+// ─── Request budget ───────────────────────────────────────────────────────────
+
+// Active providers still within the budget; over the soft limit only essential (user-initiated)
+// lookups get through. Skipped ones are counted for diagnostics
+const getAffordableProviders = (essential = false) =>
+  getActiveRoutingProviders().filter(provider => {
+    if (requestBudget.allows(provider.id, { essential })) return true;
+    requestBudget.recordBlocked(provider.id);
+    return false;
+  });
+
+// Fresh cache hit, or – once the budget that would pay for a new lookup is over its soft limit –
+// a result up to a day old. That budget is the preferred provider's unless one is given.
+const findCachedWithinBudget = (startCoords, endCoords, options, budget = getActiveRoutingProviders()[0]?.id) => {
+  const fresh = findCached(startCoords, endCoords, options);
+  if (fresh) return fresh;
+  if (!budget || requestBudget.getState(budget) === 'ok') return null;
+  return findCached(startCoords, endCoords, options, true);
+};
 
-  const lowerDescription = routeDescription.toLowerCase();
-  return ferryKeywords.some(keyword => lowerDescription.includes(keyword));
+// Every paid API call goes through here so it counts against the daily budget
+const budgetedFetch = (provider, url, options, timeoutMs, cost = 1) => {
+  requestBudget.record(provider, cost);
+  return fetchWithTimeout(url, options, timeoutMs);
 };
 
 // Function to enable ferry checking (for testing purposes)
@@ -135,63 +347,25 @@ export const disableFerryChecking = () => {
   return false;
 };
 
-// Function to get detailed route description from Google Maps
-const getRouteDescription = async (startCoords, endCoords, options = {}) => {
-  const apiKey = config.GOOGLE_MAPS_CONFIG.getApiKey();
-  if (!apiKey) return null;
-
-  try {
-    // Use Google Maps Directions API v1 to get detailed route description
-    const url = config.GOOGLE_MAPS_CONFIG.getDirectionsUrl(
-      startCoords.lat,
-      startCoords.lng,
-      endCoords.lat,
-      endCoords.lng,
-      options
-    );
-
-    if (!url) return null;
-
-    const response = await fetchWithTimeout(url, { method: 'GET' }, 8000);
-    if (!response.ok) return null;
-
-    const data = await response.json();
-    if (!data.routes || data.routes.length === 0) return null;
-
-    const route = data.routes[0];
-    const legs = route.legs || [];
-
-    // Combine all step descriptions
-    const stepDescriptions = legs.flatMap(leg =>
-      (leg.steps || []).map(step => step.html_instructions || step.maneuver?.instruction || '')
-    );
-
-    // Also include route warnings and summary
-    const warnings = route.warnings || [];
-    const summary = route.summary || '';
-
-    const fullDescription = [
-      summary,
-      ...warnings,
-      ...stepDescriptions
-    ].join(' ');
-
-    return fullDescription;
-  } catch (error) {
-    // In development, don't log CORS errors as they're expected
-    if (import.meta.env.DEV && error.message.includes('CORS')) {
-      return null; // Silently fail in development
-    }
-    console.error('Error fetching route description:', error);
-    return null;
-  }
-};
-
 // ─── Public API ───────────────────────────────────────────────────────────────
 
+/**
+ * Driving time between two points, from the first configured provider that answers
+ * @param {{lat: number, lng: number}} startCoords
+ * @param {{lat: number, lng: number}} endCoords
+ * @param {Object} [options]
+ * @param {boolean} [options.roadOnly] - Avoid ferries; hasFerry is set when that is impossible
+ * @param {boolean} [options.returnGeometry] - Include the route shape for previews
+ * @param {Date|string|number} [options.departureTime] - Planned start; omitted means now.
+ *   Results are cached per time-of-day bucket.
+ * @param {boolean} [options.essential] - The user asked for this lookup; allowed over the soft daily
+ *   budget, where background refreshes get a stale cache hit or a haversine estimate instead
+ * @returns {Promise<RouteResult>}
+ */
 export const calculateDrivingTime = async (startCoords, endCoords, options = {}) => {
   // 1. Position-aware cache lookup (hit if moved <350m from a cached position)
-  const cached = findCached(startCoords, endCoords, options);
+  await cacheReady;
+  const cached = findCachedWithinBudget(startCoords, endCoords, options);
   if (cached) return cached;
 
   // 2. De-duplicate identical in-flight requests
@@ -202,37 +376,30 @@ export const calculateDrivingTime = async (startCoords, endCoords, options = {})
 
   const promise = (async () => {
     try {
-      // First try: HERE Routing API v8 (better ferry exclusion)
-      if (config.HERE_CONFIG.isConfigured()) {
+      const knownFerryOnly = ferryOnlyRegistry.has(endCoords, { origin: startCoords });
+      const providerOptions = {
+        ...options,
+        departureTime: options.departureTime ? new Date(options.departureTime) : undefined,
+        knownFerryOnly
+      };
+
+      // Providers in configured order (default HERE → Google → self-hosted)
+      for (const provider of getAffordableProviders(options.essential)) {
         try {
-          const hereResult = await calculateDrivingTimeWithHERE(startCoords, endCoords, options);
+          const result = simplifyGeometry(await provider.route(startCoords, endCoords, providerOptions));
           // Remember ferry-only stops so the double-call is skipped next time
-          if (hereResult.hasFerry && options.roadOnly) {
-            const ferryEndKey = `${endCoords.lat.toFixed(5)},${endCoords.lng.toFixed(5)}`;
-            if (!ferryOnlyEndpoints.has(ferryEndKey)) {
-              ferryOnlyEndpoints.add(ferryEndKey);
-              _persistFerryOnly();
-            }
+          if (result.hasFerry && options.roadOnly && !knownFerryOnly) {
+            ferryOnlyRegistry.learn(endCoords, { reason: 'routeHadFerry', source: result.source });
           }
-          storeCached(startCoords, endCoords, options, hereResult);
-          return hereResult;
-        } catch (hereError) {
-          console.warn('HERE Routing API failed, falling back to Google Maps:', hereError);
+          storeCached(startCoords, endCoords, options, result);
+          return result;
+        } catch (providerError) {
+          console.warn(`Routing provider ${provider.id} failed, trying next:`, providerError);
         }
       }
 
-      // Second try: Google Maps Routes API v2 (fallback)
-      if (config.GOOGLE_MAPS_CONFIG.isConfigured()) {
-        try {
-          const googleResult = await calculateDrivingTimeWithGoogle(startCoords, endCoords, options);
-          storeCached(startCoords, endCoords, options, googleResult);
-          return googleResult;
-        } catch (googleError) {
-          console.warn('Google Maps API failed, using haversine fallback:', googleError);
-        }
-      }
-
-      // Final fallback: simple haversine estimate (not persisted to localStorage)
+      // Final fallback (also when every provider is over budget): simple haversine estimate,
+      // kept in memory only
       const fallback = calculateHaversineDistance(startCoords, endCoords);
       const result = { ...fallback, hasFerry: false };
       storeCached(startCoords, endCoords, options, result);
@@ -256,19 +423,148 @@ export const calculateDrivingTime = async (startCoords, endCoords, options = {})
 };
 
 
+/**
+ * Driving times from one origin to many destinations, for a GPS refresh.
+ *
+ * Uses HERE Matrix Routing v8 so the whole list costs one request (two when some stops can
+ * only be reached by ferry), with the same position-aware cache as calculateDrivingTime.
+ * Destinations the matrix cannot answer fall back to calculateDrivingTime one by one. For
+ * roadOnly those are the ones the ferry-avoiding matrix found no road to; the single route
+ * shows whether a ferry is needed and learns the stop as ferry-only.
+ * @param {{lat: number, lng: number}} origin
+ * @param {Array<{lat: number, lng: number}>} destinations
+ * @param {Object} [options] - roadOnly, departureTime and essential as for calculateDrivingTime
+ * @returns {Promise<RouteResult[]>} In the same order as destinations
+ */
+export const calculateDrivingTimesBatch = async (origin, destinations, options = {}) => {
+  await cacheReady;
+  const hereActive = getActiveRoutingProviders().some(provider => provider.id === 'here');
+  const budget = hereActive && !options.returnGeometry ? 'hereMatrix' : undefined;
+  const results = destinations.map(destination => findCachedWithinBudget(origin, destination, options, budget));
+  const missing = results.flatMap((result, index) => (result ? [] : [index]));
+  if (missing.length === 0) return results;
+
+  const matrixAllowed = hereActive && requestBudget.allows('hereMatrix', { essential: options.essential });
+  if (hereActive && !matrixAllowed) requestBudget.recordBlocked('hereMatrix');
+  if (matrixAllowed && !options.returnGeometry) {
+    try {
+      const matrixResults = await calculateDrivingTimesWithHereMatrix(
+        origin,
+        missing.map(index => destinations[index]),
+        options
+      );
+      matrixResults.forEach((result, i) => {
+        if (!result) return;
+        const index = missing[i];
+        results[index] = result;
+        storeCached(origin, destinations[index], options, result);
+      });
+    } catch (matrixError) {
+      console.warn('HERE Matrix Routing failed, routing destinations one by one:', matrixError);
+    }
+  }
+
+  // Whatever the matrix could not answer goes through the normal provider chain
+  await Promise.all(results.map(async (result, index) => {
+    if (!result) results[index] = await calculateDrivingTime(origin, destinations[index], options);
+  }));
+  return results;
+};
+
+// One synchronous Matrix Routing v8 request; entries that could not be computed are null
+const fetchHereMatrix = async (origin, destinations, options) => {
+  const url = config.HERE_CONFIG.getMatrixUrl();
+  if (!url) throw new Error('HERE Matrix URL missing (no API key)');
+
+  const results = [];
+  for (let offset = 0; offset < destinations.length; offset += MATRIX_MAX_DESTINATIONS) {
+    const chunk = destinations.slice(offset, offset + MATRIX_MAX_DESTINATIONS);
+    // Matrix elements have their own budget; they would use up the single-route one in minutes
+    const response = await budgetedFetch('hereMatrix', url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        origins: [{ lat: origin.lat, lng: origin.lng }],
+        destinations: chunk.map(destination => ({ lat: destination.lat, lng: destination.lng })),
+        regionDefinition: { type: 'autoCircle' },
+        transportMode: 'car',
+        routingMode: 'fast',
+        matrixAttributes: ['travelTimes', 'distances'],
+        ...(options.avoidFerry ? { avoid: { features: ['ferry'] } } : {}),
+        ...(options.departureTime ? { departureTime: options.departureTime.toISOString() } : {})
+      })
+    }, 15000, chunk.length);
+    if (!response.ok) throw new Error(`HERE Matrix Routing failed: ${response.status}`);
+
+    const { matrix } = await response.json();
+    if (!matrix?.travelTimes) throw new Error('No matrix in HERE response');
+    chunk.forEach((_, i) => {
+      const failed = matrix.errorCodes?.[i] || !matrix.distances?.[i];
+      results.push(failed ? null : {
+        time: Math.max(1, Math.round(matrix.travelTimes[i] / 60)),
+        distance: matrix.distances[i],
+        source: 'here_matrix_v8'
+      });
+    });
+  }
+  return results;
+};
+
+// HERE Matrix Routing v8: a ferry-avoiding matrix for road-only lookups, and a ferry-allowed one for
+// stops already known to be ferry-only. Road-only elements without a road route are left null.
+const calculateDrivingTimesWithHereMatrix = async (origin, destinations, options = {}) => {
+  const departureTime = options.departureTime ? new Date(options.departureTime) : undefined;
+  const results = new Array(destinations.length).fill(null);
+
+  // Known ferry-only stops skip the road-only matrix, like the single-route path
+  const roadIndexes = [];
+  const ferryIndexes = [];
+  destinations.forEach((destination, index) => {
+    if (options.roadOnly && ferryOnlyRegistry.has(destination, { origin })) {
+      ferryIndexes.push(index);
+    } else {
+      roadIndexes.push(index);
+    }
+  });
+
+  if (roadIndexes.length > 0) {
+    const roadResults = await fetchHereMatrix(
+      origin,
+      roadIndexes.map(index => destinations[index]),
+      { avoidFerry: options.roadOnly, departureTime }
+    );
+    // No road connection: left to calculateDrivingTime, whose route sections show the ferry
+    roadResults.forEach((result, i) => {
+      if (result) results[roadIndexes[i]] = { ...result, hasFerry: false };
+    });
+  }
+
+  if (options.roadOnly && ferryIndexes.length > 0) {
+    const ferryResults = await fetchHereMatrix(
+      origin,
+      ferryIndexes.map(index => destinations[index]),
+      { avoidFerry: false, departureTime }
+    );
+    ferryResults.forEach((result, i) => {
+      if (result) results[ferryIndexes[i]] = { ...result, hasFerry: true };
+    });
+  }
+
+  return results;
+};
+
 // HERE Routing API v8 implementation
 const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}) => {
   // If this stop is already known to be ferry-only, skip the road-only call and
   // go straight to unrestricted routing — saves one HERE API call per refresh.
-  const ferryEndKey = `${endCoords.lat.toFixed(5)},${endCoords.lng.toFixed(5)}`;
-  if (options.roadOnly && ferryOnlyEndpoints.has(ferryEndKey)) {
+  if (options.roadOnly && options.knownFerryOnly) {
     const urlNoAvoid = config.HERE_CONFIG.getRoutingUrl(
       startCoords.lat, startCoords.lng,
       endCoords.lat, endCoords.lng,
       { ...options, roadOnly: false }
     );
     if (!urlNoAvoid) throw new Error('HERE Routing URL missing (no API key)');
-    const response = await fetchWithTimeout(urlNoAvoid, { method: 'GET' }, 10000);
+    const response = await budgetedFetch('here', urlNoAvoid, { method: 'GET' }, 10000);
     if (!response.ok) throw new Error(`HERE Routing API failed: ${response.status}`);
     const data = await response.json();
     if (!data.routes?.length) throw new Error('No routes found in HERE response');
@@ -280,6 +576,8 @@ const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}
       distance: summary.length,
       source: 'here_routing_v8',
       hasFerry: true,
+      usesFerry: true,
+      ...(options.returnGeometry ? { geometry: extractHereGeometry(data.routes[0]) } : {})
     };
   }
 
@@ -293,7 +591,7 @@ const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}
 
   if (!url) throw new Error('HERE Routing URL missing (no API key)');
 
-  const response = await fetchWithTimeout(url, { method: 'GET' }, 10000);
+  const response = await budgetedFetch('here', url, { method: 'GET' }, 10000);
   if (!response.ok) throw new Error(`HERE Routing API failed: ${response.status}`);
 
   const data = await response.json();
@@ -323,7 +621,7 @@ const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}
           endCoords.lat, endCoords.lng,
           { ...options, roadOnly: false }
         );
-        const retryResponse = await fetchWithTimeout(urlNoAvoid, { method: 'GET' }, 8000);
+        const retryResponse = await budgetedFetch('here', urlNoAvoid, { method: 'GET' }, 8000);
         if (retryResponse.ok) {
           const retryData = await retryResponse.json();
           const retryRoute = retryData.routes?.[0];
@@ -339,7 +637,9 @@ const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}
                   time: Math.max(1, Math.round((retrySummary.duration || 0) / 60)),
                   distance: retrySummary.length,
                   source: 'here_routing_v8',
-                  hasFerry: false
+                  hasFerry: false,
+                  usesFerry: false,
+                  ...(options.returnGeometry ? { geometry: extractHereGeometry(retryRoute) } : {})
                 };
               }
             }
@@ -373,16 +673,19 @@ const calculateDrivingTimeWithHERE = async (startCoords, endCoords, options = {}
     time: durationMinutes,
     distance: distanceMeters,
     source: 'here_routing_v8',
-    hasFerry: hasFerry
+    hasFerry: hasFerry,
+    usesFerry: route.sections?.some(section => section.transport?.mode === 'ferry') ?? false,
+    ...(options.returnGeometry ? { geometry: extractHereGeometry(route) } : {})
   };
 };
 
 // Google Maps Routes API v2 implementation (fallback)
 const calculateDrivingTimeWithGoogle = async (startCoords, endCoords, options = {}) => {
   const apiKey = config.GOOGLE_MAPS_CONFIG.getApiKey();
-  if (!apiKey) throw new Error('Google Maps API key missing');
+  const proxied = config.PROXY_CONFIG.isEnabled();
+  if (!apiKey && !proxied) throw new Error('Google Maps API key missing');
 
-  const url = 'https://routes.googleapis.com/directions/v2:computeRoutes';
+  const url = config.GOOGLE_MAPS_CONFIG.getRoutesUrl();
 
   const requestBody = {
     origin: {
@@ -403,6 +706,8 @@ const calculateDrivingTimeWithGoogle = async (startCoords, endCoords, options =
     },
     travelMode: 'DRIVE',
     routingPreference: 'TRAFFIC_AWARE_OPTIMAL',
+    // Google rejects departure times in the past; those fall back to the default (now)
+    ...(options.departureTime > new Date() ? { departureTime: options.departureTime.toISOString() } : {}),
     computeAlternativeRoutes: false,
     routeModifiers: {
       avoidTolls: false,
@@ -418,11 +723,11 @@ const calculateDrivingTimeWithGoogle = async (startCoords, endCoords, options =
     ? 'routes.duration,routes.distanceMeters,routes.warnings'
     : 'routes.duration,routes.distanceMeters';
 
-  const response = await fetchWithTimeout(url, {
+  const response = await budgetedFetch('google', url, {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'X-Goog-Api-Key': apiKey,
+      ...(proxied ? {} : { 'X-Goog-Api-Key': apiKey }),
       'X-Goog-FieldMask': fieldMask
     },
     body: JSON.stringify(requestBody)
@@ -499,3 +804,19 @@ const calculateHaversineDistance = (startCoords, endCoords) => {
   const time = Math.max(1, Math.round((distance / 1000) / 50 * 60)); // 50 km/h default
   return { time, distance, source: 'haversine', hasFerry: false }; // Can't determine for haversine
 };
+
+// ─── Built-in providers ───────────────────────────────────────────────────────
+
+registerRoutingProvider({
+  id: 'here',
+  isConfigured: () => config.HERE_CONFIG.isConfigured(),
+  route: calculateDrivingTimeWithHERE
+});
+
+registerRoutingProvider({
+  id: 'google',
+  isConfigured: () => config.GOOGLE_MAPS_CONFIG.isConfigured(),
+  route: calculateDrivingTimeWithGoogle
+});
+
+registerRoutingProvider(selfHostedRoutingProvider);
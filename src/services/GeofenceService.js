@@ -0,0 +1,192 @@
+// Geofence Service - Notices arrival at and departure from ferry quays, fed by the shared location watch
+import { config } from '../config/config';
+import { locationTracker } from './LocationTracker';
+
+const CROSSING_PROGRESS = 0.8;        // share of the distance moved that must be towards the other quay
+const MAX_CROSSING_MS = 3 * 60 * 60 * 1000; // give up waiting for the landing after this long
+
+/**
+ * A ferry stop place to watch
+ * @typedef {Object} Geofence
+ * @property {string} id - NSR StopPlace id
+ * @property {string} name
+ * @property {number} latitude
+ * @property {number} longitude
+ */
+
+/**
+ * @typedef {Object} GeofenceEvent
+ * @property {'arrived'|'departed'|'landed'} type - arrived: in the queue at a quay;
+ *   departed: left the quay, on the ferry when crossingTo is set, otherwise by road;
+ *   landed: reached the quay a crossing was heading for
+ * @property {Geofence} fence
+ * @property {Geofence|null} crossingTo - Quay across the fjord we are heading for (departed only)
+ * @property {import('./LocationTracker').TrackedFix} fix
+ */
+
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const distanceTo = (fence, fix) => distanceMeters(fence.latitude, fence.longitude, fix.latitude, fix.longitude);
+
+class GeofenceService {
+  constructor() {
+    this.fences = [];
+    this.destinations = new Map(); // fence id → Geofence[] across the fjord, for telling a crossing from driving off
+    this.listeners = new Set();
+    this.unsubscribeTracker = null;
+    this.reset();
+  }
+
+  reset() {
+    this.inside = null;      // { fence, since } – the quay we are at
+    this.candidate = null;   // { fence, count } – inside the enter radius, not yet long enough
+    this.exitCount = 0;      // fixes in a row beyond the exit radius of the quay we are at
+    this.crossing = null;    // { from, to, since } – on the ferry
+  }
+
+  /**
+   * Quays to watch. The quay we are at, and the one a crossing is heading for,
+   * stay watched even when they drop out of the list.
+   * @param {Geofence[]} fences
+   */
+  setFences(fences) {
+    this.fences = fences.filter(fence => Number.isFinite(fence.latitude) && Number.isFinite(fence.longitude));
+  }
+
+  /**
+   * Quays on the other side of the line from a fence. Without them every departure counts as driving off.
+   * @param {string} fenceId
+   * @param {Geofence[]} destinations
+   */
+  setDestinations(fenceId, destinations) {
+    this.destinations.set(fenceId, destinations.filter(d => Number.isFinite(d.latitude) && Number.isFinite(d.longitude)));
+  }
+
+  /**
+   * Receive arrival and departure events. Position watching starts with the first listener.
+   * @param {(event: GeofenceEvent) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    if (!this.unsubscribeTracker) {
+      this.unsubscribeTracker = locationTracker.subscribe((fix) => this.handleFix(fix));
+    }
+    return () => {
+      this.listeners.delete(listener);
+      if (this.listeners.size === 0 && this.unsubscribeTracker) {
+        this.unsubscribeTracker();
+        this.unsubscribeTracker = null;
+      }
+    };
+  }
+
+  /**
+   * The quay we are queueing at, if any
+   * @returns {{ fence: Geofence, since: number }|null}
+   */
+  getCurrent() {
+    return this.inside;
+  }
+
+  /**
+   * Check a position against the fences. Called for every tracked fix; the simulation calls it directly.
+   * @param {{ latitude: number, longitude: number, accuracy?: number }} fix
+   */
+  handleFix(fix) {
+    const { ENTER_RADIUS, EXIT_RADIUS, MIN_FIXES_INSIDE, MAX_ACCURACY } = config.GEOFENCE_CONFIG;
+    if ((fix.accuracy ?? 0) > MAX_ACCURACY) return;
+    const now = Date.now();
+
+    if (this.crossing && now - this.crossing.since > MAX_CROSSING_MS) {
+      this.crossing = null;
+    }
+
+    if (this.inside) {
+      if (distanceTo(this.inside.fence, fix) <= EXIT_RADIUS) {
+        this.exitCount = 0;
+        return;
+      }
+      // One stray fix outside must not end the queue; the direction is judged on the fix that confirms it
+      this.exitCount += 1;
+      if (this.exitCount < MIN_FIXES_INSIDE) return;
+      const fence = this.inside.fence;
+      const crossingTo = this.findCrossing(fence, fix);
+      this.inside = null;
+      this.candidate = null;
+      this.exitCount = 0;
+      this.crossing = crossingTo ? { from: fence, to: crossingTo, since: now } : null;
+      this.emit({ type: 'departed', fence, crossingTo, fix });
+      return;
+    }
+
+    const candidates = this.crossing ? [this.crossing.to, ...this.fences] : this.fences;
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const fence of candidates) {
+      const distance = distanceTo(fence, fix);
+      if (distance < nearestDistance) {
+        nearest = fence;
+        nearestDistance = distance;
+      }
+    }
+    if (!nearest || nearestDistance > ENTER_RADIUS) {
+      this.candidate = null;
+      return;
+    }
+
+    const count = this.candidate?.fence.id === nearest.id ? this.candidate.count + 1 : 1;
+    this.candidate = { fence: nearest, count };
+    if (count < MIN_FIXES_INSIDE) return;
+
+    this.candidate = null;
+    this.inside = { fence: nearest, since: now };
+    this.exitCount = 0;
+    if (this.crossing) {
+      // Driving off the ferry is not queueing for it; leaving this quay again is an ordinary departure
+      const landed = this.crossing.to.id === nearest.id;
+      this.crossing = null;
+      if (landed) {
+        this.emit({ type: 'landed', fence: nearest, crossingTo: null, fix });
+        return;
+      }
+    }
+    this.emit({ type: 'arrived', fence: nearest, crossingTo: null, fix });
+  }
+
+  /**
+   * The quay across the fjord we left towards, if our movement since the quay points straight at one
+   * @param {Geofence} fence - Quay we left
+   * @param {{ latitude: number, longitude: number }} fix - Position that confirmed we left it
+   * @returns {Geofence|null}
+   */
+  findCrossing(fence, fix) {
+    const moved = distanceTo(fence, fix);
+    if (moved <= 0) return null;
+    let best = null;
+    let bestProgress = CROSSING_PROGRESS;
+    for (const destination of this.destinations.get(fence.id) || []) {
+      const progress = (distanceTo(destination, fence) - distanceTo(destination, fix)) / moved;
+      if (progress >= bestProgress) {
+        best = destination;
+        bestProgress = progress;
+      }
+    }
+    return best;
+  }
+
+  emit(event) {
+    this.listeners.forEach(listener => listener(event));
+  }
+}
+
+// Export singleton instance
+export const geofenceService = new GeofenceService();
+export default geofenceService;
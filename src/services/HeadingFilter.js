@@ -0,0 +1,235 @@
+// Heading Filter - Kalman filter for position, speed and heading of the car, fed by every GPS fix
+
+const METERS_PER_DEGREE_LAT = 110540;
+const METERS_PER_DEGREE_LNG = 111320;        // at the equator; scaled by cos(latitude)
+const ACCELERATION_NOISE = 2;                // m/s², how quickly a car can change speed or turn
+const DEFAULT_ACCURACY = 15;                 // metres, for fixes that don't report accuracy
+const INITIAL_VELOCITY_SIGMA = 10;           // m/s, nothing known about the motion at the first fix
+const DEVICE_VELOCITY_SIGMA = 1;             // m/s, device speed/heading from Doppler is good while moving
+const MATCHED_HEADING_SIGMA = 15;            // degrees, road direction from route matching
+const MIN_MOVING_SPEED = 1.5;                // m/s; slower than this the heading is not updated
+const MAX_HEADING_SIGMA = 45;                // degrees of uncertainty that count as zero confidence
+const HELD_HALF_LIFE = 120;                  // seconds for a held heading to lose half its confidence
+const RECENTER_DISTANCE = 20000;             // metres from the local origin before it is moved
+
+/**
+ * Filter output
+ * @typedef {Object} HeadingEstimate
+ * @property {number|null} latitude
+ * @property {number|null} longitude
+ * @property {number} speed - m/s
+ * @property {number|null} heading - Degrees 0-360 (0 = north); held while stopped
+ * @property {number} confidence - 0-1, how much the heading can be trusted
+ */
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+/**
+ * Constant-velocity Kalman filter in a local east/north plane (metres).
+ * State is [east, north, eastVelocity, northVelocity]; position fixes and the device's
+ * own speed/heading are measurements. A stopped car keeps its last heading, with
+ * confidence fading over time, so a wait at a junction does not flip the direction.
+ */
+export class HeadingFilter {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.origin = null;        // { lat, lng } of the local plane
+    this.state = null;         // [x, y, vx, vy]
+    this.covariance = null;    // 4x4
+    this.timestamp = null;
+    this.heldHeading = null;   // last heading we trusted
+    this.heldConfidence = 0;
+    this.heldAt = null;
+  }
+
+  /**
+   * Add a GPS fix
+   * @param {Object} fix
+   * @param {number} fix.latitude
+   * @param {number} fix.longitude
+   * @param {number} [fix.accuracy] - Metres
+   * @param {number|null} [fix.speed] - Device-reported speed in m/s
+   * @param {number|null} [fix.heading] - Device-reported heading in degrees
+   * @param {number} [fix.timestamp] - Epoch ms
+   * @returns {HeadingEstimate}
+   */
+  update({ latitude, longitude, accuracy, speed = null, heading = null, timestamp = Date.now() }) {
+    const positionVariance = (accuracy || DEFAULT_ACCURACY) ** 2;
+
+    if (!this.state) {
+      this.origin = { lat: latitude, lng: longitude };
+      this.state = [0, 0, 0, 0];
+      const velocityVariance = INITIAL_VELOCITY_SIGMA ** 2;
+      this.covariance = [
+        [positionVariance, 0, 0, 0],
+        [0, positionVariance, 0, 0],
+        [0, 0, velocityVariance, 0],
+        [0, 0, 0, velocityVariance]
+      ];
+      this.timestamp = timestamp;
+    } else {
+      this.predict((timestamp - this.timestamp) / 1000);
+      this.timestamp = Math.max(this.timestamp, timestamp);
+      const [x, y] = this.toLocal(latitude, longitude);
+      this.correct([0, 1], [x, y], positionVariance);
+    }
+
+    // The device's Doppler speed and heading are far better than positions while moving
+    if (speed !== null && heading !== null && speed >= MIN_MOVING_SPEED) {
+      const radians = toRadians(heading);
+      this.correct([2, 3], [speed * Math.sin(radians), speed * Math.cos(radians)], DEVICE_VELOCITY_SIGMA ** 2);
+    }
+
+    this.recenter();
+    return this.getEstimate(timestamp);
+  }
+
+  /**
+   * Add a road direction from route matching as a heading measurement
+   * @param {number} heading - Degrees
+   * @returns {HeadingEstimate}
+   */
+  updateHeading(heading) {
+    if (!this.state) return this.getEstimate();
+    const speed = Math.hypot(this.state[2], this.state[3]);
+    // A heading says nothing about the direction of a car that is standing still
+    if (speed < MIN_MOVING_SPEED) return this.getEstimate();
+
+    const radians = toRadians(heading);
+    const sigma = Math.max(DEVICE_VELOCITY_SIGMA, speed * toRadians(MATCHED_HEADING_SIGMA));
+    this.correct([2, 3], [speed * Math.sin(radians), speed * Math.cos(radians)], sigma ** 2);
+    return this.getEstimate();
+  }
+
+  /**
+   * Current estimate without adding a measurement
+   * @param {number} [now] - Epoch ms, for fading a held heading
+   * @returns {HeadingEstimate}
+   */
+  getEstimate(now = Date.now()) {
+    if (!this.state) {
+      return { latitude: null, longitude: null, speed: 0, heading: null, confidence: 0 };
+    }
+
+    const [x, y, vx, vy] = this.state;
+    const speed = Math.hypot(vx, vy);
+    const latitude = this.origin.lat + y / METERS_PER_DEGREE_LAT;
+    const longitude = this.origin.lng + x / (METERS_PER_DEGREE_LNG * Math.cos(toRadians(this.origin.lat)));
+
+    // Fresh heading from the velocity, unless the car is standing still
+    let fresh = null;
+    if (speed >= MIN_MOVING_SPEED) {
+      const headingRadians = Math.atan2(vx, vy);
+      // Velocity uncertainty across the direction of travel, as an angle
+      const across = [Math.cos(headingRadians), -Math.sin(headingRadians)];
+      const p = this.covariance;
+      const acrossVariance =
+        across[0] * (p[2][2] * across[0] + p[2][3] * across[1]) +
+        across[1] * (p[3][2] * across[0] + p[3][3] * across[1]);
+      const headingSigma = toDegrees(Math.atan2(Math.sqrt(Math.max(acrossVariance, 0)), speed));
+      fresh = {
+        heading: (toDegrees(headingRadians) + 360) % 360,
+        confidence: Math.min(1, Math.max(0, 1 - headingSigma / MAX_HEADING_SIGMA))
+      };
+    }
+
+    // GPS noise around a stopped car looks like slow movement in random directions.
+    // Keep the last trusted heading, fading over time, until a fresh one is more certain.
+    const heldSeconds = this.heldAt === null ? 0 : Math.max(0, (now - this.heldAt) / 1000);
+    const heldConfidence = this.heldConfidence * 0.5 ** (heldSeconds / HELD_HALF_LIFE);
+    if (fresh && fresh.confidence >= heldConfidence) {
+      this.heldHeading = fresh.heading;
+      this.heldConfidence = fresh.confidence;
+      this.heldAt = now;
+      return { latitude, longitude, speed, ...fresh };
+    }
+    return { latitude, longitude, speed, heading: this.heldHeading, confidence: heldConfidence };
+  }
+
+  // ─── Kalman steps ──────────────────────────────────────────────────────────
+
+  predict(dt) {
+    if (!(dt > 0)) return;
+    const [x, y, vx, vy] = this.state;
+    this.state = [x + vx * dt, y + vy * dt, vx, vy];
+
+    // P = F P Fᵀ + Q for the constant-velocity model, one axis pair at a time
+    const p = this.covariance;
+    const next = p.map(row => [...row]);
+    for (let i = 0; i < 4; i++) {
+      next[0][i] = p[0][i] + dt * p[2][i];
+      next[1][i] = p[1][i] + dt * p[3][i];
+    }
+    const result = next.map(row => [...row]);
+    for (let i = 0; i < 4; i++) {
+      result[i][0] = next[i][0] + dt * next[i][2];
+      result[i][1] = next[i][1] + dt * next[i][3];
+    }
+
+    const q = ACCELERATION_NOISE ** 2;
+    const dt2 = dt * dt;
+    for (const [pos, vel] of [[0, 2], [1, 3]]) {
+      result[pos][pos] += q * dt2 * dt2 / 4;
+      result[pos][vel] += q * dt2 * dt / 2;
+      result[vel][pos] += q * dt2 * dt / 2;
+      result[vel][vel] += q * dt2;
+    }
+    this.covariance = result;
+  }
+
+  /**
+   * Measurement update for two state components observed directly with equal, independent noise
+   * @param {[number, number]} indices - State components measured
+   * @param {[number, number]} measurement
+   * @param {number} variance - Measurement noise variance for each component
+   */
+  correct(indices, measurement, variance) {
+    const p = this.covariance;
+    const [a, b] = indices;
+
+    // S = H P Hᵀ + R (2x2) and its inverse
+    const s00 = p[a][a] + variance;
+    const s01 = p[a][b];
+    const s10 = p[b][a];
+    const s11 = p[b][b] + variance;
+    const det = s00 * s11 - s01 * s10;
+    if (Math.abs(det) < 1e-9) return;
+    const inv = [[s11 / det, -s01 / det], [-s10 / det, s00 / det]];
+
+    // K = P Hᵀ S⁻¹ (4x2)
+    const gain = p.map(row => [
+      row[a] * inv[0][0] + row[b] * inv[1][0],
+      row[a] * inv[0][1] + row[b] * inv[1][1]
+    ]);
+
+    const innovation = [measurement[0] - this.state[a], measurement[1] - this.state[b]];
+    this.state = this.state.map((value, i) => value + gain[i][0] * innovation[0] + gain[i][1] * innovation[1]);
+
+    // P = P - K H P
+    this.covariance = p.map((row, i) => row.map((value, j) => value - gain[i][0] * p[a][j] - gain[i][1] * p[b][j]));
+  }
+
+  toLocal(latitude, longitude) {
+    return [
+      (longitude - this.origin.lng) * METERS_PER_DEGREE_LNG * Math.cos(toRadians(this.origin.lat)),
+      (latitude - this.origin.lat) * METERS_PER_DEGREE_LAT
+    ];
+  }
+
+  // Keep the flat-earth plane small so the projection error stays negligible
+  recenter() {
+    const [x, y, vx, vy] = this.state;
+    if (Math.hypot(x, y) < RECENTER_DISTANCE) return;
+    this.origin = {
+      lat: this.origin.lat + y / METERS_PER_DEGREE_LAT,
+      lng: this.origin.lng + x / (METERS_PER_DEGREE_LNG * Math.cos(toRadians(this.origin.lat)))
+    };
+    this.state = [0, 0, vx, vy];
+  }
+}
+
+export default HeadingFilter;
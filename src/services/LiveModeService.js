@@ -1,17 +1,19 @@
-// Live Mode Service - Updates GPS position every 15 seconds and calculates travel times
-import { Geolocation } from '@capacitor/geolocation';
+// Live Mode Service - Follows the shared GPS watch and recalculates travel time to one terminal
 import { calculateDrivingTime } from './GeoServices';
-import { Capacitor } from '@capacitor/core';
+import { locationTracker } from './LocationTracker';
+
+const DRIVING_TIME_INTERVAL = 15000; // routing calls cost money; positions arrive far more often
 
 class LiveModeService {
   constructor() {
-    this.watchId = null;
-    this.intervalId = null;
+    this.unsubscribeLocation = null;
     this.callbacks = new Set();
     this.isActive = false;
     this.currentLocation = null;
     this.currentDrivingTimes = {};
     this.currentDistances = {};
+    this.lastCalculation = 0;
+    this.isCalculating = false;
   }
 
   /**
@@ -19,160 +21,85 @@ class LiveModeService {
    * @param {Object} ferryTerminal - Ferry terminal object with id, latitude, longitude
    * @param {Function} onUpdate - Callback called when location/driving time updates
    */
-  async start(ferryTerminal, onUpdate) {
+  start(ferryTerminal, onUpdate) {
     if (this.isActive) {
       this.stop();
     }
 
     this.ferryTerminal = ferryTerminal;
     this.isActive = true;
+    this.lastCalculation = 0;
 
     if (onUpdate) {
       this.callbacks.add(onUpdate);
     }
 
-    // Get initial position immediately
-    await this.updateLocation();
-
-    // Set up interval to update every 15 seconds
-    this.intervalId = setInterval(async () => {
-      await this.updateLocation();
-    }, 15000); // 15 seconds
+    this.unsubscribeLocation = locationTracker.subscribe(
+      fix => this.handleFix(fix),
+      error => this.notify({ drivingTime: null, distance: null, error: error.message })
+    );
   }
 
   /**
-   * Update current location and calculate driving times
+   * New position from the tracker: recalculate driving time at most every 15 seconds
+   * @param {import('./LocationTracker').TrackedFix} fix
    */
-  async updateLocation() {
+  async handleFix(fix) {
     if (!this.isActive || !this.ferryTerminal) {
       return;
     }
 
+    this.currentLocation = { latitude: fix.latitude, longitude: fix.longitude };
+    if (this.isCalculating || Date.now() - this.lastCalculation < DRIVING_TIME_INTERVAL) {
+      return;
+    }
+
+    const ferryTerminal = this.ferryTerminal;
+    this.isCalculating = true;
+    this.lastCalculation = Date.now();
     try {
-      let position;
-
-      if (Capacitor.getPlatform() === 'ios') {
-        // Try Capacitor Geolocation first
-        try {
-          const permissionState = await Geolocation.checkPermissions();
-          if (permissionState.location !== 'granted') {
-            const requestResult = await Geolocation.requestPermissions();
-            if (requestResult.location !== 'granted') {
-              throw new Error('Location permission denied');
-            }
-          }
-
-          position = await Geolocation.getCurrentPosition({
-            enableHighAccuracy: true,
-            timeout: 5000,
-            maximumAge: 15000 // Use cached position if less than 15 seconds old
-          });
-        } catch (capacitorError) {
-          // Fallback to browser geolocation
-          position = await new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-              reject(new Error('GPS timeout'));
-            }, 5000);
-
-            navigator.geolocation.getCurrentPosition(
-              (pos) => {
-                clearTimeout(timeoutId);
-                resolve(pos);
-              },
-              (error) => {
-                clearTimeout(timeoutId);
-                reject(error);
-              },
-              { enableHighAccuracy: true, timeout: 5000, maximumAge: 15000 }
-            );
-          });
-        }
-      } else {
-        // Use browser geolocation
-        position = await new Promise((resolve, reject) => {
-          const timeoutId = setTimeout(() => {
-            reject(new Error('GPS timeout'));
-          }, 5000);
-
-          navigator.geolocation.getCurrentPosition(
-            (pos) => {
-              clearTimeout(timeoutId);
-              resolve(pos);
-            },
-            (error) => {
-              clearTimeout(timeoutId);
-              reject(error);
-            },
-            { enableHighAccuracy: true, timeout: 5000, maximumAge: 15000 }
-          );
-        });
-      }
-
-      const { latitude, longitude } = position.coords;
-      this.currentLocation = { latitude, longitude };
-
-      // Calculate driving time to ferry terminal
-      try {
-        const result = await calculateDrivingTime(
-          { lat: latitude, lng: longitude },
-          { lat: this.ferryTerminal.latitude, lng: this.ferryTerminal.longitude },
-          { roadOnly: true }
-        );
-
-        this.currentDrivingTimes[this.ferryTerminal.id] = result.time;
-        this.currentDistances[this.ferryTerminal.id] = result.distance;
-
-        // Notify all callbacks
-        this.callbacks.forEach(callback => {
-          callback({
-            location: this.currentLocation,
-            drivingTime: result.time,
-            distance: result.distance,
-            ferryTerminal: this.ferryTerminal
-          });
-        });
-      } catch (error) {
-        console.error('Error calculating driving time:', error);
-        // Notify callbacks even if driving time calculation fails
-        this.callbacks.forEach(callback => {
-          callback({
-            location: this.currentLocation,
-            drivingTime: null,
-            distance: null,
-            ferryTerminal: this.ferryTerminal,
-            error: error.message
-          });
-        });
-      }
+      const result = await calculateDrivingTime(
+        { lat: fix.latitude, lng: fix.longitude },
+        { lat: ferryTerminal.latitude, lng: ferryTerminal.longitude },
+        { roadOnly: true }
+      );
+      if (this.ferryTerminal !== ferryTerminal) return; // stopped or switched terminal meanwhile
+
+      this.currentDrivingTimes[ferryTerminal.id] = result.time;
+      this.currentDistances[ferryTerminal.id] = result.distance;
+      this.notify({ drivingTime: result.time, distance: result.distance });
     } catch (error) {
-      console.error('Error updating location in live mode:', error);
-      // Notify callbacks of error
-      this.callbacks.forEach(callback => {
-        callback({
-          location: this.currentLocation,
-          drivingTime: null,
-          distance: null,
-          ferryTerminal: this.ferryTerminal,
-          error: error.message
-        });
-      });
+      console.error('Error calculating driving time:', error);
+      // Notify callbacks even if driving time calculation fails
+      this.notify({ drivingTime: null, distance: null, error: error.message });
+    } finally {
+      this.isCalculating = false;
     }
   }
 
+  /**
+   * Send an update with the current location and terminal to every callback
+   * @param {{ drivingTime: number|null, distance: number|null, error?: string }} update
+   */
+  notify(update) {
+    this.callbacks.forEach(callback => {
+      callback({
+        location: this.currentLocation,
+        ferryTerminal: this.ferryTerminal,
+        ...update
+      });
+    });
+  }
+
   /**
    * Stop live mode tracking
    */
   stop() {
     this.isActive = false;
 
-    if (this.intervalId) {
-      clearInterval(this.intervalId);
-      this.intervalId = null;
-    }
-
-    if (this.watchId !== null && navigator.geolocation) {
-      navigator.geolocation.clearWatch(this.watchId);
-      this.watchId = null;
+    if (this.unsubscribeLocation) {
+      this.unsubscribeLocation();
+      this.unsubscribeLocation = null;
     }
 
     this.callbacks.clear();
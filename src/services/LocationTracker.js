@@ -0,0 +1,255 @@
+// Location Tracker - One continuous GPS watch shared by car mode and live mode
+import { Capacitor } from '@capacitor/core';
+import { Geolocation } from '@capacitor/geolocation';
+import { config } from '../config/config';
+
+const STALE_FIX_MS = 60000;          // accept a poor fix rather than keep a position older than this
+const SMOOTHING_RESET_MS = 30000;    // after a long gap the new fix is taken as is
+const MIN_HEADING_SPEED = 1.5;       // m/s; below this the device heading is mostly noise
+const MIN_HEADING_DISTANCE = 10;     // metres moved before a heading is derived from positions
+const PERMISSION_DENIED = 1;
+const POSITION_TIMEOUT = 3;
+
+/**
+ * Smoothed position from the watch
+ * @typedef {Object} TrackedFix
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {number} rawLatitude - As reported, before jitter smoothing; for estimators that weigh
+ *   each fix by its accuracy and would double-count the smoothing
+ * @property {number} rawLongitude
+ * @property {number} accuracy - Metres, as reported for the latest raw fix
+ * @property {number|null} speed - m/s, from the fix or derived from movement; null when unknown
+ * @property {number|null} heading - Degrees 0-360 (0 = north); null until the device has moved
+ * @property {number|null} deviceSpeed - m/s as reported by the device, null when not reported
+ * @property {number|null} deviceHeading - Degrees as reported by the device, null when not reported
+ * @property {number} timestamp - Epoch ms of the raw fix
+ */
+
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+  const R = 6371000;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * Math.sin(dLng / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const bearingDegrees = (lat1, lng1, lat2, lng2) => {
+  const dLng = (lng2 - lng1) * Math.PI / 180;
+  const lat1Rad = lat1 * Math.PI / 180;
+  const lat2Rad = lat2 * Math.PI / 180;
+  const y = Math.sin(dLng) * Math.cos(lat2Rad);
+  const x = Math.cos(lat1Rad) * Math.sin(lat2Rad) - Math.sin(lat1Rad) * Math.cos(lat2Rad) * Math.cos(dLng);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+};
+
+// The plugins report "unknown" as null, NaN or -1
+const validReading = (value) => (typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : null);
+
+class LocationTracker {
+  constructor() {
+    this.listeners = new Set();
+    this.errorListeners = new Set();
+    this.lastFix = null;      // smoothed
+    this.lastRawFix = null;   // as reported, for speed between fixes
+    this.watch = null;        // Promise<{ native: boolean, id: string|number }|null> while watching
+    this.generation = 0;      // bumped on every stop so late callbacks from an old watch are ignored
+    this.paused = false;
+
+    if (typeof document !== 'undefined') {
+      document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+    }
+  }
+
+  /**
+   * Receive every accepted fix. The watch starts with the first subscriber and stops with the last.
+   * A recent fix is delivered right away.
+   * @param {(fix: TrackedFix) => void} listener
+   * @param {(error: Error) => void} [onError] - Permission denied or position unavailable
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener, onError) {
+    this.listeners.add(listener);
+    if (onError) this.errorListeners.add(onError);
+
+    const recent = this.getRecentFix(STALE_FIX_MS);
+    if (recent) listener(recent);
+    if (!this.watch && !this.paused) this.startWatch();
+
+    return () => {
+      this.listeners.delete(listener);
+      if (onError) this.errorListeners.delete(onError);
+      if (this.listeners.size === 0) this.stopWatch();
+    };
+  }
+
+  /**
+   * Latest smoothed fix, if it is no older than maxAge
+   * @param {number} [maxAge] - Milliseconds
+   * @returns {TrackedFix|null}
+   */
+  getRecentFix(maxAge = STALE_FIX_MS) {
+    if (!this.lastFix || Date.now() - this.lastFix.timestamp > maxAge) return null;
+    return this.lastFix;
+  }
+
+  /**
+   * Whether a watch is running (not stopped, not paused while hidden)
+   * @returns {boolean}
+   */
+  isWatching() {
+    return this.watch !== null;
+  }
+
+  // ─── Watch lifecycle ───────────────────────────────────────────────────────
+
+  startWatch() {
+    const generation = ++this.generation;
+    const options = config.GEOLOCATION_CONFIG.TRACKING_OPTIONS;
+    const onPosition = (position) => {
+      if (generation === this.generation) this.handlePosition(position);
+    };
+    const onError = (error) => {
+      if (generation === this.generation) this.handleError(error);
+    };
+
+    this.watch = (async () => {
+      if (Capacitor.isNativePlatform()) {
+        try {
+          const permission = await Geolocation.checkPermissions();
+          if (permission.location !== 'granted') {
+            const requested = await Geolocation.requestPermissions();
+            if (requested.location !== 'granted') throw new Error('Location permission denied');
+          }
+          const id = await Geolocation.watchPosition(options, (position, error) => {
+            if (error) onError(error);
+            else if (position) onPosition(position);
+          });
+          return { native: true, id };
+        } catch (error) {
+          console.warn('Native position watch failed, using browser geolocation:', error);
+        }
+      }
+      if (!navigator.geolocation) {
+        onError(new Error('Geolocation not supported'));
+        return null;
+      }
+      return { native: false, id: navigator.geolocation.watchPosition(onPosition, onError, options) };
+    })();
+  }
+
+  stopWatch() {
+    this.generation += 1;
+    const watch = this.watch;
+    this.watch = null;
+    // Also covers a stop while the watch is still being set up
+    watch?.then(handle => this.clearHandle(handle));
+  }
+
+  clearHandle(handle) {
+    if (!handle) return;
+    if (handle.native) {
+      Geolocation.clearWatch({ id: handle.id }).catch(() => {});
+    } else {
+      navigator.geolocation.clearWatch(handle.id);
+    }
+  }
+
+  // The OS keeps delivering positions to a hidden page on some platforms; don't spend battery on it
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden') {
+      if (this.watch) {
+        this.paused = true;
+        this.stopWatch();
+      }
+    } else if (this.paused) {
+      this.paused = false;
+      if (this.listeners.size > 0) this.startWatch();
+    }
+  }
+
+  // ─── Fix handling ──────────────────────────────────────────────────────────
+
+  handlePosition(position) {
+    const { latitude, longitude } = position.coords;
+    const raw = {
+      latitude,
+      longitude,
+      accuracy: validReading(position.coords.accuracy) ?? config.GEOLOCATION_CONFIG.MAX_TRACKING_ACCURACY,
+      speed: validReading(position.coords.speed),
+      heading: validReading(position.coords.heading),
+      timestamp: position.timestamp || Date.now()
+    };
+
+    // A poor fix is still better than a position we no longer trust
+    if (raw.accuracy > config.GEOLOCATION_CONFIG.MAX_TRACKING_ACCURACY && this.getRecentFix(STALE_FIX_MS)) {
+      return;
+    }
+
+    const fix = this.smooth(raw);
+    this.lastRawFix = raw;
+    this.lastFix = fix;
+    this.listeners.forEach(listener => listener(fix));
+  }
+
+  /**
+   * Damp jitter inside the accuracy circle, follow real movement directly,
+   * and fill in speed and heading when the fix lacks them
+   * @param {Object} raw - Fix as reported
+   * @returns {TrackedFix}
+   */
+  smooth(raw) {
+    const prev = this.lastFix;
+    const prevRaw = this.lastRawFix;
+    const reported = {
+      rawLatitude: raw.latitude,
+      rawLongitude: raw.longitude,
+      deviceSpeed: raw.speed,
+      deviceHeading: raw.heading
+    };
+    if (!prev) return { ...raw, ...reported };
+
+    const moved = distanceMeters(prev.latitude, prev.longitude, raw.latitude, raw.longitude);
+    const isJitter = moved <= Math.max(raw.accuracy, prev.accuracy) && raw.timestamp - prev.timestamp < SMOOTHING_RESET_MS;
+
+    let latitude = raw.latitude;
+    let longitude = raw.longitude;
+    if (isJitter) {
+      // Weight the new fix by how much more accurate it is than the previous one
+      const weight = prev.accuracy ** 2 / (prev.accuracy ** 2 + raw.accuracy ** 2);
+      latitude = prev.latitude + (raw.latitude - prev.latitude) * weight;
+      longitude = prev.longitude + (raw.longitude - prev.longitude) * weight;
+    }
+
+    let speed = raw.speed;
+    if (speed === null && prevRaw) {
+      const seconds = (raw.timestamp - prevRaw.timestamp) / 1000;
+      const rawMoved = distanceMeters(prevRaw.latitude, prevRaw.longitude, raw.latitude, raw.longitude);
+      speed = seconds > 0 ? (isJitter ? 0 : rawMoved / seconds) : prev.speed;
+    }
+
+    let heading = prev.heading;
+    if (raw.heading !== null && (speed ?? 0) >= MIN_HEADING_SPEED) {
+      heading = raw.heading;
+    } else if (!isJitter && moved >= MIN_HEADING_DISTANCE) {
+      heading = bearingDegrees(prev.latitude, prev.longitude, latitude, longitude);
+    }
+
+    return { latitude, longitude, accuracy: raw.accuracy, speed, heading, ...reported, timestamp: raw.timestamp };
+  }
+
+  handleError(error) {
+    // A single missed fix is normal while driving; the watch keeps running
+    if (error?.code === POSITION_TIMEOUT) return;
+    console.warn('Location tracking error:', error);
+    if (error?.code === PERMISSION_DENIED || /denied/i.test(error?.message || '')) {
+      this.stopWatch();
+    }
+    this.errorListeners.forEach(listener => listener(error));
+  }
+}
+
+// Export singleton instance
+export const locationTracker = new LocationTracker();
+export default locationTracker;
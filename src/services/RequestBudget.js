@@ -0,0 +1,140 @@
+// Request Budget - Daily per-provider counters for paid routing APIs, with soft and hard limits
+import { config } from '../config/config';
+
+const STORAGE_KEY = 'fergetid_request_budget_v1';
+
+/**
+ * @typedef {Object} ProviderUsage
+ * @property {string} provider - 'here', 'hereMatrix', 'google', 'selfHosted'
+ * @property {number} count - Requests made today (matrix elements for hereMatrix)
+ * @property {number} soft - Above this, cached results are preferred (Infinity when unlimited)
+ * @property {number} hard - At this, the provider is not called at all (Infinity when unlimited)
+ * @property {'ok'|'soft'|'hard'} state
+ */
+
+// Local calendar day, so the counters reset at midnight for the user
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+class RequestBudget {
+  constructor() {
+    this.listeners = new Set();
+    this.usage = this.load();
+  }
+
+  /**
+   * @returns {{ date: string, counts: Object<string, number>, blocked: Object<string, number> }}
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (stored?.date === today()) {
+        return { date: stored.date, counts: stored.counts || {}, blocked: stored.blocked || {} };
+      }
+    } catch (_) {}
+    return { date: today(), counts: {}, blocked: {} };
+  }
+
+  save() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.usage));
+    } catch (_) {}
+    this.listeners.forEach(listener => listener(this.getUsage()));
+  }
+
+  // Start a fresh day when the date has rolled over since the last call
+  current() {
+    if (this.usage.date !== today()) {
+      this.usage = { date: today(), counts: {}, blocked: {} };
+    }
+    return this.usage;
+  }
+
+  /**
+   * Count an outgoing request
+   * @param {string} provider
+   * @param {number} [cost=1] - Billable units; a matrix request costs one per origin–destination element
+   */
+  record(provider, cost = 1) {
+    const usage = this.current();
+    usage.counts[provider] = (usage.counts[provider] || 0) + cost;
+    this.save();
+  }
+
+  /**
+   * Count a request that was skipped because of the budget
+   * @param {string} provider
+   */
+  recordBlocked(provider) {
+    const usage = this.current();
+    usage.blocked[provider] = (usage.blocked[provider] || 0) + 1;
+    this.save();
+  }
+
+  /**
+   * @param {string} provider
+   * @returns {'ok'|'soft'|'hard'}
+   */
+  getState(provider) {
+    const count = this.current().counts[provider] || 0;
+    const { soft, hard } = config.BUDGET_CONFIG.getLimits(provider);
+    if (count >= hard) return 'hard';
+    if (count >= soft) return 'soft';
+    return 'ok';
+  }
+
+  /**
+   * Whether a request to the provider may be made.
+   * Over the soft limit only essential requests (the user asked for them) go through;
+   * background refreshes should fall back to cache or haversine.
+   * @param {string} provider
+   * @param {{ essential?: boolean }} [options]
+   * @returns {boolean}
+   */
+  allows(provider, { essential = false } = {}) {
+    const state = this.getState(provider);
+    return state === 'ok' || (state === 'soft' && essential);
+  }
+
+  /**
+   * Counters for the diagnostics screen
+   * @returns {{ date: string, providers: ProviderUsage[], blocked: Object<string, number> }}
+   */
+  getUsage() {
+    const usage = this.current();
+    const providers = [...new Set([...config.BUDGET_CONFIG.PROVIDERS, ...Object.keys(usage.counts)])];
+    return {
+      date: usage.date,
+      providers: providers.map(provider => ({
+        provider,
+        count: usage.counts[provider] || 0,
+        ...config.BUDGET_CONFIG.getLimits(provider),
+        state: this.getState(provider)
+      })),
+      blocked: { ...usage.blocked }
+    };
+  }
+
+  /**
+   * Zero today's counters (diagnostics only)
+   */
+  reset() {
+    this.usage = { date: today(), counts: {}, blocked: {} };
+    this.save();
+  }
+
+  /**
+   * @param {(usage: ReturnType<RequestBudget['getUsage']>) => void} listener
+   * @returns {() => void} Unsubscribe
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+// Export singleton instance
+export const requestBudget = new RequestBudget();
+export default requestBudget;
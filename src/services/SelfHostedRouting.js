@@ -0,0 +1,149 @@
+// Self-hosted routing - OSRM or Valhalla adapter for deployments without HERE/Google keys
+import { config } from '../config/config';
+import { fetchWithTimeout } from '../utils/fetchWithTimeout';
+import { decodeEncodedPolyline } from '../utils/encodedPolyline';
+import { requestBudget } from './RequestBudget';
+
+const VALHALLA_FERRY_ENTER = 28; // Valhalla maneuver type kFerryEnter
+
+// ─── OSRM ─────────────────────────────────────────────────────────────────────
+
+const fetchOsrmRoute = async (baseUrl, startCoords, endCoords, excludeFerry) => {
+  const coordinates = `${startCoords.lng},${startCoords.lat};${endCoords.lng},${endCoords.lat}`;
+  const exclude = excludeFerry ? '&exclude=ferry' : '';
+  const url = `${baseUrl}/route/v1/driving/${coordinates}?overview=full&geometries=geojson&steps=true${exclude}`;
+  requestBudget.record('selfHosted');
+  const response = await fetchWithTimeout(url, { method: 'GET' }, 10000);
+  // OSRM answers NoRoute with HTTP 400 and a JSON body
+  const data = await response.json().catch(() => null);
+  if (!data) throw new Error(`OSRM request failed: ${response.status}`);
+  return data;
+};
+
+// Group consecutive steps into car/ferry sections; OSRM coordinates are [lng, lat]
+const extractOsrmGeometry = (route) => {
+  const sections = [];
+  for (const step of route.legs?.flatMap(leg => leg.steps || []) || []) {
+    const mode = step.mode === 'ferry' ? 'ferry' : 'car';
+    const points = (step.geometry?.coordinates || []).map(([lng, lat]) => [lat, lng]);
+    const last = sections[sections.length - 1];
+    if (last?.mode === mode) {
+      last.points.push(...points.slice(1));
+    } else if (points.length > 0) {
+      sections.push({ mode, points });
+    }
+  }
+  return sections;
+};
+
+const routeWithOsrm = async (baseUrl, startCoords, endCoords, options) => {
+  // Known ferry-only endpoint: skip the exclude=ferry call, it can only fail
+  const excludeFerry = options.roadOnly && !options.knownFerryOnly;
+  let data = await fetchOsrmRoute(baseUrl, startCoords, endCoords, excludeFerry);
+  let excludedRouteMissing = false;
+
+  if (excludeFerry && data.code === 'NoRoute') {
+    // No road connection – route with the ferry so the caller still gets a time, flagged as ferry
+    excludedRouteMissing = true;
+    data = await fetchOsrmRoute(baseUrl, startCoords, endCoords, false);
+  }
+  if (data.code !== 'Ok' || !data.routes?.length) {
+    throw new Error(`OSRM returned ${data.code || 'no routes'}`);
+  }
+
+  const route = data.routes[0];
+  if (!route.distance) throw new Error('OSRM returned 0 distance');
+  const hasFerryStep = route.legs?.some(leg => leg.steps?.some(step => step.mode === 'ferry')) || false;
+
+  return {
+    time: Math.max(1, Math.round(route.duration / 60)),
+    distance: Math.round(route.distance),
+    hasFerry: !!options.roadOnly && (excludedRouteMissing || hasFerryStep),
+    usesFerry: excludedRouteMissing || hasFerryStep,
+    source: 'osrm',
+    ...(options.returnGeometry ? { geometry: extractOsrmGeometry(route) } : {})
+  };
+};
+
+// ─── Valhalla ─────────────────────────────────────────────────────────────────
+
+const toLocalDateTime = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Split the decoded shape at ferry maneuvers
+const extractValhallaGeometry = (leg) => {
+  const shape = decodeEncodedPolyline(leg.shape || '', 6);
+  const sections = [];
+  for (const maneuver of leg.maneuvers || []) {
+    const mode = maneuver.travel_type === 'ferry' ? 'ferry' : 'car';
+    const points = shape.slice(maneuver.begin_shape_index, maneuver.end_shape_index + 1);
+    const last = sections[sections.length - 1];
+    if (last?.mode === mode) {
+      last.points.push(...points.slice(1));
+    } else if (points.length > 0) {
+      sections.push({ mode, points });
+    }
+  }
+  return sections.length > 0 ? sections : [{ mode: 'car', points: shape }];
+};
+
+const routeWithValhalla = async (baseUrl, startCoords, endCoords, options) => {
+  const body = {
+    locations: [
+      { lat: startCoords.lat, lon: startCoords.lng },
+      { lat: endCoords.lat, lon: endCoords.lng }
+    ],
+    costing: 'auto',
+    // use_ferry 0 avoids ferries wherever a road exists, but still crosses when it is the only way
+    costing_options: { auto: { use_ferry: options.roadOnly ? 0 : 0.5 } },
+    units: 'kilometers',
+    // date_time type 1 = depart at, in local time; OSRM has no time-dependent routing
+    ...(options.departureTime ? { date_time: { type: 1, value: toLocalDateTime(options.departureTime) } } : {})
+  };
+
+  requestBudget.record('selfHosted');
+  const response = await fetchWithTimeout(`${baseUrl}/route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, 10000);
+  if (!response.ok) throw new Error(`Valhalla request failed: ${response.status}`);
+
+  const data = await response.json();
+  const leg = data.trip?.legs?.[0];
+  const summary = data.trip?.summary;
+  if (!leg || !summary) throw new Error('No route found in Valhalla response');
+  if (!summary.length) throw new Error('Valhalla returned 0 distance');
+
+  // Like HERE and Google, hasFerry only reports a ferry the roadOnly request could not avoid
+  const usesFerry = summary.has_ferry ??
+    (leg.maneuvers || []).some(m => m.type === VALHALLA_FERRY_ENTER || m.travel_type === 'ferry');
+  const hasFerry = !!options.roadOnly && usesFerry;
+
+  return {
+    time: Math.max(1, Math.round(summary.time / 60)),
+    distance: Math.round(summary.length * 1000),
+    hasFerry,
+    usesFerry,
+    source: 'valhalla',
+    ...(options.returnGeometry ? { geometry: extractValhallaGeometry(leg) } : {})
+  };
+};
+
+// ─── Provider ─────────────────────────────────────────────────────────────────
+
+/** @type {import('./GeoServices').RoutingProvider} */
+export const selfHostedRoutingProvider = {
+  id: 'selfHosted',
+  isConfigured: () => config.ROUTING_CONFIG.SELF_HOSTED.isConfigured(),
+  route: (startCoords, endCoords, options = {}) => {
+    const baseUrl = config.ROUTING_CONFIG.SELF_HOSTED.getUrl();
+    return config.ROUTING_CONFIG.SELF_HOSTED.getEngine() === 'valhalla'
+      ? routeWithValhalla(baseUrl, startCoords, endCoords, options)
+      : routeWithOsrm(baseUrl, startCoords, endCoords, options);
+  }
+};
+
+export default selfHostedRoutingProvider;
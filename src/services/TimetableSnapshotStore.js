@@ -0,0 +1,138 @@
+// Timetable Snapshot Store - Last fetched departures per stop in IndexedDB, for offline use
+const DB_NAME = 'fergetid';
+const DB_VERSION = 1;
+const STORE_NAME = 'departureSnapshots';
+const SNAPSHOT_TTL = 24 * 60 * 60 * 1000; // 24 hours — a snapshot is useless once its calls have passed
+const MAX_SNAPSHOTS = 40;                  // recently viewed and favourite stops
+const PRUNE_INTERVAL = 10 * 60 * 1000;     // pruning reads every snapshot, so not on every save
+
+const callTime = (call) => new Date(call.aimedDepartureTime).getTime();
+
+/**
+ * Replace the stored calls covered by a fresh fetch and keep the stored ones beyond its window,
+ * so a short GPS-search fetch does not cut a 24-hour snapshot down to a few hours
+ * @param {Array<Object>} previous - Stored calls
+ * @param {Array<Object>} calls - Calls just fetched
+ * @returns {Array<Object>}
+ */
+const mergeCalls = (previous, calls) => {
+  const now = Date.now();
+  const windowEnd = calls.length > 0 ? Math.max(...calls.map(callTime)) : now;
+  const beyond = previous.filter(call => callTime(call) > windowEnd);
+  return [...calls, ...beyond];
+};
+
+/**
+ * @typedef {Object} TimetableSnapshot
+ * @property {string} stopId - NSR StopPlace id
+ * @property {Array<Object>} calls - Raw estimatedCalls as returned by Entur
+ * @property {number} fetchedAt - Epoch ms when the calls were fetched
+ */
+
+class TimetableSnapshotStore {
+  constructor() {
+    this.dbPromise = null;
+    this.lastPrune = 0;
+  }
+
+  /**
+   * Open (and create on first use) the IndexedDB database
+   * @returns {Promise<IDBDatabase|null>} null when IndexedDB is unavailable
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    this.dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          db.createObjectStore(STORE_NAME, { keyPath: 'stopId' }).createIndex('fetchedAt', 'fetchedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('IndexedDB unavailable, offline snapshots disabled:', request.error);
+        resolve(null);
+      };
+    });
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a single request inside a transaction
+   * @param {'readonly'|'readwrite'} mode
+   * @param {(store: IDBObjectStore) => IDBRequest} operation
+   * @returns {Promise<any>}
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    if (!db) return null;
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Store the calls just fetched for a stop, merged with the calls after them from the previous snapshot
+   * @param {string} stopId
+   * @param {Array<Object>} calls - Raw estimatedCalls
+   */
+  async save(stopId, calls) {
+    try {
+      const previous = await this.get(stopId);
+      const merged = previous ? mergeCalls(previous.calls, calls) : calls;
+      await this.run('readwrite', store => store.put({ stopId, calls: merged, fetchedAt: Date.now() }));
+      if (Date.now() - this.lastPrune > PRUNE_INTERVAL) {
+        this.lastPrune = Date.now();
+        await this.prune();
+      }
+    } catch (error) {
+      console.warn('Failed to save timetable snapshot:', error);
+    }
+  }
+
+  /**
+   * @param {string} stopId
+   * @returns {Promise<TimetableSnapshot|null>} null when missing or expired
+   */
+  async get(stopId) {
+    try {
+      const snapshot = await this.run('readonly', store => store.get(stopId));
+      if (!snapshot || Date.now() - snapshot.fetchedAt > SNAPSHOT_TTL) return null;
+      return snapshot;
+    } catch (error) {
+      console.warn('Failed to read timetable snapshot:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Drop expired snapshots and keep only the most recently fetched stops
+   */
+  async prune() {
+    const snapshots = await this.run('readonly', store => store.index('fetchedAt').getAll()) || [];
+    const now = Date.now();
+    const stale = snapshots
+      .sort((a, b) => b.fetchedAt - a.fetchedAt)
+      .filter((snapshot, index) => index >= MAX_SNAPSHOTS || now - snapshot.fetchedAt > SNAPSHOT_TTL);
+    if (stale.length === 0) return;
+
+    await this.run('readwrite', (store) => {
+      let request = null;
+      for (const snapshot of stale) {
+        request = store.delete(snapshot.stopId);
+      }
+      return request;
+    });
+  }
+}
+
+// Export singleton instance
+export const timetableSnapshotStore = new TimetableSnapshotStore();
+export default timetableSnapshotStore;
@@ -0,0 +1,163 @@
+// Trip Planner Service - Chains Entur car ferry legs with road legs from calculateDrivingTime
+import { enturService } from './EnturService';
+import { calculateDrivingTime } from './GeoServices';
+import { TRIP_PLANNER_CONFIG } from '../config/constants';
+
+/**
+ * @typedef {Object} DriveSegment
+ * @property {'drive'} type
+ * @property {string} fromName
+ * @property {string} toName
+ * @property {number} minutes - Driving time
+ * @property {number} distance - Driving distance in metres
+ * @property {Date} start - When the drive starts
+ * @property {Date} end - When the drive ends
+ */
+
+/**
+ * @typedef {Object} FerrySegment
+ * @property {'ferry'} type
+ * @property {string} fromName - Departure stop place name
+ * @property {string} toName - Arrival stop place name
+ * @property {string|null} fromStopId - NSR StopPlace id of the departure quay
+ * @property {Object|null} line - { id, name, publicCode, transportSubmode }
+ * @property {Date} departure - Expected departure
+ * @property {Date} arrival - Expected arrival
+ * @property {boolean} cancelled
+ * @property {number} slackMinutes - Time between reaching the quay and departure
+ * @property {boolean} tight - Less slack than MIN_TRANSFER_MINUTES
+ * @property {boolean} missed - The car reaches the quay after departure
+ * @property {boolean} [skipped] - Missed or cancelled, so the plan continues with a later sailing
+ */
+
+const addMinutes = (date, minutes) => new Date(date.getTime() + minutes * 60000);
+
+const placeToPoint = (place) => ({
+  lat: place.latitude,
+  lng: place.longitude,
+  name: place.quay?.stopPlace?.name || place.name,
+  stopId: place.quay?.stopPlace?.id || null
+});
+
+const findFerryLeg = (legs) => legs.find(leg => leg.mode === 'water') || null;
+
+class TripPlannerService {
+  /**
+   * Plan a car trip with one or more ferry crossings.
+   *
+   * Entur only knows about the ferries, so the trip is planned one crossing at a time:
+   * ask for the next car ferry towards the destination, drive to its quay with
+   * calculateDrivingTime, and continue from the arrival quay when the ferry lands.
+   * A sailing the car reaches too late, or that is cancelled, stays in the plan marked as
+   * skipped, and Entur is asked again from that quay for the next one the car can board.
+   * @param {{ lat: number, lng: number, name: string }} origin
+   * @param {{ lat: number, lng: number, name: string }} destination
+   * @param {Date} [departAt] - When the car leaves the origin
+   * @returns {Promise<{ segments: Array<DriveSegment|FerrySegment>, departAt: Date, arrival: Date|null, crossings: number, hasTightConnection: boolean }>}
+   *   arrival is null when no later sailing could be found after a skipped one
+   */
+  async planTrip(origin, destination, departAt = new Date()) {
+    const segments = [];
+    let position = origin;
+    let clock = departAt;
+    let crossings = 0;
+    let stranded = false;
+
+    while (crossings < TRIP_PLANNER_CONFIG.MAX_CROSSINGS) {
+      let ferryLeg = findFerryLeg(await enturService.getCarFerryTrip(position, destination, clock));
+      if (!ferryLeg) break;
+
+      let ferry = null;
+      for (let skipped = 0; ; skipped++) {
+        const quay = placeToPoint(ferryLeg.fromPlace);
+        // A later sailing usually leaves from the quay we are already at
+        if (!quay.stopId || quay.stopId !== position.stopId) {
+          const drive = await this.drive(position, quay, clock);
+          segments.push(drive);
+          position = quay;
+          clock = drive.end;
+        }
+
+        ferry = this.ferry(ferryLeg, quay, clock);
+        if (!ferry.missed && !ferry.cancelled) break;
+
+        segments.push({ ...ferry, skipped: true });
+        // Entur may offer a cancelled sailing again, so ask for what leaves after it
+        const searchFrom = ferry.cancelled ? new Date(Math.max(clock.getTime(), ferry.departure.getTime() + 60000)) : clock;
+        ferry = null;
+        if (skipped + 1 >= TRIP_PLANNER_CONFIG.MAX_SKIPPED_SAILINGS) break;
+        ferryLeg = findFerryLeg(await enturService.getCarFerryTrip(position, destination, searchFrom));
+        if (!ferryLeg) break;
+      }
+      if (!ferry) {
+        stranded = true;
+        break;
+      }
+
+      segments.push(ferry);
+      position = placeToPoint(ferryLeg.toPlace);
+      clock = ferry.arrival;
+      crossings++;
+    }
+
+    let arrival = null;
+    if (!stranded) {
+      const lastDrive = await this.drive(position, destination, clock);
+      segments.push(lastDrive);
+      arrival = lastDrive.end;
+    }
+
+    return {
+      segments,
+      departAt,
+      arrival,
+      crossings,
+      hasTightConnection: segments.some(segment => segment.type === 'ferry' && !segment.skipped && segment.tight)
+    };
+  }
+
+  /**
+   * Ferry leg as a segment, with the slack left after reaching its quay
+   * @returns {FerrySegment}
+   */
+  ferry(ferryLeg, quay, atQuay) {
+    const departure = new Date(ferryLeg.expectedStartTime || ferryLeg.aimedStartTime);
+    const arrival = new Date(ferryLeg.expectedEndTime || ferryLeg.aimedEndTime);
+    const slackMinutes = Math.round((departure - atQuay) / 60000);
+    return {
+      type: 'ferry',
+      fromName: quay.name,
+      toName: placeToPoint(ferryLeg.toPlace).name,
+      fromStopId: quay.stopId,
+      line: ferryLeg.line || null,
+      departure,
+      arrival,
+      cancelled: !!ferryLeg.fromEstimatedCall?.cancellation,
+      slackMinutes,
+      tight: slackMinutes < TRIP_PLANNER_CONFIG.MIN_TRANSFER_MINUTES,
+      missed: slackMinutes < 0
+    };
+  }
+
+  /**
+   * Road leg between two points starting at a given time
+   * @returns {Promise<DriveSegment>}
+   */
+  async drive(from, to, start) {
+    // Estimated for when the leg actually starts, so rush hour after a late ferry is accounted for
+    const result = await calculateDrivingTime(from, to, { roadOnly: true, departureTime: start, essential: true });
+    return {
+      type: 'drive',
+      fromName: from.name,
+      toName: to.name,
+      minutes: result.time,
+      distance: result.distance,
+      start,
+      end: addMinutes(start, result.time)
+    };
+  }
+}
+
+// Export singleton instance
+export const tripPlannerService = new TripPlannerService();
+export default tripPlannerService;
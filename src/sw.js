@@ -0,0 +1,77 @@
+// Service Worker - Precaches the app shell and keeps the Entur stop list available offline
+import { precacheAndRoute, cleanupOutdatedCaches, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, NavigationRoute } from 'workbox-routing';
+
+const ENTUR_ENDPOINT = 'https://api.entur.io/journey-planner/v3/graphql';
+const ENTUR_STOPS_CACHE = 'entur-stops-v1';
+const STOP_LIST_OPERATION = 'AllFerryStops';
+
+// Routing and geocoding URLs carry API keys in the query string – never store them
+const NEVER_CACHE_HOSTS = ['hereapi.com', 'googleapis.com'];
+
+// ─── App shell ────────────────────────────────────────────────────────────────
+
+precacheAndRoute(self.__WB_MANIFEST);
+cleanupOutdatedCaches();
+
+// SPA navigation falls back to the precached index.html; the static legal pages stay separate
+registerRoute(new NavigationRoute(createHandlerBoundToURL('index.html'), {
+  denylist: [/^\/(privacy|support|terms)\.html/]
+}));
+
+// ─── Entur stop list: stale-while-revalidate ─────────────────────────────────
+
+// The stop list is a GraphQL POST, which the Cache API cannot store directly, so it is
+// kept under a synthetic GET key named after the operation
+const staleWhileRevalidateStopList = async (request) => {
+  const cache = await caches.open(ENTUR_STOPS_CACHE);
+  const cacheKey = new Request(`${ENTUR_ENDPOINT}?operation=${STOP_LIST_OPERATION}`);
+  const cached = await cache.match(cacheKey);
+
+  const network = fetch(request).then(async (response) => {
+    if (response.ok) {
+      await cache.put(cacheKey, response.clone());
+    }
+    return response;
+  });
+
+  if (cached) {
+    network.catch(() => {}); // Revalidate in the background; offline is fine
+    return cached;
+  }
+  return network;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (NEVER_CACHE_HOSTS.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+    return; // Network only, straight past the worker
+  }
+
+  if (request.method === 'POST' && url.href === ENTUR_ENDPOINT) {
+    event.respondWith((async () => {
+      const body = await request.clone().text();
+      let operationName = null;
+      try {
+        operationName = JSON.parse(body).operationName;
+      } catch {
+        // Not JSON – let it through untouched
+      }
+      if (operationName === STOP_LIST_OPERATION) {
+        return staleWhileRevalidateStopList(request);
+      }
+      return fetch(request);
+    })());
+  }
+});
+
+// ─── Updates ──────────────────────────────────────────────────────────────────
+
+// The page asks the waiting worker to take over when the user taps "oppdater"
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
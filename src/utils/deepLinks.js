@@ -0,0 +1,115 @@
+// Deep links: URL-addressable app state (?stop=, ?q=, ?mode=gps, ?dep=) and sharing
+import { Capacitor } from '@capacitor/core';
+import { Share } from '@capacitor/share';
+import { config } from '../config/config';
+
+export const APP_URL_SCHEME = 'fergetid';
+
+/**
+ * @typedef {Object} DeepLink
+ * @property {string|null} stop - NSR StopPlace id
+ * @property {string|null} q - Search text
+ * @property {'gps'|null} mode
+ * @property {string|null} dep - serviceJourney id of a departure to highlight
+ */
+
+/**
+ * Read a deep link from a query string or a full URL, including fergetid://open?stop=…
+ * @param {string} input - window.location.search or a URL
+ * @returns {DeepLink}
+ */
+export function parseDeepLink(input) {
+  let params;
+  try {
+    params = input.includes('://') ? new URL(input).searchParams : new URLSearchParams(input);
+  } catch {
+    params = new URLSearchParams();
+  }
+  const read = (name) => (params.get(name) || '').trim() || null;
+  return {
+    stop: read('stop'),
+    q: read('q'),
+    mode: read('mode') === 'gps' ? 'gps' : null,
+    dep: read('dep')
+  };
+}
+
+/**
+ * @param {DeepLink} link
+ * @returns {boolean} Whether the link asks for anything beyond the default GPS start
+ */
+export function hasDeepLinkTarget(link) {
+  return !!(link.stop || link.q);
+}
+
+/**
+ * Query string for the given state, without the leading "?"
+ * @param {Partial<DeepLink>} link
+ * @returns {string}
+ */
+export function buildDeepLinkQuery(link) {
+  const params = new URLSearchParams();
+  if (link.stop) params.set('stop', link.stop);
+  if (link.dep) params.set('dep', link.dep);
+  if (!link.stop && link.q) params.set('q', link.q);
+  if (!link.stop && !link.q && link.mode === 'gps') params.set('mode', 'gps');
+  return params.toString();
+}
+
+/**
+ * Mirror the current state in the address bar without adding history entries.
+ * Unrelated parameters (?sim, ?theme) are left alone.
+ * @param {Partial<DeepLink>} link
+ */
+export function replaceDeepLinkInUrl(link) {
+  const params = new URLSearchParams(window.location.search);
+  ['stop', 'dep', 'q', 'mode'].forEach(name => params.delete(name));
+  new URLSearchParams(buildDeepLinkQuery(link)).forEach((value, name) => params.set(name, value));
+  const search = params.toString();
+  const next = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+  if (next !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+    window.history.replaceState(window.history.state, '', next);
+  }
+}
+
+/**
+ * Link that opens the given state from outside the app.
+ * Web builds use their own origin (or VITE_PUBLIC_APP_URL); native builds without a public URL
+ * fall back to the fergetid:// scheme.
+ * @param {Partial<DeepLink>} link
+ * @returns {string}
+ */
+export function buildShareUrl(link) {
+  const query = buildDeepLinkQuery(link);
+  const publicUrl = config.SHARE_CONFIG.getPublicUrl();
+  if (publicUrl) return `${publicUrl}/?${query}`;
+  if (!Capacitor.isNativePlatform() && /^https?:/.test(window.location.protocol)) {
+    return `${window.location.origin}${window.location.pathname}?${query}`;
+  }
+  return `${APP_URL_SCHEME}://open?${query}`;
+}
+
+/**
+ * Share through the native share sheet, the Web Share API, or the clipboard as a last resort
+ * @param {{ title: string, text?: string, url: string }} content
+ * @returns {Promise<'shared'|'copied'|'cancelled'|'failed'>}
+ */
+export async function shareLink({ title, text, url }) {
+  try {
+    if (Capacitor.isNativePlatform()) {
+      await Share.share({ title, text, url, dialogTitle: title });
+      return 'shared';
+    }
+    if (navigator.share) {
+      await navigator.share({ title, text, url });
+      return 'shared';
+    }
+    await navigator.clipboard.writeText(url);
+    return 'copied';
+  } catch (error) {
+    // Closing the share sheet rejects with AbortError (web) or "Share canceled" (native)
+    if (error?.name === 'AbortError' || /cancel/i.test(error?.message || '')) return 'cancelled';
+    console.warn('Sharing failed:', error);
+    return 'failed';
+  }
+}
@@ -1,6 +1,63 @@
 // Utility functions for departure time formatting, coloring, and rules
 import { calculateTimeDiff } from './helpers';
 
+/**
+ * Get the time a departure will actually leave: realtime expected time when known, else planned
+ * @param {Object} departure - Departure object (raw estimatedCall or normalised)
+ * @returns {Date} Effective departure time
+ */
+export function getEffectiveDepartureTime(departure) {
+  return new Date(
+    departure.expectedDepartureTime || departure.expected || departure.aimedDepartureTime || departure.aimed
+  );
+}
+
+/**
+ * Check if a departure is cancelled (innstilt)
+ * @param {Object} departure - Departure object
+ * @returns {boolean} True if cancelled
+ */
+export function isDepartureCancelled(departure) {
+  return !!(departure?.cancellation || departure?.cancelled);
+}
+
+/**
+ * Capacity warning from Entur's occupancyStatus, when the operator reports it
+ * @param {Object} departure - Departure object from the detailed query
+ * @returns {{ text: string, full: boolean }|null} null when there is room or nothing is known
+ */
+export function getOccupancyWarning(departure) {
+  switch (departure?.occupancyStatus) {
+    case 'fewSeatsAvailable':
+    case 'standingRoomOnly':
+      return { text: 'Nesten full', full: false };
+    case 'crushedStandingRoomOnly':
+    case 'full':
+    case 'notAcceptingPassengers':
+      return { text: 'Full', full: true };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get delay in whole minutes between planned and expected time
+ * @param {Object} departure - Departure object
+ * @returns {number} Minutes late (negative if early, 0 if no realtime data)
+ */
+export function getDelayMinutes(departure) {
+  const expected = departure.expectedDepartureTime || departure.expected;
+  const aimed = departure.aimedDepartureTime || departure.aimed;
+  if (!expected || !aimed) return 0;
+  return Math.round((new Date(expected) - new Date(aimed)) / 60000);
+}
+
+// Departures we can still count on: not cancelled, effective time known
+const getCatchableDepartures = (allDepartures) =>
+  (allDepartures || []).filter(departure =>
+    !isDepartureCancelled(departure) &&
+    (departure.expectedDepartureTime || departure.expected || departure.aimed || departure.aimedDepartureTime)
+  );
 
 // Helper function to format distance
 const formatDistance = (distance) => {
@@ -26,43 +83,46 @@ const formatDrivingTime = (minutes) => {
   }
 };
 
-// Calculate wait time at ferry terminal after arriving there
-const calculateWaitTimeForNextFerry = (allDepartures, timeToDeparture, drivingTime) => {
+/**
+ * Which ferry is caught when leaving at a given time: "if I leave at 07:30, which ferry will I catch?"
+ * @param {Array} allDepartures - Array of departure objects
+ * @param {number} drivingTime - Driving time to the stop in minutes (ideally estimated for leaveAt)
+ * @param {Date} [leaveAt] - When the car leaves; defaults to now
+ * @returns {{ departure: Object, departureTime: Date, arrivalTime: Date, waitMinutes: number }|null}
+ */
+export const getFerryForLeaveTime = (allDepartures, drivingTime, leaveAt = new Date()) => {
   if (!allDepartures || allDepartures.length === 0) {
-    return 0; // No departures available
+    return null;
   }
-  
-  // Calculate when we will arrive at the ferry terminal
-  const now = new Date();
-  const arrivalTime = new Date(now.getTime() + (drivingTime * 60000)); // Add driving time to now
-  
-  // Find departures that are after our arrival time
-  const futureDepartures = allDepartures.filter(departure => {
-    const departureTime = departure.aimed || departure.aimedDepartureTime;
-    if (!departureTime) return false;
-    
-    const departureDate = new Date(departureTime);
-    return departureDate > arrivalTime; // Only departures after we arrive
-  });
-  
+
+  // When we will arrive at the ferry terminal
+  const arrivalTime = new Date(leaveAt.getTime() + (drivingTime * 60000));
+
+  // Find departures that are after our arrival time (realtime, cancelled sailings skipped)
+  const futureDepartures = getCatchableDepartures(allDepartures).filter(departure =>
+    getEffectiveDepartureTime(departure) > arrivalTime // Only departures after we arrive
+  );
+
   if (futureDepartures.length === 0) {
-    return 0; // No future departures found
+    return null;
   }
-  
+
   // Sort by departure time and get the next one
-  futureDepartures.sort((a, b) => {
-    const timeA = new Date(a.aimed || a.aimedDepartureTime);
-    const timeB = new Date(b.aimed || b.aimedDepartureTime);
-    return timeA - timeB;
-  });
-  
-  const nextDeparture = futureDepartures[0];
-  const nextDepartureTime = new Date(nextDeparture.aimed || nextDeparture.aimedDepartureTime);
-  
-  // Calculate wait time: time from arrival to next departure
-  const waitTimeMinutes = Math.max(0, Math.round((nextDepartureTime - arrivalTime) / 60000));
-  
-  return waitTimeMinutes;
+  futureDepartures.sort((a, b) => getEffectiveDepartureTime(a) - getEffectiveDepartureTime(b));
+
+  const departure = futureDepartures[0];
+  const departureTime = getEffectiveDepartureTime(departure);
+
+  // Wait time: time from arrival to departure
+  const waitMinutes = Math.max(0, Math.round((departureTime - arrivalTime) / 60000));
+
+  return { departure, departureTime, arrivalTime, waitMinutes };
+};
+
+// Calculate wait time at ferry terminal after arriving there
+const calculateWaitTimeForNextFerry = (allDepartures, timeToDeparture, drivingTime) => {
+  // 0 when no departure can be caught
+  return getFerryForLeaveTime(allDepartures, drivingTime)?.waitMinutes ?? 0;
 };
 
 // Helper function to format wait time at ferry terminal
@@ -71,10 +131,8 @@ const formatWaitTime = (waitMinutes, allDepartures = [], drivingTime = 0) => {
   const now = new Date();
   const todayEnd = new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59, 59);
   
-  const hasMoreDeparturesToday = allDepartures.some(departure => {
-    const departureTime = departure.aimed || departure.aimedDepartureTime;
-    if (!departureTime) return false;
-    const departureDate = new Date(departureTime);
+  const hasMoreDeparturesToday = getCatchableDepartures(allDepartures).some(departure => {
+    const departureDate = getEffectiveDepartureTime(departure);
     return departureDate > now && departureDate <= todayEnd;
   });
   
@@ -119,49 +177,47 @@ const formatWaitTime = (waitMinutes, allDepartures = [], drivingTime = 0) => {
   }
 };
 
-// Calculate suggested departure time to arrive 5 minutes before ferry departure
-const calculateSuggestedDepartureTime = (allDepartures, drivingTime) => {
+/**
+ * Find the next catchable departure and when to start driving to reach it with a margin
+ * @param {Array} allDepartures - Array of departure objects
+ * @param {number} drivingTime - Driving time to the stop in minutes
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Reference time
+ * @param {number} [options.marginMinutes] - Minutes to arrive before departure
+ * @returns {{ departure: Object, departureTime: Date, leaveAt: Date }|null}
+ */
+export const getSuggestedDeparture = (allDepartures, drivingTime, { now = new Date(), marginMinutes = 5 } = {}) => {
   if (!allDepartures || allDepartures.length === 0 || !drivingTime) {
     return null;
   }
-  
-  // Use the same logic as calculateWaitTimeForNextFerry to find the next departure
-  const now = new Date();
-  const arrivalTime = new Date(now.getTime() + (drivingTime * 60000)); // Add driving time to now
-  
-  // Find departures that are after our arrival time
-  const futureDepartures = allDepartures.filter(departure => {
-    const departureTime = departure.aimed || departure.aimedDepartureTime;
-    if (!departureTime) return false;
-    
-    const departureDate = new Date(departureTime);
-    return departureDate > arrivalTime; // Only departures after we arrive
-  });
-  
-  if (futureDepartures.length === 0) {
+
+  // The ferry we would catch leaving now
+  const next = getFerryForLeaveTime(allDepartures, drivingTime, now);
+  if (!next) {
     return null;
   }
-  
-  // Sort by departure time and get the next one
-  futureDepartures.sort((a, b) => {
-    const timeA = new Date(a.aimed || a.aimedDepartureTime);
-    const timeB = new Date(b.aimed || b.aimedDepartureTime);
-    return timeA - timeB;
-  });
-  
-  const nextDeparture = futureDepartures[0];
-  const nextDepartureTime = new Date(nextDeparture.aimed || nextDeparture.aimedDepartureTime);
-  
-  // Calculate when we should arrive (5 minutes before departure)
-  const targetArrivalTime = new Date(nextDepartureTime.getTime() - (5 * 60000));
-  
-  // Calculate when we should start driving
-  const suggestedDepartureTime = new Date(targetArrivalTime.getTime() - (drivingTime * 60000));
-  
+  const { departure, departureTime } = next;
+
+  // Calculate when we should arrive (margin before departure) and when to start driving
+  const targetArrivalTime = new Date(departureTime.getTime() - (marginMinutes * 60000));
+  const leaveAt = new Date(targetArrivalTime.getTime() - (drivingTime * 60000));
+
   // Only suggest if the suggested departure time is in the future
-  if (suggestedDepartureTime <= now) {
+  if (leaveAt <= now) {
     return null;
   }
+
+  return { departure, departureTime, leaveAt };
+};
+
+// Calculate suggested departure time to arrive 5 minutes before ferry departure
+export const calculateSuggestedDepartureTime = (allDepartures, drivingTime) => {
+  const now = new Date();
+  const suggestion = getSuggestedDeparture(allDepartures, drivingTime, { now });
+  if (!suggestion) {
+    return null;
+  }
+  const suggestedDepartureTime = suggestion.leaveAt;
   
   // Calculate how much time we can save by waiting
   const timeToSave = Math.max(0, Math.round((suggestedDepartureTime - now) / 60000));
@@ -236,7 +292,7 @@ export const generateTravelDescription = (distance, drivingTime, timeToDeparture
 
 /**
  * Get CSS color class for departure time based on driving time and mode
- * @param {string} departureTime - ISO string of departure time
+ * @param {string|Date} departureTime - Departure time (use the effective/expected time)
  * @param {number} drivingTime - Driving time in minutes
  * @param {boolean} showDrivingTimes - Whether driving times are enabled
  * @param {string} mode - Current app mode ('search' or 'gps')
@@ -260,7 +316,8 @@ export function getDepartureTimeColor(departureTime, drivingTime, showDrivingTim
 
 /**
  * Check if a departure is missed (can't be reached in time)
- * @param {string} departureTime - ISO string of departure time
+ * Pass the effective (expected) time from getEffectiveDepartureTime so delays are taken into account.
+ * @param {string|Date} departureTime - Departure time
  * @param {number} drivingTime - Driving time in minutes
  * @param {boolean} showDrivingTimes - Whether driving times are enabled
  * @param {string} mode - Current app mode ('search' or 'gps')
@@ -355,10 +412,7 @@ export function sortDeparturesByTime(departures) {
  */
 export function filterFutureDepartures(departures) {
   const now = new Date();
-  return departures.filter(departure => {
-    const departureTime = new Date(departure.aimedDepartureTime || departure.aimed);
-    return departureTime > now;
-  });
+  return departures.filter(departure => getEffectiveDepartureTime(departure) > now);
 }
 
 /**
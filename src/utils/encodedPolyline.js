@@ -0,0 +1,34 @@
+// Decoder for the Google encoded polyline format (used by Valhalla with precision 6)
+
+/**
+ * Decode an encoded polyline into [lat, lng] pairs
+ * @param {string} encoded - Encoded polyline
+ * @param {number} [precision=5] - Decimal places (5 for Google, 6 for Valhalla/OSRM polyline6)
+ * @returns {Array<[number, number]>}
+ */
+export function decodeEncodedPolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result += (byte & 0x1f) * multiplier;
+      multiplier *= 32;
+    } while (byte >= 0x20);
+    return result % 2 === 1 ? -(result + 1) / 2 : result / 2;
+  };
+
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+}
@@ -0,0 +1,57 @@
+// Favourite ferry stops, persisted in localStorage next to ferryStopsCache
+const FAVORITE_STOPS_STORAGE_KEY = 'favoriteStops';
+
+/**
+ * Load favourite stops in the user's order
+ * @returns {Array<{ id: string, name: string, latitude: number, longitude: number }>}
+ */
+export function loadFavoriteStops() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(FAVORITE_STOPS_STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored.filter(stop => stop && stop.id) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Persist favourite stops
+ * @param {Array<{ id: string, name: string, latitude: number, longitude: number }>} stops
+ */
+export function saveFavoriteStops(stops) {
+  try {
+    localStorage.setItem(FAVORITE_STOPS_STORAGE_KEY, JSON.stringify(stops));
+  } catch {
+    // Ignore storage errors (private mode, quota)
+  }
+}
+
+/**
+ * Add or remove a stop from the favourites list
+ * @param {Array} favorites - Current favourites
+ * @param {Object} stop - Stop card data
+ * @returns {Array} New favourites list
+ */
+export function toggleFavoriteStop(favorites, stop) {
+  if (favorites.some(fav => fav.id === stop.id)) {
+    return favorites.filter(fav => fav.id !== stop.id);
+  }
+  return [...favorites, { id: stop.id, name: stop.name, latitude: stop.latitude, longitude: stop.longitude }];
+}
+
+/**
+ * Move a favourite to a new position (up/down buttons on "Mine ferjekaier")
+ * @param {Array} favorites - Current favourites
+ * @param {number} fromIndex
+ * @param {number} toIndex
+ * @returns {Array} Reordered favourites
+ */
+export function moveFavoriteStop(favorites, fromIndex, toIndex) {
+  if (fromIndex === toIndex || fromIndex < 0 || toIndex < 0 || fromIndex >= favorites.length) {
+    return favorites;
+  }
+  const next = [...favorites];
+  const [moved] = next.splice(fromIndex, 1);
+  next.splice(Math.min(toIndex, next.length), 0, moved);
+  return next;
+}
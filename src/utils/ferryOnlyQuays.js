@@ -0,0 +1,23 @@
+/**
+ * Fergekaier på øyer uten veiforbindelse til fastlandet.
+ * Kjøretid hit må alltid regnes med ferje, så GeoServices hopper over ruteforsøket uten ferje.
+ *
+ * BRUK:
+ * Legg til { name, lat, lng } for kaia. Koordinatene trenger ikke være eksakte –
+ * en stopp regnes som treff innen FERRY_ONLY_SEED_RADIUS meter.
+ * Feil oppføringer kan fjernes i diagnostikkvinduet (trykk 5 ganger på versjonsnummeret).
+ */
+
+export const FERRY_ONLY_SEED_RADIUS = 750;
+
+// Starter turen nærmere kaia enn dette, kan brukeren være på øya selv – da sjekkes veien i stedet
+export const FERRY_ONLY_LOCAL_RADIUS = 10000;
+
+export const FERRY_ONLY_QUAYS = [
+  { name: 'Fedje ferjekai', lat: 60.7795, lng: 4.7186 },
+  { name: 'Kvitsøy ferjekai', lat: 59.0597, lng: 5.4093 },
+  { name: 'Kvellandstrand ferjekai (Hidra)', lat: 58.2497, lng: 6.5480 },
+  { name: 'Skei ferjekai (Leka)', lat: 65.0911, lng: 11.7217 },
+  { name: 'Værøy ferjekai', lat: 67.6543, lng: 12.6813 },
+  { name: 'Røst ferjekai', lat: 67.5167, lng: 12.1167 }
+];
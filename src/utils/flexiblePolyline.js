@@ -0,0 +1,71 @@
+// Decoder for HERE's flexible polyline format (routing v8 `return=polyline`)
+// Format: https://github.com/heremaps/flexible-polyline
+
+const ENCODING_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const DECODING_TABLE = Object.fromEntries([...ENCODING_CHARS].map((char, index) => [char, index]));
+const FORMAT_VERSION = 1;
+
+// Varint decoding; multiplication instead of bit shifts keeps values above 2^31 intact
+const decodeUnsignedValues = (encoded) => {
+  const values = [];
+  let result = 0;
+  let multiplier = 1;
+  for (const char of encoded) {
+    const value = DECODING_TABLE[char];
+    if (value === undefined) throw new Error(`Invalid flexible polyline character: ${char}`);
+    result += (value & 0x1f) * multiplier;
+    if ((value & 0x20) === 0) {
+      values.push(result);
+      result = 0;
+      multiplier = 1;
+    } else {
+      multiplier *= 32;
+    }
+  }
+  if (multiplier !== 1) throw new Error('Invalid flexible polyline: truncated value');
+  return values;
+};
+
+const toSigned = (value) => (value % 2 === 1 ? -(value + 1) / 2 : value / 2);
+
+/**
+ * Decode a flexible polyline into [lat, lng] pairs (any third dimension is dropped)
+ * @param {string} encoded - Flexible polyline string
+ * @returns {Array<[number, number]>}
+ */
+export function decodeFlexiblePolyline(encoded) {
+  const values = decodeUnsignedValues(encoded);
+  if (values[0] !== FORMAT_VERSION) throw new Error(`Unsupported flexible polyline version: ${values[0]}`);
+
+  const header = values[1];
+  const precision = header & 15;
+  const thirdDimension = (header >> 4) & 7;
+  const factor = 10 ** precision;
+  const stride = thirdDimension ? 3 : 2;
+
+  const points = [];
+  let lat = 0;
+  let lng = 0;
+  for (let i = 2; i + 1 < values.length; i += stride) {
+    lat += toSigned(values[i]);
+    lng += toSigned(values[i + 1]);
+    points.push([lat / factor, lng / factor]);
+  }
+  return points;
+}
+
+/**
+ * Thin out a line to at most maxPoints, always keeping the first and last point
+ * @param {Array<[number, number]>} points
+ * @param {number} maxPoints
+ * @returns {Array<[number, number]>}
+ */
+export function simplifyPoints(points, maxPoints) {
+  if (points.length <= maxPoints) return points;
+  const step = (points.length - 1) / (maxPoints - 1);
+  const result = [];
+  for (let i = 0; i < maxPoints; i++) {
+    result.push(points[Math.round(i * step)]);
+  }
+  return result;
+}
@@ -28,6 +28,16 @@ export function calculateTimeDiff(targetTime) {
   );
 }
 
+// Klokkeslett (HH:MM) i dag, eller i morgen hvis det allerede har passert; tomt = nå
+export function getLeaveDate(leaveTime) {
+  const now = new Date();
+  if (!leaveTime) return now;
+  const [hours, minutes] = leaveTime.split(':').map(Number);
+  const leaveAt = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
+  if (leaveAt < now) leaveAt.setDate(leaveAt.getDate() + 1);
+  return leaveAt;
+}
+
 // Clean destination text
 export function cleanDestinationText(text) {
   if (!text) return '';
@@ -0,0 +1,75 @@
+import { TRANSPORT_MODES } from '../config/constants';
+import { matchesFerryFilters } from '../services/EnturService';
+
+/**
+ * Returkort: finn kaia på andre siden av sambandet og avgangene derfra tilbake.
+ * Felles for søkekortene i App og avgangstavla (DepartureBoard).
+ */
+
+/**
+ * Velg kaia på linjen som ikke er den vi står på
+ * @param {Object} line - journeyPattern.line med quays
+ * @param {string} parentStopId - NSR StopPlace-id for kaia vi står på
+ * @returns {{ id: string, name: string, quayId: string, quayName: string, latitude: number|null, longitude: number|null, lineId: string, lineName: string }|null}
+ */
+export const getOtherQuayOnLine = (line, parentStopId) => {
+  if (!line || !Array.isArray(line.quays) || line.quays.length < 2) return null;
+  // Foretrekk en quay med annen stopPlace enn parent; ellers første quay med annen id
+  const destinationQuay = line.quays.find(q => q?.stopPlace?.id && q.stopPlace.id !== parentStopId) ||
+                          line.quays.find(q => q?.id && q.id !== parentStopId) || null;
+  if (!destinationQuay?.stopPlace) return null;
+  return {
+    id: destinationQuay.stopPlace.id,
+    name: destinationQuay.stopPlace.name,
+    quayId: destinationQuay.id,
+    quayName: destinationQuay.name,
+    latitude: destinationQuay.latitude ?? null,
+    longitude: destinationQuay.longitude ?? null,
+    lineId: line.id,
+    lineName: line.name
+  };
+};
+
+/**
+ * Plukk ut avgangene fra andre siden som går tilbake til parent-kaia
+ * @param {Array<Object>} calls - Detaljerte avganger fra destinasjonskaia
+ * @param {string} parentStopId - Kaia returavgangene skal til
+ * @param {string|null} lineId - Linjen mellom kaiene, brukes som reserve og for å prioritere
+ * @param {Object} filters - Aktive ferjefiltre (bil/passasjer)
+ * @returns {Array<Object>} Opptil 20 avganger sortert på rutetid
+ */
+export const selectReturnDepartures = (calls, parentStopId, lineId, filters) => {
+  // Begrens antall avganger som sjekkes
+  const limitedCalls = calls.slice(0, 50);
+
+  // QUAY-ONLY: linjen må ha en quay på parent-kaia
+  let returnDepartures = limitedCalls.filter(call => {
+    const journeyPattern = call.serviceJourney?.journeyPattern;
+    if (!journeyPattern) return false;
+
+    const line = journeyPattern.line;
+    const isRelevantFerry = line?.transportMode === TRANSPORT_MODES.WATER && matchesFerryFilters(call.submode, filters);
+    if (!isRelevantFerry) return false;
+
+    // Sjekk både StopPlace-ID og Quay-ID (noen API-responser kan bruke ulike nivå)
+    const hasMatchingQuay = !!(Array.isArray(line.quays) && line.quays.some(quay => (
+      quay?.stopPlace?.id === parentStopId || quay?.id === parentStopId
+    )));
+    return hasMatchingQuay || (!!lineId && line.id === lineId);
+  });
+
+  // Ingen quay-treff, men kjent linje: bruk avganger på samme linje
+  if (returnDepartures.length === 0 && lineId) {
+    returnDepartures = limitedCalls.filter(call => call.serviceJourney?.journeyPattern?.line?.id === lineId);
+  }
+
+  // Prioriter avganger på samme linje
+  if (lineId) {
+    const sameLineDepartures = returnDepartures.filter(call => call.serviceJourney?.journeyPattern?.line?.id === lineId);
+    if (sameLineDepartures.length > 0) {
+      returnDepartures = sameLineDepartures;
+    }
+  }
+
+  return returnDepartures.slice(0, 20).sort((a, b) => a.aimed - b.aimed);
+};